@@ -275,6 +275,9 @@ async function handleRequest(req, res) {
         result = await apiPost(`${serverUrl}/raid/merge?id=${existingRaid.id}`, {
           attendance: session.attendance,
           loot:       session.loot,
+          rolls:      session.rolls,
+          kills:      session.kills,
+          snapshots:  session.snapshots,
         }, apiKey);
         if (result.status === 200) {
           return json(200, { action: 'merged', raidId: existingRaid.id, newLoot: result.body.newLoot });
@@ -291,6 +294,9 @@ async function handleRequest(req, res) {
           },
           attendance: session.attendance,
           loot:       session.loot,
+          rolls:      session.rolls,
+          kills:      session.kills,
+          snapshots:  session.snapshots,
         }, apiKey);
         if (result.status === 200) {
           return json(200, { action: 'created', raidId: result.body.raidId });
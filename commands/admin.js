@@ -0,0 +1,162 @@
+/**
+ * /admin  —  Bot maintenance.
+ *
+ * Subcommands:
+ *   /admin backup now [upload]  — back up the database right away
+ *   /admin backup list          — backups on the server, newest first
+ *   /admin export [format]      — download the guild's data (JSON bundle or zipped CSVs)
+ *   /admin import file [apply]  — merge an exported JSON bundle (preview unless apply:true; backs up first)
+ *
+ * Scheduled backups and rotation live in lib/backup.js; the export bundle
+ * format in lib/export.js.
+ */
+
+'use strict';
+
+const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder } = require('discord.js');
+const path   = require('path');
+const backup = require('../lib/backup');
+const { exportData, importData, formatImportReport } = require('../lib/export');
+
+// Discord's attachment limit for bots without a boosted server
+const REPLY_UPLOAD_MAX_BYTES = 10 * 1024 * 1024;
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('admin')
+    .setDescription('Bot maintenance')
+    .addSubcommandGroup(group =>
+      group.setName('backup')
+           .setDescription('Database backups')
+           .addSubcommand(sub =>
+             sub.setName('now')
+                .setDescription('Back up the database right away')
+                .addBooleanOption(o =>
+                  o.setName('upload').setDescription('Attach the backup file to the reply (default: no)')))
+           .addSubcommand(sub =>
+             sub.setName('list')
+                .setDescription('List backups on the server')))
+    .addSubcommand(sub =>
+      sub.setName('export')
+         .setDescription('Download raids, attendance, loot, links, keys and TOD data')
+         .addStringOption(o =>
+           o.setName('format')
+            .setDescription('File format (default: JSON bundle)')
+            .addChoices(
+              { name: 'JSON bundle (can be imported)', value: 'json' },
+              { name: 'Zip of CSVs (for spreadsheets)', value: 'csv' },
+            )))
+    .addSubcommand(sub =>
+      sub.setName('import')
+         .setDescription('Merge an exported JSON bundle into this database')
+         .addAttachmentOption(o =>
+           o.setName('file').setDescription('A .json file from /admin export').setRequired(true))
+         .addBooleanOption(o =>
+           o.setName('apply').setDescription('Actually import (default: preview what would change)'))),
+
+  async execute(interaction) {
+    const group = interaction.options.getSubcommandGroup();
+    const sub   = interaction.options.getSubcommand();
+
+    // ── /admin backup now ─────────────────────────────────────────────────────
+    if (group === 'backup' && sub === 'now') {
+      await interaction.deferReply({ flags: 64 });
+      const result = await backup.runBackup({ kind: 'manual' });
+      const name   = path.basename(result.file);
+      const upload = interaction.options.getBoolean('upload') ?? false;
+
+      const lines = [
+        `💾 Backed up to \`backups/${name}\` (${backup.formatSize(result.size)}).`,
+        result.deleted.length ? `Rotated out ${result.deleted.length} old scheduled backup(s).` : null,
+        upload && result.size > REPLY_UPLOAD_MAX_BYTES ? '⚠️ Too large to attach — copy it from the server.' : null,
+      ].filter(Boolean);
+
+      const files = upload && result.size <= REPLY_UPLOAD_MAX_BYTES
+        ? [new AttachmentBuilder(result.file, { name })]
+        : [];
+      return interaction.editReply({ content: lines.join('\n'), files });
+    }
+
+    // ── /admin backup list ────────────────────────────────────────────────────
+    if (group === 'backup' && sub === 'list') {
+      const backups = backup.listBackups();
+      const schedule = backup.INTERVAL_HOURS > 0
+        ? `Every ${backup.INTERVAL_HOURS}h  •  keeping ${backup.KEEP_DAILY} daily + ${backup.KEEP_WEEKLY} weekly`
+        : 'Scheduled backups are off (BACKUP_INTERVAL_HOURS=0)';
+
+      if (backups.length === 0) {
+        return interaction.reply({ content: `No backups yet. ${schedule}.`, flags: 64 });
+      }
+
+      const lines = backups.slice(0, 20).map(b =>
+        `${b.kind === 'manual' ? '✋' : '🕒'} <t:${Math.floor(b.createdAt / 1000)}:f> — \`${b.name}\` (${backup.formatSize(b.size)})`
+      );
+      if (backups.length > 20) lines.push(`*…and ${backups.length - 20} older*`);
+
+      const embed = new EmbedBuilder()
+        .setTitle('💾 Database Backups')
+        .setColor(0x2F4F4F)
+        .setDescription(lines.join('\n'))
+        .setFooter({ text: `${schedule}  •  🕒 scheduled  ✋ manual (never rotated)` });
+
+      return interaction.reply({ embeds: [embed], flags: 64 });
+    }
+
+    // ── /admin export ─────────────────────────────────────────────────────────
+    if (sub === 'export') {
+      await interaction.deferReply({ flags: 64 });
+      const format = interaction.options.getString('format') ?? 'json';
+      const result = exportData(format);
+      if (result.data.length > REPLY_UPLOAD_MAX_BYTES) {
+        return interaction.editReply(
+          `⚠️ The export is ${backup.formatSize(result.data.length)} — too large to attach. Run \`npm run guild-data -- export\` on the server instead.`
+        );
+      }
+
+      const summary = Object.entries(result.counts).map(([t, n]) => `${t}: ${n}`).join('  •  ');
+      return interaction.editReply({
+        content: `📦 Exported ${format === 'csv' ? 'as zipped CSVs' : 'as a JSON bundle'}.\n-# ${summary}`,
+        files:   [new AttachmentBuilder(result.data, { name: result.name })],
+      });
+    }
+
+    // ── /admin import ─────────────────────────────────────────────────────────
+    if (sub === 'import') {
+      const file  = interaction.options.getAttachment('file');
+      const apply = interaction.options.getBoolean('apply') ?? false;
+      if (file.size > REPLY_UPLOAD_MAX_BYTES) {
+        return interaction.reply({ content: '❌ That file is too large to import here — use `npm run guild-data -- import` on the server.', flags: 64 });
+      }
+
+      await interaction.deferReply({ flags: 64 });
+      let text;
+      try {
+        const res = await fetch(file.url);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        text = await res.text();
+      } catch (err) {
+        return interaction.editReply(`❌ Could not download \`${file.name}\`: ${err.message}`);
+      }
+
+      let saved = null;
+      if (apply) saved = path.basename((await backup.runBackup({ kind: 'manual' })).file);
+
+      const result = importData(text, { dryRun: !apply });
+      if (result.errors.length) {
+        const shown = result.errors.slice(0, 10).map(e => `• ${e}`);
+        if (result.errors.length > 10) shown.push(`…and ${result.errors.length - 10} more`);
+        return interaction.editReply(`❌ \`${file.name}\` can't be imported — nothing was changed.\n${shown.join('\n')}`);
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle(apply ? '📥 Import complete' : '📥 Import preview')
+        .setColor(apply ? 0x2E8B57 : 0xDAA520)
+        .setDescription('```\n' + formatImportReport(result).join('\n').slice(0, 3900) + '\n```')
+        .setFooter({ text: apply
+          ? `From ${file.name}  •  Backed up first to backups/${saved}`
+          : `Nothing was changed — run again with apply:true to import ${file.name}` });
+
+      return interaction.editReply({ embeds: [embed] });
+    }
+  },
+};
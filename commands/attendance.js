@@ -5,6 +5,16 @@
  *   /attendance raid    id:<raidId>           — who attended a specific raid
  *   /attendance player  user:@Someone         — all raids a Discord user attended
  *   /attendance player  character:Lyri        — same, but by character name
+ *   /attendance kill    raid:<raidId> [boss]  — who was present at each boss kill
+ *   /attendance standings [window] [class] [sort] [weighting] [page]
+ *                                             — attendance % per player over a rolling window
+ *   /attendance bench add    raid:<id> [user] [character] [note] — put someone on a raid's bench
+ *   /attendance bench remove raid:<id> [user] [character]        — take them off it
+ *   /attendance bench credit [attendance] [dkp]                  — show/set what a bench spot is worth
+ *
+ * Standings weight each raid by its tier (/raids tiers); optional raids count 0.
+ * The bench is also fed automatically: people in the raid voice channel who
+ * never show up in the zone /who (see lib/event-tracker.js).
  */
 
 'use strict';
@@ -17,7 +27,16 @@ const {
   enrichWithDiscordInfo,
   resolveCharacterNames,
   getDiscordInfoForChar,
+  getKillPresence,
+  getAttendanceStandings,
+  getRaidBench,
+  addBenchPlayer,
+  removeBenchPlayer,
+  getBenchCredit,
+  setBenchCredit,
+  getCharacterByDiscordId,
 } = require('../lib/db');
+const { paginate, paginateLines } = require('../lib/paginator');
 
 function formatDate(ts) {
   return new Date(ts).toLocaleDateString('en-US', {
@@ -32,6 +51,48 @@ const CLASS_ORDER = [
   'Enchanter', 'Necromancer', 'Cleric', 'Unknown',
 ];
 
+// /who shows a level title instead of the class from 51 up ("60 Virtuoso")
+const CLASS_TITLES = {
+  Warrior:        ['Champion', 'Myrmidon', 'Warlord'],
+  Cleric:         ['Vicar', 'Templar', 'High Priest'],
+  Paladin:        ['Cavalier', 'Knight', 'Crusader'],
+  Ranger:         ['Pathfinder', 'Outrider', 'Warder'],
+  'Shadow Knight': ['Reaver', 'Revenant', 'Grave Lord'],
+  Druid:          ['Wanderer', 'Preserver', 'Hierophant'],
+  Monk:           ['Disciple', 'Master', 'Grandmaster'],
+  Bard:           ['Minstrel', 'Troubadour', 'Virtuoso'],
+  Rogue:          ['Rake', 'Blackguard', 'Assassin'],
+  Shaman:         ['Mystic', 'Luminary', 'Oracle'],
+  Necromancer:    ['Heretic', 'Defiler', 'Warlock'],
+  Wizard:         ['Channeler', 'Evoker', 'Sorcerer'],
+  Magician:       ['Elementalist', 'Conjurer', 'Arch Mage'],
+  Enchanter:      ['Illusionist', 'Beguiler', 'Phantasmist'],
+  Beastlord:      ['Primalist', 'Animist', 'Savage Lord'],
+};
+const TITLE_TO_CLASS = new Map(
+  Object.entries(CLASS_TITLES).flatMap(([cls, titles]) => titles.map(t => [t.toLowerCase(), cls]))
+);
+
+/** Map a /who class or level title to its base class ("Virtuoso" → "Bard"). */
+function baseClass(cls) {
+  return cls ? TITLE_TO_CLASS.get(cls.toLowerCase()) ?? cls : null;
+}
+
+// /attendance standings windows, in days (0 = lifetime)
+const STANDINGS_WINDOWS = { '30': 30, '60': 60, '90': 90, lifetime: 0 };
+const STANDINGS_PAGE_SIZE = 20;
+
+/** raid + user/character options shared by /attendance bench add|remove. */
+function benchTargetOptions(sub) {
+  return sub
+    .addIntegerOption(o =>
+      o.setName('raid').setDescription('Raid ID').setRequired(true))
+    .addUserOption(o =>
+      o.setName('user').setDescription('Discord user (uses their linked character)'))
+    .addStringOption(o =>
+      o.setName('character').setDescription('Or an in-game character name'));
+}
+
 function groupByClass(rows) {
   const map = {};
   for (const p of rows) {
@@ -65,11 +126,75 @@ module.exports = {
             .setDescription('Discord user (preferred)'))
          .addStringOption(o =>
            o.setName('character')
-            .setDescription('Or look up by in-game character name'))),
+            .setDescription('Or look up by in-game character name')))
+    .addSubcommand(sub =>
+      sub.setName('kill')
+         .setDescription('Show who was present at each boss kill in a raid')
+         .addIntegerOption(o =>
+           o.setName('raid').setDescription('Raid ID').setRequired(true))
+         .addStringOption(o =>
+           o.setName('boss').setDescription('Only this boss — lists everyone present and who missed it')))
+    .addSubcommand(sub =>
+      sub.setName('standings')
+         .setDescription('Attendance percentage per player over a rolling window')
+         .addStringOption(o =>
+           o.setName('window')
+            .setDescription('Time window (default: 30 days)')
+            .addChoices(
+              { name: '30 days',  value: '30' },
+              { name: '60 days',  value: '60' },
+              { name: '90 days',  value: '90' },
+              { name: 'Lifetime', value: 'lifetime' },
+            ))
+         .addStringOption(o =>
+           o.setName('class')
+            .setDescription('Only players of this class')
+            .addChoices(...CLASS_ORDER.filter(c => c !== 'Unknown').map(c => ({ name: c, value: c }))))
+         .addStringOption(o =>
+           o.setName('sort')
+            .setDescription('Sort order (default: percentage)')
+            .addChoices(
+              { name: 'Percentage',     value: 'percent' },
+              { name: 'Raids attended', value: 'raids' },
+              { name: 'Name',           value: 'name' },
+            ))
+         .addStringOption(o =>
+           o.setName('weighting')
+            .setDescription('How a raid counts (default: any attendance = full raid)')
+            .addChoices(
+              { name: 'Raids — attending counts the whole raid', value: 'raids' },
+              { name: 'Kills — share of the raid\'s boss kills present for', value: 'kills' },
+            ))
+         .addIntegerOption(o =>
+           o.setName('page').setDescription('Page number (default: 1)').setMinValue(1)))
+    .addSubcommandGroup(group =>
+      group.setName('bench')
+           .setDescription('Standby players and the credit they get')
+           .addSubcommand(sub => benchTargetOptions(
+             sub.setName('add')
+                .setDescription('Put a player on a raid\'s bench'))
+                .addStringOption(o =>
+                  o.setName('note').setDescription('Why they were benched (optional)')))
+           .addSubcommand(sub => benchTargetOptions(
+             sub.setName('remove')
+                .setDescription('Take a player off a raid\'s bench')))
+           .addSubcommand(sub =>
+             sub.setName('credit')
+                .setDescription('Show or set how much a bench spot is worth')
+                .addIntegerOption(o =>
+                  o.setName('attendance')
+                   .setDescription('% of a raid it counts towards attendance standings')
+                   .setMinValue(0).setMaxValue(100))
+                .addIntegerOption(o =>
+                  o.setName('dkp')
+                   .setDescription('% of a full-raid DKP award')
+                   .setMinValue(0).setMaxValue(100)))),
 
   async execute(interaction) {
     const sub = interaction.options.getSubcommand();
 
+    if (interaction.options.getSubcommandGroup() === 'bench') return handleBench(interaction, sub);
+
     // ── /attendance raid ──────────────────────────────────────────────────────
     if (sub === 'raid') {
       const id   = interaction.options.getInteger('id');
@@ -77,7 +202,7 @@ module.exports = {
       if (!raid) return interaction.reply(`❌ No raid found with ID \`${id}\`.`);
 
       const attendance = getRaidAttendance(id);
-      if (attendance.length === 0) {
+      if (attendance.length === 0 && getRaidBench(id).length === 0) {
         return interaction.reply(`No attendance data recorded for raid **${raid.name}** (#${id}).`);
       }
 
@@ -85,33 +210,51 @@ module.exports = {
       const enriched = enrichWithDiscordInfo(attendance);
       const byClass  = groupByClass(enriched);
 
-      const classLines = Object.entries(byClass).map(([cls, players]) => {
-        const names = players.map(p => {
+      // A big class is wrapped onto continuation lines so pages break between names
+      const classLines = Object.entries(byClass).flatMap(([cls, players]) => {
+        const lines = [`**${cls}** [${players.length}]: `];
+        players.forEach((p, i) => {
           const lvl   = p.level ? `${p.level}` : '?';
           // If this character is linked to Discord, show a mention after the name
           const badge = p.discord_id ? ` <@${p.discord_id}>` : '';
-          return `${p.player_name}${badge} (${lvl})`;
-        }).join(', ');
-        return `**${cls}** [${players.length}]: ${names}`;
+          const name  = `${p.player_name}${badge} (${lvl})` + (i < players.length - 1 ? ',' : '');
+          if (lines[lines.length - 1].length + name.length > 1000) lines.push('↳ ');
+          const last = lines.length - 1;
+          lines[last] += (lines[last].endsWith(' ') ? '' : ' ') + name;
+        });
+        return lines;
       });
 
-      const fullText    = classLines.join('\n');
-      const description = fullText.length > 3800
-        ? fullText.slice(0, 3800) + '\n*(list truncated)*'
-        : fullText;
-
-      const embed = new EmbedBuilder()
-        .setTitle(`👥 ${raid.name} — Attendance`)
-        .setColor(0x228B22)
-        .setDescription(description)
-        .addFields(
-          { name: '🗺️ Zone',    value: raid.zone,                   inline: true },
-          { name: '📅 Date',    value: formatDate(raid.start_time), inline: true },
-          { name: '👤 Players', value: `${attendance.length}`,      inline: true },
-        )
-        .setFooter({ text: `Raid #${id}  •  Linked chars show Discord mentions  •  /loot raid:${id}` });
-
-      return interaction.reply({ embeds: [embed] });
+      const bench = getRaidBench(id);
+      const benchNames = bench.map(b => {
+        const tag = b.source === 'voice' ? ' 🎙️' : '';
+        return `${b.character_name}${tag}${b.note ? ` *(${b.note})*` : ''}`;
+      }).join(', ');
+
+      return paginateLines(interaction, {
+        lines: classLines,
+        embed: (description, page) => {
+          const embed = new EmbedBuilder()
+            .setTitle(`👥 ${raid.name} — Attendance`)
+            .setColor(0x228B22)
+            .setDescription(description || '*No one in the zone /who — bench only.*')
+            .addFields(
+              { name: '🗺️ Zone',    value: raid.zone,                   inline: true },
+              { name: '📅 Date',    value: formatDate(raid.start_time), inline: true },
+              { name: '👤 Players', value: `${attendance.length}`,      inline: true },
+            )
+            .setFooter({ text: `Raid #${id}  •  Linked chars show Discord mentions  •  /loot raid:${id}` });
+
+          // The bench goes under the first page
+          if (page === 0 && bench.length > 0) {
+            embed.addFields({
+              name:  `🪑 Bench [${bench.length}]`,
+              value: benchNames.length > 1000 ? benchNames.slice(0, 1000) + '…' : benchNames,
+            });
+          }
+          return embed;
+        },
+      });
     }
 
     // ── /attendance player ────────────────────────────────────────────────────
@@ -168,13 +311,175 @@ module.exports = {
             ? `<@${getDiscordInfoForChar(charName).discord_id}>`
             : charName);
 
-      const embed = new EmbedBuilder()
-        .setTitle(`👤 Attendance History`)
-        .setDescription(`${titleMention}\n\n` + lines.join('\n').slice(0, 3600))
-        .setColor(0x4169E1)
-        .setFooter({ text: `${records.length} raid(s) attended  •  Use /loot player for loot` });
+      return paginateLines(interaction, {
+        lines,
+        maxChars: 3600,
+        embed: description => new EmbedBuilder()
+          .setTitle(`👤 Attendance History`)
+          .setDescription(`${titleMention}\n\n` + description)
+          .setColor(0x4169E1)
+          .setFooter({ text: `${records.length} raid(s) attended  •  Use /loot player for loot` }),
+      });
+    }
+
+    // ── /attendance kill ──────────────────────────────────────────────────────
+    if (sub === 'kill') {
+      const id   = interaction.options.getInteger('raid');
+      const boss = interaction.options.getString('boss');
+      const raid = getRaid(id);
+      if (!raid) return interaction.reply(`❌ No raid found with ID \`${id}\`.`);
+
+      let kills = getKillPresence(id);
+      if (kills.length === 0) {
+        return interaction.reply(`No boss kills recorded for raid **${raid.name}** (#${id}).`);
+      }
+      if (boss) {
+        kills = kills.filter(k => k.mob_name.toLowerCase().includes(boss.toLowerCase()));
+        if (kills.length === 0) {
+          return interaction.reply(`❌ No kill matching **${boss}** in raid **${raid.name}** (#${id}).`);
+        }
+      }
+
+      const raidPlayers = getRaidAttendance(id).map(a => a.player_name);
+      const missedBy    = k => {
+        const present = new Set(k.present.map(n => n.toLowerCase()));
+        return raidPlayers.filter(n => !present.has(n.toLowerCase()));
+      };
+      const killLabel = k =>
+        `**${k.mob_name}** — <t:${Math.floor(k.killed_at / 1000)}:t>${k.estimated ? ' *(estimated — no /who near the kill)*' : ''}`;
 
-      return interaction.reply({ embeds: [embed] });
+      let blocks;
+      if (boss) {
+        // Full roster for the matching kill(s)
+        blocks = kills.map(k => {
+          const missed = missedBy(k);
+          return [
+            killLabel(k),
+            `✅ Present [${k.present.length}]: ${k.present.join(', ') || '—'}`,
+            `❌ Missed [${missed.length}]: ${missed.join(', ') || '—'}`,
+          ].join('\n');
+        });
+      } else {
+        blocks = kills.map(k => {
+          const missed = missedBy(k).length;
+          return `${killLabel(k)}\n  👥 ${k.present.length} present${missed ? `, ${missed} missed` : ''}`;
+        });
+      }
+
+      return paginateLines(interaction, {
+        lines:     blocks,
+        separator: boss ? '\n\n' : '\n',
+        embed: description => new EmbedBuilder()
+          .setTitle(`💀 ${raid.name} — Kill Attendance`)
+          .setColor(0x8B0000)
+          .setDescription(description)
+          .addFields(
+            { name: '🗺️ Zone',    value: raid.zone,                   inline: true },
+            { name: '📅 Date',    value: formatDate(raid.start_time), inline: true },
+            { name: '💀 Kills',   value: `${kills.length}`,           inline: true },
+          )
+          .setFooter({ text: `Raid #${id}  •  Present = in a /who within 10 minutes of the kill` }),
+      });
+    }
+
+    // ── /attendance standings ─────────────────────────────────────────────────
+    if (sub === 'standings') {
+      const windowKey = interaction.options.getString('window') ?? '30';
+      const cls       = interaction.options.getString('class');
+      const sort      = interaction.options.getString('sort') ?? 'percent';
+      const byKills   = interaction.options.getString('weighting') === 'kills';
+      const page      = (interaction.options.getInteger('page') ?? 1) - 1;
+
+      const days  = STANDINGS_WINDOWS[windowKey];
+      const since = days ? Date.now() - days * 86400_000 : 0;
+      const windowLabel = days ? `Last ${days} days` : 'Lifetime';
+
+      const { totalRaids, totalWeight, rows } = getAttendanceStandings({ since, weightByKills: byKills });
+      if (totalRaids === 0) {
+        return interaction.reply(`📭 No counted raids recorded — ${windowLabel.toLowerCase()}. (Optional raids don't count.)`);
+      }
+
+      const nameOf = r => r.characters[0];
+      const filtered = (cls ? rows.filter(r => baseClass(r.class) === cls) : rows).sort((a, b) =>
+        sort === 'name'  ? nameOf(a).localeCompare(nameOf(b)) :
+        sort === 'raids' ? b.attended - a.attended || b.percent - a.percent :
+                           b.percent - a.percent || b.attended - a.attended
+      );
+
+      const pageCount = Math.ceil(filtered.length / STANDINGS_PAGE_SIZE);
+      if (pageCount === 0) {
+        return interaction.reply(`📭 No ${cls ? `${cls} ` : ''}attendance in that window.`);
+      }
+      if (page >= pageCount) {
+        return interaction.reply(`📭 No more standings on this page — there ${pageCount === 1 ? 'is 1 page' : `are ${pageCount} pages`}.`);
+      }
+
+      const pageLines = page => filtered.slice(page * STANDINGS_PAGE_SIZE, (page + 1) * STANDINGS_PAGE_SIZE).map((r, i) => {
+        const who    = r.discord_id ? `<@${r.discord_id}> (${r.characters.join(', ')})` : nameOf(r);
+        const weighted = r.credit !== r.attended || totalWeight !== totalRaids;
+        const detail   = `${r.attended} / ${totalRaids} raids` +
+                         (r.benched ? ` + ${r.benched} bench` : '') +
+                         (weighted ? `, ${r.credit} / ${totalWeight} weighted` : '');
+        return `**${page * STANDINGS_PAGE_SIZE + i + 1}.** ${who} — **${r.percent}%** *(${detail})*` +
+               (!cls && r.class ? ` — ${baseClass(r.class)}` : '');
+      });
+
+      return paginate(interaction, {
+        pageCount,
+        page,
+        render: page => new EmbedBuilder()
+          .setTitle(`📈 Attendance Standings — ${windowLabel}${cls ? ` — ${cls}` : ''}`)
+          .setColor(0x228B22)
+          .setDescription(pageLines(page).join('\n').slice(0, 3800))
+          .setFooter({ text:
+            `${filtered.length} player(s)  •  ${totalRaids} raid(s) weighted by tier, optional excluded` +
+            (byKills ? '  •  weighted by boss kills' : ''),
+          }),
+      });
     }
   },
 };
+
+// ── /attendance bench ─────────────────────────────────────────────────────────
+
+async function handleBench(interaction, sub) {
+  if (sub === 'credit') {
+    const attendance = interaction.options.getInteger('attendance');
+    const dkp        = interaction.options.getInteger('dkp');
+    if (attendance != null || dkp != null) setBenchCredit({ attendance, dkp }, interaction.user.id);
+
+    const credit = getBenchCredit();
+    return interaction.reply(
+      `${attendance != null || dkp != null ? '✅ Bench credit updated.\n' : ''}` +
+      `🪑 A bench spot counts **${credit.attendance}%** of a raid towards attendance standings ` +
+      `and earns **${credit.dkp}%** of a full-raid DKP award.`
+    );
+  }
+
+  const id   = interaction.options.getInteger('raid');
+  const raid = getRaid(id);
+  if (!raid) return interaction.reply(`❌ No raid found with ID \`${id}\`.`);
+
+  const discordUser = interaction.options.getUser('user');
+  const character   = interaction.options.getString('character')?.trim()
+    || (discordUser ? getCharacterByDiscordId(discordUser.id) : null);
+  if (!character) {
+    return interaction.reply({
+      content: discordUser
+        ? `❌ <@${discordUser.id}> has no character linked. Pass a \`character\` instead.`
+        : '❌ Please provide either a Discord **user** or a **character** name.',
+      ephemeral: true,
+    });
+  }
+
+  if (sub === 'add') {
+    addBenchPlayer(id, character, { note: interaction.options.getString('note'), addedBy: interaction.user.id });
+    return interaction.reply(`🪑 **${character}** added to the bench for raid **${raid.name}** (#${id}).`);
+  }
+
+  if (sub === 'remove') {
+    return interaction.reply(removeBenchPlayer(id, character)
+      ? `✅ **${character}** removed from the bench for raid **${raid.name}** (#${id}).`
+      : `❌ **${character}** isn't on the bench for raid #${id}.`);
+  }
+}
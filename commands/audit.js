@@ -0,0 +1,113 @@
+/**
+ * /audit  —  Who changed what.
+ *
+ * Subcommands:
+ *   /audit recent [user] [action] [page]  — latest data-changing actions, newest first
+ *   /audit raid   id:<raidId>             — full history of one raid (create, merges, edits, bench, delete)
+ *
+ * Entries are written by lib/db.js for every write (see lib/audit.js); set
+ * AUDIT_CHANNEL_ID to also have them posted to a log channel as they happen.
+ */
+
+'use strict';
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { getAuditLog } = require('../lib/db');
+const { formatEntry, describeChange } = require('../lib/audit');
+
+const PAGE_SIZE = 10;
+
+function formatLine(entry) {
+  const detail = describeChange(entry);
+  const short  = detail.length > 180 ? detail.slice(0, 180) + '…' : detail;
+  return `<t:${Math.floor(entry.at / 1000)}:f> ${formatEntry(entry)}${short ? `\n↳ ${short}` : ''}`;
+}
+
+/** Join lines until the embed description limit, noting how many were cut. */
+function joinLines(lines) {
+  let text = '';
+  for (let i = 0; i < lines.length; i++) {
+    const next = text + lines[i] + '\n\n';
+    if (next.length > 3900) return text + `*(${lines.length - i} more not shown)*`;
+    text = next;
+  }
+  return text.trim();
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('audit')
+    .setDescription('Who changed what — raids, links, key holders, TOD, DKP, loot')
+    .addSubcommand(sub =>
+      sub.setName('recent')
+         .setDescription('Latest data-changing actions')
+         .addUserOption(o =>
+           o.setName('user').setDescription('Only actions by this user'))
+         .addStringOption(o =>
+           o.setName('action')
+            .setDescription('Only this kind of action')
+            .addChoices(
+              { name: 'Raids',          value: 'raid' },
+              { name: 'Player links',   value: 'player' },
+              { name: 'Key holders',    value: 'key' },
+              { name: 'Bench',          value: 'raid.bench' },
+              { name: 'TOD',            value: 'tod' },
+              { name: 'DKP',            value: 'dkp' },
+              { name: 'DKP rules',      value: 'dkp.rule' },
+              { name: 'Loot',           value: 'loot' },
+              { name: 'Permissions',    value: 'permission' },
+            ))
+         .addIntegerOption(o =>
+           o.setName('page').setDescription('Page number (default: 1)').setMinValue(1)))
+    .addSubcommand(sub =>
+      sub.setName('raid')
+         .setDescription('Full change history of one raid')
+         .addIntegerOption(o =>
+           o.setName('id').setDescription('Raid ID').setRequired(true))),
+
+  async execute(interaction) {
+    const sub = interaction.options.getSubcommand();
+
+    // ── /audit recent ─────────────────────────────────────────────────────────
+    if (sub === 'recent') {
+      const user       = interaction.options.getUser('user');
+      const action     = interaction.options.getString('action');
+      const page       = interaction.options.getInteger('page') ?? 1;
+
+      const entries = getAuditLog({
+        actorId: user?.id,
+        action,
+        limit:   PAGE_SIZE,
+        offset:  (page - 1) * PAGE_SIZE,
+      });
+      if (entries.length === 0) {
+        return interaction.reply({ content: page > 1 ? `No entries on page ${page}.` : 'No audit entries yet.', flags: 64 });
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle('📝 Audit Log')
+        .setColor(0x708090)
+        .setDescription(joinLines(entries.map(formatLine)))
+        .setFooter({ text: `Page ${page}  •  /audit recent page:${page + 1} for older entries` });
+
+      return interaction.reply({ embeds: [embed], allowedMentions: { parse: [] } });
+    }
+
+    // ── /audit raid ───────────────────────────────────────────────────────────
+    if (sub === 'raid') {
+      const id      = interaction.options.getInteger('id');
+      const entries = getAuditLog({ targetType: 'raid', targetId: id, limit: 50 });
+      if (entries.length === 0) {
+        return interaction.reply({ content: `No audit entries for raid \`${id}\`.`, flags: 64 });
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle(`📝 Raid #${id} — History`)
+        .setColor(0x708090)
+        .setDescription(joinLines(entries.map(formatLine)))
+        .setFooter({ text: `${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}, newest first` });
+
+      return interaction.reply({ embeds: [embed], allowedMentions: { parse: [] } });
+    }
+  },
+};
@@ -0,0 +1,156 @@
+/**
+ * /config  —  Bot settings that officers can change at runtime.
+ *
+ * Subcommands:
+ *   /config permissions list  [key]          — who can run what (grants + built-in defaults)
+ *   /config permissions grant key:<key> role:@Role  — allow a role to run a command / subcommand
+ *   /config permissions revoke key:<key> role:@Role — take that back
+ *   /config permissions reset key:<key>      — drop every grant so the key uses the defaults
+ *
+ * Keys are "command [group] subcommand", e.g. "raids delete" or "attendance bench add";
+ * granting a bare command name ("tod") covers all of its subcommands. Once a key has
+ * grants, only those roles (and Manage Server) may run it. See lib/permissions.js.
+ */
+
+'use strict';
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const {
+  getCommandPermissions,
+  grantCommandPermission,
+  revokeCommandPermission,
+  resetCommandPermission,
+} = require('../lib/db');
+const permissions = require('../lib/permissions');
+
+function keyOption(o) {
+  return o.setName('key')
+          .setDescription('Command / subcommand, e.g. "raids delete"')
+          .setRequired(true)
+          .setAutocomplete(true);
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('config')
+    .setDescription('Bot settings')
+    .addSubcommandGroup(group =>
+      group.setName('permissions')
+           .setDescription('Which roles can run which commands')
+           .addSubcommand(sub =>
+             sub.setName('list')
+                .setDescription('Show role grants and officer-only commands')
+                .addStringOption(o =>
+                  o.setName('key')
+                   .setDescription('Only show this command / subcommand')
+                   .setAutocomplete(true)))
+           .addSubcommand(sub =>
+             sub.setName('grant')
+                .setDescription('Allow a role to run a command or subcommand')
+                .addStringOption(keyOption)
+                .addRoleOption(o =>
+                  o.setName('role').setDescription('Role to allow').setRequired(true)))
+           .addSubcommand(sub =>
+             sub.setName('revoke')
+                .setDescription('Remove a role\'s access to a command or subcommand')
+                .addStringOption(keyOption)
+                .addRoleOption(o =>
+                  o.setName('role').setDescription('Role to remove').setRequired(true)))
+           .addSubcommand(sub =>
+             sub.setName('reset')
+                .setDescription('Drop all grants for a key so it uses the built-in defaults')
+                .addStringOption(keyOption))),
+
+  async autocomplete(interaction) {
+    const focused = interaction.options.getFocused().toLowerCase();
+    const keys = permissions.listKeys(interaction.client.commands.values())
+      .filter(k => k.includes(focused))
+      .slice(0, 25);
+    await interaction.respond(keys.map(k => ({ name: k, value: k })));
+  },
+
+  async execute(interaction) {
+    const sub = interaction.options.getSubcommand();
+    const key = interaction.options.getString('key')?.trim().toLowerCase().replace(/\s+/g, ' ');
+
+    if (key) {
+      const known = permissions.listKeys(interaction.client.commands.values());
+      if (!known.includes(key)) {
+        return interaction.reply({
+          content: `❌ \`${key}\` isn't a command or subcommand. Pick one from the suggestions, e.g. \`raids delete\`.`,
+          flags: 64,
+        });
+      }
+    }
+
+    // ── /config permissions list ──────────────────────────────────────────────
+    if (sub === 'list') {
+      const grants = getCommandPermissions().filter(g => !key || g.permission_key === key);
+      const byKey  = new Map();
+      for (const g of grants) {
+        if (!byKey.has(g.permission_key)) byKey.set(g.permission_key, []);
+        byKey.get(g.permission_key).push(`<@&${g.role_id}>`);
+      }
+
+      const grantLines = [...byKey].map(([k, roles]) => `\`${k}\` — ${roles.join(', ')}`);
+      const guarded    = [...permissions.DEFAULT_GUARDED]
+        .filter(k => (!key || k === key) && !byKey.has(k))
+        .map(k => `\`${k}\``);
+
+      const officers = permissions.officerRoleIds();
+      const embed = new EmbedBuilder()
+        .setTitle(key ? `🔒 Permissions — ${key}` : '🔒 Command Permissions')
+        .setColor(0x5865F2)
+        .addFields(
+          { name: 'Role grants', value: grantLines.join('\n').slice(0, 1024) || '*None*' },
+          { name: 'Officer-only by default', value: guarded.join(', ').slice(0, 1024) || '*None*' },
+          {
+            name:  'Officers',
+            value: officers.length > 0
+              ? officers.map(r => `<@&${r}>`).join(', ') + ' and anyone with Manage Server'
+              : 'Anyone with Manage Server (set OFFICER_ROLE_IDS to add roles)',
+          },
+        )
+        .setFooter({ text: 'Everything else is open to everyone  •  /config permissions grant' });
+
+      return interaction.reply({ embeds: [embed], flags: 64 });
+    }
+
+    // ── /config permissions grant ─────────────────────────────────────────────
+    if (sub === 'grant') {
+      const role = interaction.options.getRole('role');
+      if (!grantCommandPermission(key, role.id, interaction.user.id)) {
+        return interaction.reply({ content: `ℹ️ <@&${role.id}> can already run \`/${key}\`.`, flags: 64 });
+      }
+      console.log(`[Permissions] ${interaction.user.tag} granted "${key}" to role ${role.name}`);
+      return interaction.reply(
+        `✅ <@&${role.id}> can now run \`/${key}\`.\n` +
+        `Only roles granted this key (and Manage Server) can run it from now on.`
+      );
+    }
+
+    // ── /config permissions revoke ────────────────────────────────────────────
+    if (sub === 'revoke') {
+      const role = interaction.options.getRole('role');
+      if (!revokeCommandPermission(key, role.id)) {
+        return interaction.reply({ content: `⚠️ <@&${role.id}> has no grant for \`/${key}\`.`, flags: 64 });
+      }
+      console.log(`[Permissions] ${interaction.user.tag} revoked "${key}" from role ${role.name}`);
+      const left = getCommandPermissions().filter(g => g.permission_key === key).length;
+      return interaction.reply(
+        `🗑️ <@&${role.id}> can no longer run \`/${key}\`.` +
+        (left === 0 ? ' No grants left — the key is back to its defaults.' : '')
+      );
+    }
+
+    // ── /config permissions reset ─────────────────────────────────────────────
+    if (sub === 'reset') {
+      const removed = resetCommandPermission(key);
+      const req     = permissions.requirementFor(key);
+      const now     = req.roles
+        ? `it now follows the grants on \`${req.key}\``
+        : req.officer ? 'it is officer-only' : 'it is open to everyone';
+      return interaction.reply(`♻️ Removed ${removed} grant(s) for \`/${key}\` — ${now}.`);
+    }
+  },
+};
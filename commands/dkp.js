@@ -0,0 +1,339 @@
+/**
+ * /dkp  —  DKP ledger: balances, standings and manual awards/charges.
+ *
+ * Balances roll up across every character linked to the same Discord user,
+ * exactly like /attendance player and /loot player.
+ *
+ * Subcommands:
+ *   /dkp balance   [user] [character]                       — current balance
+ *   /dkp standings [page]                                   — everyone, highest first
+ *   /dkp award     amount reason [user] [character] [raid]  — add points
+ *   /dkp charge    amount reason [user] [character] [raid]  — spend points
+ *   /dkp history   [user] [character] [limit]               — recent transactions
+ *   /dkp rules                                              — list attendance award rules
+ *   /dkp rule-set  zone per_hour [bonuses…]                 — create/replace a zone's rule
+ *   /dkp rule-remove zone                                   — delete a zone's rule
+ *   /dkp recalculate raid                                   — rebuild a raid's attendance awards
+ *
+ * An award tied to a raid is recorded as "earn"; without a raid it is an "adjust"
+ * (manual correction). Charges are always "spend".
+ *
+ * Attendance awards are automatic: whenever a raid is saved, merged or edited,
+ * its rule-based awards are rebuilt from first_seen/last_seen (see lib/dkp-rules.js).
+ */
+
+'use strict';
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const {
+  getRaid,
+  addDkpTransaction,
+  getDkpBalance,
+  getDkpStandings,
+  getDkpStandingsCount,
+  getDkpHistory,
+  getDkpRules,
+  setDkpRule,
+  removeDkpRule,
+  recalculateRaidDkp,
+  resolveCharacterNames,
+  getDiscordInfoForChar,
+  getCharacterByDiscordId,
+} = require('../lib/db');
+const { DEFAULT_RULE_ZONE } = require('../lib/dkp-rules');
+
+function formatDate(ts) {
+  return new Date(ts).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/** Format a point value without trailing zeros, e.g. 12 / 12.5 / -3.25 */
+function formatPoints(n) {
+  return `${Math.round(n * 100) / 100}`;
+}
+
+function describeRule(r) {
+  const zone = r.zone === DEFAULT_RULE_ZONE ? '*(default — all other raids)*' : `**${r.zone}**`;
+  return `${zone}\n  ↳ ${formatPoints(r.per_hour)}/hr` +
+         `  •  on-time +${formatPoints(r.on_time_bonus)} (within ${r.on_time_grace_minutes}m)` +
+         `  •  full raid +${formatPoints(r.full_raid_bonus)} (${formatPoints(r.full_raid_percent)}% present)`;
+}
+
+/**
+ * Resolve the user/character options into a lookup term for the ledger.
+ * Defaults to the invoking user when neither option is given.
+ */
+function resolveTarget(interaction) {
+  const discordUser = interaction.options.getUser('user');
+  const charName    = interaction.options.getString('character')?.trim();
+
+  if (charName) {
+    const info = getDiscordInfoForChar(charName);
+    return {
+      lookupTerm: info ? info.discord_id : charName,
+      label:      info ? `<@${info.discord_id}>` : charName,
+      character:  charName,
+    };
+  }
+
+  const user = discordUser ?? interaction.user;
+  return {
+    lookupTerm: user.id,
+    label:      `<@${user.id}>`,
+    character:  getCharacterByDiscordId(user.id),
+  };
+}
+
+const targetOptions = sub => sub
+  .addUserOption(o =>
+    o.setName('user').setDescription('Discord user (defaults to you)'))
+  .addStringOption(o =>
+    o.setName('character').setDescription('Or look up by in-game character name'));
+
+const transactionOptions = sub => sub
+  .addNumberOption(o =>
+    o.setName('amount').setDescription('Number of points').setRequired(true).setMinValue(0.01))
+  .addStringOption(o =>
+    o.setName('reason').setDescription('Why, e.g. "Vulak kill" or "Bracer of the Hidden"').setRequired(true))
+  .addUserOption(o =>
+    o.setName('user').setDescription('Discord user (uses their first linked character)'))
+  .addStringOption(o =>
+    o.setName('character').setDescription('Or a specific in-game character'))
+  .addIntegerOption(o =>
+    o.setName('raid').setDescription('Raid ID this relates to (optional)').setMinValue(1));
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('dkp')
+    .setDescription('DKP balances, standings and transactions')
+    .addSubcommand(sub => targetOptions(
+      sub.setName('balance')
+         .setDescription("Show a player's DKP balance")))
+    .addSubcommand(sub =>
+      sub.setName('standings')
+         .setDescription('Show DKP standings for everyone')
+         .addIntegerOption(o =>
+           o.setName('page').setDescription('Page number (default: 1)').setMinValue(1)))
+    .addSubcommand(sub => transactionOptions(
+      sub.setName('award')
+         .setDescription('Award DKP to a player')))
+    .addSubcommand(sub => transactionOptions(
+      sub.setName('charge')
+         .setDescription('Charge DKP from a player (e.g. for loot)')))
+    .addSubcommand(sub => targetOptions(
+      sub.setName('history')
+         .setDescription("Show a player's recent DKP transactions"))
+         .addIntegerOption(o =>
+           o.setName('limit').setDescription('Number of entries (1-25)').setMinValue(1).setMaxValue(25)))
+    .addSubcommand(sub =>
+      sub.setName('rules')
+         .setDescription('List the automatic attendance award rules'))
+    .addSubcommand(sub =>
+      sub.setName('rule-set')
+         .setDescription('Create or replace the attendance award rule for a zone')
+         .addStringOption(o =>
+           o.setName('zone').setDescription('Zone (partial match), or * for the default rule').setRequired(true))
+         .addNumberOption(o =>
+           o.setName('per_hour').setDescription('Points per hour present').setRequired(true).setMinValue(0))
+         .addNumberOption(o =>
+           o.setName('on_time_bonus').setDescription('Bonus for arriving on time (default: 0)').setMinValue(0))
+         .addIntegerOption(o =>
+           o.setName('on_time_grace').setDescription('Minutes after raid start that still count as on time (default: 15)').setMinValue(0))
+         .addNumberOption(o =>
+           o.setName('full_raid_bonus').setDescription('Bonus for staying the whole raid (default: 0)').setMinValue(0))
+         .addNumberOption(o =>
+           o.setName('full_raid_percent').setDescription('Percent of the raid needed for the full-raid bonus (default: 90)').setMinValue(1).setMaxValue(100)))
+    .addSubcommand(sub =>
+      sub.setName('rule-remove')
+         .setDescription('Delete the attendance award rule for a zone')
+         .addStringOption(o =>
+           o.setName('zone').setDescription('Zone key exactly as listed in /dkp rules').setRequired(true)))
+    .addSubcommand(sub =>
+      sub.setName('recalculate')
+         .setDescription("Rebuild a raid's automatic attendance awards with the current rules")
+         .addIntegerOption(o =>
+           o.setName('raid').setDescription('Raid ID').setRequired(true).setMinValue(1))),
+
+  async execute(interaction) {
+    const sub = interaction.options.getSubcommand();
+
+    // ── /dkp balance ─────────────────────────────────────────────────────────
+    if (sub === 'balance') {
+      const { lookupTerm, label } = resolveTarget(interaction);
+      const chars   = resolveCharacterNames(lookupTerm);
+      const totals  = getDkpBalance(lookupTerm);
+
+      if (totals.transactions === 0) {
+        return interaction.reply(`${label} has no DKP transactions yet.`);
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle('🪙 DKP Balance')
+        .setColor(0xDAA520)
+        .setDescription(`${label}\n\n**${formatPoints(totals.balance)}** DKP`)
+        .addFields(
+          { name: 'Earned',      value: formatPoints(totals.earned),   inline: true },
+          { name: 'Spent',       value: formatPoints(totals.spent),    inline: true },
+          { name: 'Adjustments', value: formatPoints(totals.adjusted), inline: true },
+        )
+        .setFooter({ text: `Characters: ${chars.join(', ')}  •  ${totals.transactions} transaction(s)` });
+
+      return interaction.reply({ embeds: [embed] });
+    }
+
+    // ── /dkp standings ───────────────────────────────────────────────────────
+    if (sub === 'standings') {
+      const page   = (interaction.options.getInteger('page') ?? 1) - 1;
+      const limit  = 20;
+      const rows   = getDkpStandings(limit, page * limit);
+      const total  = getDkpStandingsCount();
+
+      if (rows.length === 0) {
+        return interaction.reply(
+          page === 0 ? '📭 No DKP has been recorded yet.' : '📭 No more standings on this page.'
+        );
+      }
+
+      const lines = rows.map((r, i) => {
+        const who = r.discord_id ? `<@${r.discord_id}>` : r.characters.split(',').join(', ');
+        return `**${page * limit + i + 1}.** ${who} — **${formatPoints(r.balance)}** ` +
+               `*(+${formatPoints(r.earned)} / −${formatPoints(r.spent)})*`;
+      });
+
+      const embed = new EmbedBuilder()
+        .setTitle('🏆 DKP Standings')
+        .setColor(0xDAA520)
+        .setDescription(lines.join('\n'))
+        .setFooter({ text: `Page ${page + 1} of ${Math.ceil(total / limit)}  •  ${total} player(s)` });
+
+      return interaction.reply({ embeds: [embed] });
+    }
+
+    // ── /dkp award  /  /dkp charge ───────────────────────────────────────────
+    if (sub === 'award' || sub === 'charge') {
+      const amount = interaction.options.getNumber('amount');
+      const reason = interaction.options.getString('reason').trim();
+      const raidId = interaction.options.getInteger('raid');
+      const { lookupTerm, label, character } = resolveTarget(interaction);
+
+      if (!character) {
+        return interaction.reply({
+          content: `❌ ${label} has no characters linked. Use \`/player link\` first, or pass a \`character\`.`,
+          ephemeral: true,
+        });
+      }
+
+      const raid = raidId ? getRaid(raidId) : null;
+      if (raidId && !raid) {
+        return interaction.reply(`❌ No raid found with ID \`${raidId}\`.`);
+      }
+
+      const type = sub === 'charge' ? 'spend' : raid ? 'earn' : 'adjust';
+      addDkpTransaction({
+        characterName: character,
+        raidId:        raid ? raid.id : null,
+        type,
+        amount,
+        reason,
+        createdBy:     interaction.user.id,
+      });
+
+      const { balance } = getDkpBalance(lookupTerm);
+      const verb     = sub === 'charge' ? `🪙 Charged **${formatPoints(amount)}** DKP from` : `🪙 Awarded **${formatPoints(amount)}** DKP to`;
+      const raidNote = raid ? ` (raid **#${raid.id} — ${raid.name}**)` : '';
+
+      return interaction.reply(
+        `${verb} ${label} as \`${character}\`${raidNote}.\n` +
+        `Reason: ${reason}\n` +
+        `New balance: **${formatPoints(balance)}** DKP`
+      );
+    }
+
+    // ── /dkp history ─────────────────────────────────────────────────────────
+    if (sub === 'history') {
+      const limit = interaction.options.getInteger('limit') ?? 15;
+      const { lookupTerm, label } = resolveTarget(interaction);
+      const rows  = getDkpHistory(lookupTerm, limit);
+
+      if (rows.length === 0) {
+        return interaction.reply(`${label} has no DKP transactions yet.`);
+      }
+
+      const lines = rows.map(t => {
+        const sign = t.amount >= 0 ? '+' : '−';
+        const raid = t.raid_name ? `  •  ${t.raid_name}` : '';
+        return `\`${sign}${formatPoints(Math.abs(t.amount))}\` **${t.type}** ${t.character_name}` +
+               ` — ${t.reason || '*no reason*'}\n  ↳ ${formatDate(t.created_at)}${raid}`;
+      });
+
+      const { balance } = getDkpBalance(lookupTerm);
+
+      const embed = new EmbedBuilder()
+        .setTitle('📜 DKP History')
+        .setColor(0xDAA520)
+        .setDescription(`${label}\n\n` + lines.join('\n'))
+        .setFooter({ text: `Balance: ${formatPoints(balance)} DKP  •  showing last ${rows.length}` });
+
+      return interaction.reply({ embeds: [embed] });
+    }
+
+    // ── /dkp rules ───────────────────────────────────────────────────────────
+    if (sub === 'rules') {
+      const rules = getDkpRules();
+      if (rules.length === 0) {
+        return interaction.reply(
+          'No attendance award rules yet — raids earn no automatic DKP.\n' +
+          'Add one with `/dkp rule-set zone:* per_hour:10` (use `*` for the default rule).'
+        );
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle('⚙️ Attendance DKP Rules')
+        .setColor(0xDAA520)
+        .setDescription(rules.map(describeRule).join('\n'))
+        .setFooter({ text: 'Applied whenever a raid is saved, merged or edited' });
+
+      return interaction.reply({ embeds: [embed] });
+    }
+
+    // ── /dkp rule-set ────────────────────────────────────────────────────────
+    if (sub === 'rule-set') {
+      const zone = interaction.options.getString('zone').trim();
+      setDkpRule(zone, {
+        perHour:            interaction.options.getNumber('per_hour'),
+        onTimeBonus:        interaction.options.getNumber('on_time_bonus'),
+        onTimeGraceMinutes: interaction.options.getInteger('on_time_grace'),
+        fullRaidBonus:      interaction.options.getNumber('full_raid_bonus'),
+        fullRaidPercent:    interaction.options.getNumber('full_raid_percent'),
+      }, interaction.user.id);
+
+      const rule = getDkpRules().find(r => r.zone.toLowerCase() === zone.toLowerCase());
+      return interaction.reply(
+        `✅ Rule saved:\n${describeRule(rule)}\n\n` +
+        `Existing raids keep their current awards — use \`/dkp recalculate\` to re-apply.`
+      );
+    }
+
+    // ── /dkp rule-remove ─────────────────────────────────────────────────────
+    if (sub === 'rule-remove') {
+      const zone = interaction.options.getString('zone').trim();
+      if (!removeDkpRule(zone)) {
+        return interaction.reply({ content: `❌ No rule found for zone \`${zone}\`.`, ephemeral: true });
+      }
+      return interaction.reply(`🗑️ Removed the attendance award rule for \`${zone}\`.`);
+    }
+
+    // ── /dkp recalculate ─────────────────────────────────────────────────────
+    if (sub === 'recalculate') {
+      const raidId = interaction.options.getInteger('raid');
+      const raid   = getRaid(raidId);
+      if (!raid) return interaction.reply(`❌ No raid found with ID \`${raidId}\`.`);
+
+      const { awarded, total } = recalculateRaidDkp(raidId);
+      return interaction.reply(
+        awarded > 0
+          ? `🔄 Raid **#${raid.id} — ${raid.name}**: ${awarded} player(s) awarded **${formatPoints(total)}** DKP in total.`
+          : `🔄 Raid **#${raid.id} — ${raid.name}**: no rule applies (or no timed attendance) — no automatic DKP awarded.`
+      );
+    }
+  },
+};
@@ -13,9 +13,12 @@ module.exports = {
         name: '📋 /raids',
         value: [
           '`list [page]` — browse recorded raids',
-          '`info id:<id>` — full details for a raid',
-          '`edit id:<id> [name] [zone] [date] [start_time] [end_time]` — update a raid',
-          '`delete id:<id>` — permanently delete a raid',
+          '`info id:<id>` — full details for a raid, including boss kills',
+          '`export id:<id> format:<csv|markdown|json>` — download a raid\'s full attendance and loot',
+          '`edit id:<id> [name] [zone] [date] [start_time] [end_time] [tier] [category]` — update a raid',
+          '`tiers` / `tier-weight tier weight` — how much main / optional / farm / training raids count',
+          '`delete id:<id>` — move a raid to the trash',
+          '`trash [page]` / `restore id:<id>` — list deleted raids / bring one back before it is purged',
         ].join('\n'),
       },
       {
@@ -23,14 +26,33 @@ module.exports = {
         value: [
           '`raid id:<id>` — who attended a specific raid',
           '`player [user] [character]` — full attendance history for a player',
+          '`kill raid:<id> [boss]` — who was present at each boss kill',
+          '`standings [window] [class] [sort] [weighting] [page]` — attendance % over 30/60/90 days or lifetime',
+          '`bench add|remove raid:<id> [user] [character]` — standby players (voice-only raiders are added automatically)',
+          '`bench credit [attendance] [dkp]` — what a bench spot is worth',
         ].join('\n'),
       },
       {
         name: '🎁 /loot',
         value: [
-          '`raid id:<id> [player] [character]` — loot from a specific raid',
+          '`raid id:<id> [player] [character] [unpriced]` — loot from a specific raid',
           '`player [user] [character]` — everything a player has ever looted',
           '`item name:<partial>` — search who looted an item by name',
+          '`award id:<loot id> method [price] [notes]` — record how an item was awarded / what it cost',
+          '`bid item:<name> [raid] [minutes] [min_bid] [increment] [closed]` — open a live DKP auction (officers can cancel it from its message)',
+          '`rolls id:<id> [character]` — audit /random roll-offs parsed from the logs',
+        ].join('\n'),
+      },
+      {
+        name: '🪙 /dkp',
+        value: [
+          '`balance [user] [character]` — DKP balance across all linked characters',
+          '`standings [page]` — everyone\'s DKP, highest first',
+          '`award amount reason [user] [character] [raid]` — add points',
+          '`charge amount reason [user] [character] [raid]` — spend points',
+          '`history [user] [character] [limit]` — recent DKP transactions',
+          '`rules` / `rule-set zone per_hour […]` / `rule-remove zone` — automatic attendance awards',
+          '`recalculate raid:<id>` — rebuild a raid\'s attendance awards',
         ].join('\n'),
       },
       {
@@ -44,8 +66,8 @@ module.exports = {
       {
         name: '🎮 /player',
         value: [
-          '`link character:<name> [user]` — link an in-game character to a Discord account',
-          '`unlink character:<name>` — remove a character link',
+          '`link character:<name> [user]` — link an in-game character to a Discord account (officers for others)',
+          '`unlink character:<name>` — remove a character link (officers for others\' characters)',
           '`chars [user]` — list all characters linked to a Discord account',
           '`whois character:<name>` — find which Discord user owns a character',
         ].join('\n'),
@@ -53,12 +75,38 @@ module.exports = {
       {
         name: '📂 /parse',
         value: [
-          '`name zone date start_time end_time character logfile [raid_id]`',
+          '`name zone date start_time end_time character logfile [raid_id] [tier] [category]`',
           'Attach your EQ log `.txt` file (25 MB Discord limit).',
+          'Boss kills found in the log are recorded to the TOD tracker automatically.',
           '**Large logs:** trim to the session first using Notepad++ or:',
           '`Select-String -Path eqlog.txt -Pattern "^\\[" | Where-Object { $_.Line -ge "[Mon Jan 01]" } | Set-Content trimmed.txt`',
         ].join('\n'),
       },
+      {
+        name: '📝 /audit',
+        value: [
+          '`recent [user] [action] [page]` — latest data-changing actions and who made them',
+          '`raid id:<raidId>` — full change history of one raid',
+        ].join('\n'),
+      },
+      {
+        name: '🛠️ /admin',
+        value: [
+          '`backup now [upload]` — back up the database right away',
+          '`backup list` — backups on the server (taken automatically every day)',
+          '`export [format]` — download the guild\'s data as JSON or zipped CSVs',
+          '`import file [apply]` — merge an export into this bot (previews first)',
+        ].join('\n'),
+      },
+      {
+        name: '⚙️ /config',
+        value: [
+          '`permissions list [key]` — which roles can run which commands',
+          '`permissions grant key:<key> role:@Role` — allow a role, e.g. key `raids delete`',
+          '`permissions revoke key:<key> role:@Role` / `permissions reset key:<key>`',
+          'Edits, deletes and DKP/loot/TOD/key changes are officer-only by default.',
+        ].join('\n'),
+      },
     ];
 
     const embed = new EmbedBuilder()
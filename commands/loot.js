@@ -7,6 +7,12 @@
  *   /loot player  user:@Someone           — everything a Discord user has received
  *   /loot player  character:Lyri          — same, but by character name
  *   /loot item    name:<partial>          — search item history across all raids
+ *   /loot award   id:<lootId> method:<m>  — record price / award method for a loot row
+ *   /loot bid     item:<name>             — open a live DKP auction (see lib/auctions.js)
+ *   /loot rolls   id:<raidId>             — audit the /random roll-offs parsed for a raid
+ *
+ * Loot parsed from logs arrives "unpriced"; officers settle it with /loot award.
+ * A DKP award with a price charges the winner automatically.
  */
 
 'use strict';
@@ -21,7 +27,27 @@ const {
   getDiscordInfoForChar,
   getCharsForDiscordId,
   enrichWithDiscordInfo,
+  getLoot,
+  setLootAward,
+  getRaidByDate,
+  getRaidRolls,
 } = require('../lib/db');
+const auctions = require('../lib/auctions');
+const { paginateLines } = require('../lib/paginator');
+
+const AWARD_METHOD_LABELS = {
+  dkp:     'DKP bid',
+  roll:    'Roll',
+  council: 'Council',
+  free:    'Free / rot',
+};
+
+/** Short settlement tag for a loot row, e.g. "45 DKP", "roll", "unpriced". */
+function formatAward(l) {
+  if (!l.award_method) return '*unpriced*';
+  if (l.award_method === 'dkp') return l.price != null ? `${Math.round(l.price * 100) / 100} DKP` : 'DKP';
+  return AWARD_METHOD_LABELS[l.award_method].toLowerCase();
+}
 
 function formatDateTime(ts) {
   return new Date(ts).toLocaleString('en-US', {
@@ -34,6 +60,33 @@ function formatTime(ts) {
   return new Date(ts).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
 }
 
+/** Group rolls by a key, preserving order. */
+function groupRolls(rolls, keyFn) {
+  const map = new Map();
+  for (const r of rolls) {
+    const key = keyFn(r);
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(r);
+  }
+  return map;
+}
+
+/**
+ * Describe how a loot row's linked roll-off went, e.g. "won on roll 87/100 vs 3 others".
+ * Flags ⚠️ when the looter didn't roll or didn't have the top roll.
+ */
+function describeRollWin(l, rolls) {
+  if (!rolls || rolls.length === 0) return '';
+  const looterChars = new Set(resolveCharacterNames(l.player_name).map(c => c.toLowerCase()));
+  const mine   = rolls.filter(r => looterChars.has(r.player_name.toLowerCase()));
+  const others = new Set(rolls.filter(r => !mine.includes(r)).map(r => r.player_name.toLowerCase())).size;
+
+  if (mine.length === 0) return ` 🎲 *roll-off of ${others}, looter didn't roll* ⚠️`;
+  const best = Math.max(...mine.map(r => r.result));
+  const top  = Math.max(...rolls.map(r => r.result));
+  return ` 🎲 *won on roll ${best}/${mine[0].roll_max} vs ${others} other(s)*${best < top ? ' ⚠️' : ''}`;
+}
+
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('loot')
@@ -46,7 +99,9 @@ module.exports = {
          .addUserOption(o =>
            o.setName('player').setDescription('Filter by Discord user (optional)'))
          .addStringOption(o =>
-           o.setName('character').setDescription('Or filter by character name (optional)')))
+           o.setName('character').setDescription('Or filter by character name (optional)'))
+         .addBooleanOption(o =>
+           o.setName('unpriced').setDescription('Only show items that still need settling')))
     .addSubcommand(sub =>
       sub.setName('player')
          .setDescription('Show everything a player has ever looted')
@@ -58,7 +113,43 @@ module.exports = {
       sub.setName('item')
          .setDescription('Search for who has looted a specific item (partial name ok)')
          .addStringOption(o =>
-           o.setName('name').setDescription('Item name or partial name').setRequired(true))),
+           o.setName('name').setDescription('Item name or partial name').setRequired(true)))
+    .addSubcommand(sub =>
+      sub.setName('award')
+         .setDescription('Record how a looted item was awarded and what it cost')
+         .addIntegerOption(o =>
+           o.setName('id').setDescription('Loot ID (shown as #id in /loot raid)').setRequired(true).setMinValue(1))
+         .addStringOption(o =>
+           o.setName('method').setDescription('How the item was awarded').setRequired(true)
+            .addChoices(...Object.entries(AWARD_METHOD_LABELS).map(([value, name]) => ({ name, value }))))
+         .addNumberOption(o =>
+           o.setName('price').setDescription('DKP paid (charged to the winner for DKP bids)').setMinValue(0))
+         .addStringOption(o =>
+           o.setName('notes').setDescription('Notes, e.g. "won vs Bob 45-40"')))
+    .addSubcommand(sub =>
+      sub.setName('bid')
+         .setDescription('Open a live DKP auction for an item')
+         .addStringOption(o =>
+           o.setName('item').setDescription('Item name').setRequired(true))
+         .addIntegerOption(o =>
+           o.setName('raid').setDescription('Raid the item dropped in (default: today\'s raid)').setMinValue(1))
+         .addIntegerOption(o =>
+           o.setName('minutes').setDescription('How long bidding stays open (default: 2)').setMinValue(1).setMaxValue(30))
+         .addNumberOption(o =>
+           o.setName('min_bid').setDescription('Minimum bid (default: 1)').setMinValue(0))
+         .addNumberOption(o =>
+           o.setName('increment').setDescription('Minimum raise over the high bid (default: 1)').setMinValue(0))
+         .addBooleanOption(o =>
+           o.setName('closed').setDescription('Hide bids until the auction ends (default: false)')))
+    .addSubcommand(sub =>
+      sub.setName('rolls')
+         .setDescription('Audit the /random roll-offs parsed for a raid')
+         .addIntegerOption(o =>
+           o.setName('id').setDescription('Raid ID').setRequired(true))
+         .addStringOption(o =>
+           o.setName('character').setDescription('Only roll-offs this character took part in'))),
+
+  handleComponent: interaction => auctions.handleComponent(interaction),
 
   async execute(interaction) {
     const sub = interaction.options.getSubcommand();
@@ -68,6 +159,7 @@ module.exports = {
       const id          = interaction.options.getInteger('id');
       const filterUser  = interaction.options.getUser('player');
       const filterChar  = interaction.options.getString('character');
+      const onlyUnpriced = interaction.options.getBoolean('unpriced') ?? false;
       const raid        = getRaid(id);
 
       if (!raid) return interaction.reply(`❌ No raid found with ID \`${id}\`.`);
@@ -90,32 +182,38 @@ module.exports = {
         loot = loot.filter(l => filterSet.has(l.player_name.toLowerCase()));
       }
 
+      const unpricedCount = loot.filter(l => !l.award_method).length;
+      if (onlyUnpriced) loot = loot.filter(l => !l.award_method);
+
       if (loot.length === 0) {
-        const who = filterLabel ? ` for ${filterLabel}` : '';
-        return interaction.reply(`No loot records${who} for raid **${raid.name}** (#${id}).`);
+        const who  = filterLabel ? ` for ${filterLabel}` : '';
+        const what = onlyUnpriced ? 'unpriced loot' : 'loot records';
+        return interaction.reply(`No ${what}${who} for raid **${raid.name}** (#${id}).`);
       }
 
-      const shown = loot.slice(0, 25);
-      const extra = loot.length - shown.length;
+      const rollsByLoot = groupRolls(getRaidRolls(id).filter(r => r.loot_id), r => r.loot_id);
 
-      const lines = shown.map(l => {
+      const lines = loot.map(l => {
         const info   = getDiscordInfoForChar(l.player_name);
         const who    = info ? `${l.player_name} <@${info.discord_id}>` : l.player_name;
-        return `**${formatTime(l.looted_at)}** ${who} — ${l.item_name}`;
+        return `\`#${l.id}\` **${formatTime(l.looted_at)}** ${who} — ${l.item_name} *(${formatAward(l)})*` +
+               describeRollWin(l, rollsByLoot.get(l.id));
+      });
+
+      return paginateLines(interaction, {
+        lines,
+        maxLines: 25,
+        embed: description => new EmbedBuilder()
+          .setTitle(`💎 ${raid.name}${filterLabel ? ` — ${filterLabel}` : ''} (Loot)`)
+          .setColor(0xFFD700)
+          .setDescription(description)
+          .addFields(
+            { name: '🗺️ Zone',  value: raid.zone,       inline: true },
+            { name: '💎 Total', value: `${loot.length}`, inline: true },
+            { name: '🏷️ Unpriced', value: `${unpricedCount}`, inline: true },
+          )
+          .setFooter({ text: `Raid #${id}  •  Settle items with /loot award id:<#id>` }),
       });
-      if (extra > 0) lines.push(`*… and ${extra} more item(s)*`);
-
-      const embed = new EmbedBuilder()
-        .setTitle(`💎 ${raid.name}${filterLabel ? ` — ${filterLabel}` : ''} (Loot)`)
-        .setColor(0xFFD700)
-        .setDescription(lines.join('\n'))
-        .addFields(
-          { name: '🗺️ Zone',  value: raid.zone,       inline: true },
-          { name: '💎 Total', value: `${loot.length}`, inline: true },
-        )
-        .setFooter({ text: `Raid #${id}` });
-
-      return interaction.reply({ embeds: [embed] });
     }
 
     // ── /loot player ──────────────────────────────────────────────────────────
@@ -154,22 +252,26 @@ module.exports = {
         return interaction.reply(`No loot records found for ${titleLine}.\n${searched}`);
       }
 
-      const lines = records.slice(0, 25).map(l => {
+      const lines = records.map(l => {
         // When multiple characters, tag which char received the item
         const charNote = isMultiChar ? ` *(${l.player_name})*` : '';
-        return `• **${l.item_name}**${charNote}\n  ↳ ${l.raid_name}  •  ${formatDateTime(l.looted_at)}`;
+        return `• **${l.item_name}**${charNote} \`#${l.id}\` *(${formatAward(l)})*\n  ↳ ${l.raid_name}  •  ${formatDateTime(l.looted_at)}`;
       });
-      if (records.length > 25) lines.push(`*… and ${records.length - 25} more item(s)*`);
 
       const charsFooter = isMultiChar ? `Characters: ${allChars.join(', ')}  •  ` : '';
+      const dkpSpent    = records.reduce((n, l) => n + (l.award_method === 'dkp' ? l.price ?? 0 : 0), 0);
+      const spentFooter = dkpSpent > 0 ? `  •  ${Math.round(dkpSpent * 100) / 100} DKP spent` : '';
 
-      const embed = new EmbedBuilder()
-        .setTitle(`💎 Loot History`)
-        .setDescription(`${titleLine}\n\n` + lines.join('\n'))
-        .setColor(0xFFD700)
-        .setFooter({ text: `${charsFooter}${records.length} item(s) total` });
-
-      return interaction.reply({ embeds: [embed] });
+      return paginateLines(interaction, {
+        lines,
+        maxLines: 25,
+        maxChars: 3600,
+        embed: description => new EmbedBuilder()
+          .setTitle(`💎 Loot History`)
+          .setDescription(`${titleLine}\n\n` + description)
+          .setColor(0xFFD700)
+          .setFooter({ text: `${charsFooter}${records.length} item(s) total${spentFooter}` }),
+      });
     }
 
     // ── /loot item ────────────────────────────────────────────────────────────
@@ -190,13 +292,106 @@ module.exports = {
         return `• **${l.item_name}** → ${playerLabel}\n  ↳ ${l.raid_name}  •  ${formatDateTime(l.looted_at)}`;
       });
 
-      const embed = new EmbedBuilder()
-        .setTitle(`🔍 Item Search: "${query}"`)
-        .setColor(0xAA00FF)
-        .setDescription(lines.join('\n').slice(0, 3800))
-        .setFooter({ text: `${records.length} result(s)` });
+      return paginateLines(interaction, {
+        lines,
+        embed: description => new EmbedBuilder()
+          .setTitle(`🔍 Item Search: "${query}"`)
+          .setColor(0xAA00FF)
+          .setDescription(description)
+          .setFooter({ text: `${records.length} result(s)` }),
+      });
+    }
+
+    // ── /loot award ───────────────────────────────────────────────────────────
+    if (sub === 'award') {
+      const lootId = interaction.options.getInteger('id');
+      const method = interaction.options.getString('method');
+      const price  = interaction.options.getNumber('price');
+      const notes  = interaction.options.getString('notes')?.trim() || null;
+
+      const loot = getLoot(lootId);
+      if (!loot) return interaction.reply(`❌ No loot record found with ID \`${lootId}\`.`);
+
+      if (method === 'dkp' && price == null) {
+        return interaction.reply({ content: '❌ A DKP bid award needs a `price`.', ephemeral: true });
+      }
+
+      const previous = loot.award_method ? formatAward(loot) : null;
+      const updated  = setLootAward(lootId, { method, price, notes, awardedBy: interaction.user.id });
+
+      const info   = getDiscordInfoForChar(updated.player_name);
+      const who    = info ? `${updated.player_name} <@${info.discord_id}>` : updated.player_name;
+      const charge = method === 'dkp' && price > 0 ? `\n🪙 ${updated.player_name} charged **${Math.round(price * 100) / 100}** DKP.` : '';
+
+      return interaction.reply(
+        `🏷️ \`#${updated.id}\` **${updated.item_name}** → ${who} (${updated.raid_name})\n` +
+        `Awarded by **${AWARD_METHOD_LABELS[method]}** — ${formatAward(updated)}` +
+        (previous ? ` *(was ${previous})*` : '') +
+        (notes ? `\n📝 ${notes}` : '') +
+        charge
+      );
+    }
+
+    // ── /loot bid ─────────────────────────────────────────────────────────────
+    if (sub === 'bid') {
+      const itemName = interaction.options.getString('item').trim();
+      const raidId   = interaction.options.getInteger('raid');
+
+      let raid = null;
+      if (raidId) {
+        raid = getRaid(raidId);
+        if (!raid) return interaction.reply(`❌ No raid found with ID \`${raidId}\`.`);
+      } else {
+        raid = getRaidByDate(new Date().toISOString().slice(0, 10));
+      }
+
+      return auctions.open(interaction, {
+        itemName,
+        raidId:    raid ? raid.id : null,
+        minutes:   interaction.options.getInteger('minutes')  ?? 2,
+        minBid:    interaction.options.getNumber('min_bid')   ?? 1,
+        increment: interaction.options.getNumber('increment') ?? 1,
+        closedBid: interaction.options.getBoolean('closed')   ?? false,
+      });
+    }
+
+    // ── /loot rolls ───────────────────────────────────────────────────────────
+    if (sub === 'rolls') {
+      const id       = interaction.options.getInteger('id');
+      const charName = interaction.options.getString('character')?.trim().toLowerCase();
+      const raid     = getRaid(id);
+      if (!raid) return interaction.reply(`❌ No raid found with ID \`${id}\`.`);
+
+      const lootById = new Map(getRaidLoot(id).map(l => [l.id, l]));
+      let groups = [...groupRolls(getRaidRolls(id), r => r.roll_group).values()];
+      if (charName) groups = groups.filter(g => g.some(r => r.player_name.toLowerCase() === charName));
+
+      if (groups.length === 0) {
+        return interaction.reply(`No /random rolls recorded for raid **${raid.name}** (#${id}).`);
+      }
 
-      return interaction.reply({ embeds: [embed] });
+      const blocks = groups.map((g, i) => {
+        const loot    = g[0].loot_id ? lootById.get(g[0].loot_id) : null;
+        const decided = loot ? `→ **${loot.item_name}** (${loot.player_name})` : '→ *no loot linked*';
+        const counts  = groupRolls(g, r => r.player_name.toLowerCase());
+        const sorted  = [...g].sort((a, b) => b.result - a.result || a.rolled_at - b.rolled_at);
+        const rows    = sorted.map(r => {
+          const repeat = counts.get(r.player_name.toLowerCase()).length > 1 ? ' ⚠️ rolled more than once' : '';
+          return `  \`${String(r.result).padStart(String(r.roll_max).length)}\` ${r.player_name}${repeat}`;
+        });
+        return `**Roll-off ${i + 1}** (${g[0].roll_min}–${g[0].roll_max}) at ${formatTime(g[0].rolled_at)} ${decided}\n` +
+               rows.join('\n');
+      });
+
+      return paginateLines(interaction, {
+        lines:     blocks,
+        separator: '\n\n',
+        embed: description => new EmbedBuilder()
+          .setTitle(`🎲 ${raid.name} — Roll-offs`)
+          .setColor(0xAA00FF)
+          .setDescription(description)
+          .setFooter({ text: `Raid #${id}  •  ${groups.length} roll-off(s)` }),
+      });
     }
   },
 };
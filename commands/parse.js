@@ -15,7 +15,7 @@ const https = require('https');
 const http  = require('http');
 
 const { parseLog }  = require('../lib/parser');
-const { saveRaid, mergeIntoRaid, getRaid } = require('../lib/db');
+const { saveRaid, mergeIntoRaid, getRaid, getRaidTiers, RAID_TIERS } = require('../lib/db');
 
 // ── Helpers ────────────────────────────────────────────────────────────────
 
@@ -96,7 +96,14 @@ module.exports = {
     .addIntegerOption(o =>
       o.setName('raid_id')
        .setDescription('Merge this log into an existing raid instead of creating a new one')
-       .setMinValue(1)),
+       .setMinValue(1))
+    .addStringOption(o =>
+      o.setName('tier')
+       .setDescription('Raid tier (default: main for approved raid zones, otherwise optional)')
+       .addChoices(...RAID_TIERS.map(t => ({ name: t.charAt(0).toUpperCase() + t.slice(1), value: t }))))
+    .addStringOption(o =>
+      o.setName('category')
+       .setDescription('Raid category (default: the zone\'s expansion, e.g. "Kunark")')),
 
   // ── Handler ──────────────────────────────────────────────────────────────
   async execute(interaction) {
@@ -194,9 +201,12 @@ module.exports = {
           return interaction.editReply(`❌ No raid found with ID \`${existingRaidId}\`.`);
         }
 
-        const { newLoot } = mergeIntoRaid(existingRaidId, {
+        const { newLoot, newKills } = mergeIntoRaid(existingRaidId, {
           attendance: result.attendance,
           loot:       result.loot,
+          rolls:      result.rolls,
+          kills:      result.kills,
+          snapshots:  result.snapshots,
         });
 
         await interaction.editReply(
@@ -206,6 +216,7 @@ module.exports = {
           `\n` +
           `👥 **${result.attendance.length}** players seen in this log\n` +
           `💎 **${newLoot}** new loot events added (${result.loot.length - newLoot} duplicates skipped)\n` +
+          `💀 **${newKills}** new boss kills added\n` +
           `🔍 Scanned ${result.lineCount.toLocaleString()} log lines\n` +
           `\n` +
           `Use \`/attendance raid:${existingRaidId}\` or \`/loot raid:${existingRaidId}\` to view all merged data.`
@@ -218,19 +229,31 @@ module.exports = {
           endTime:       endDate,
           characterName,
           submittedBy:   interaction.user.tag,
+          tier:          interaction.options.getString('tier'),
+          category:      interaction.options.getString('category')?.trim() || null,
           attendance:    result.attendance,
           loot:          result.loot,
+          rolls:         result.rolls,
+          kills:         result.kills,
+          snapshots:     result.snapshots,
         });
 
+        const saved  = getRaid(raidId);
+        const weight = getRaidTiers().find(t => t.tier === saved.tier)?.weight ?? 0;
+
         await interaction.editReply(
           `✅ **Raid saved!** (ID: \`${raidId}\`)\n` +
           `\n` +
           `📋 **${raidName}**\n` +
           `🗺️ ${zones.join(', ')}\n` +
+          `🏷️ ${saved.tier}${saved.category ? ` • ${saved.category}` : ''}` +
+          `${weight === 0 ? ' *(not counted towards attendance %)*' : ''}\n` +
           `⏰ ${startDate.toLocaleString()} → ${endDate.toLocaleString()}\n` +
           `\n` +
           `👥 **${result.attendance.length}** players in attendance\n` +
           `💎 **${result.loot.length}** loot events captured\n` +
+          `🎲 **${result.rolls.length}** /random rolls captured\n` +
+          `💀 **${result.kills.length}** boss kills detected\n` +
           `🔍 Scanned ${result.lineCount.toLocaleString()} log lines\n` +
           `\n` +
           `Use \`/attendance raid:${raidId}\` or \`/loot raid:${raidId}\` to view details.`
@@ -22,7 +22,9 @@ const {
   unlinkCharacter,
   getCharsForDiscordId,
   getDiscordInfoForChar,
+  getCharacterRowCounts,
 } = require('../lib/db');
+const { confirmAction } = require('../lib/confirm');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -59,6 +61,23 @@ module.exports = {
             .setDescription('Character name to look up')
             .setRequired(true))),
 
+  /**
+   * Managing your own characters is open to everyone; linking to or unlinking
+   * from someone else is a separate, officer-guarded key (lib/permissions.js).
+   */
+  permissionKey(interaction) {
+    const sub = interaction.options.getSubcommand();
+    if (sub === 'link') {
+      const target = interaction.options.getUser('user');
+      if (target && target.id !== interaction.user.id) return 'player link:others';
+    }
+    if (sub === 'unlink') {
+      const existing = getDiscordInfoForChar(interaction.options.getString('character').trim());
+      if (existing && existing.discord_id !== interaction.user.id) return 'player unlink:others';
+    }
+    return `player ${sub}`;
+  },
+
   async execute(interaction) {
     const sub = interaction.options.getSubcommand();
 
@@ -104,11 +123,30 @@ module.exports = {
         });
       }
 
-      // Only allow unlinking your own characters, unless linking someone else's
-      // (no special permission check here — add role checks if desired)
+      // Unlinking someone else's character is checked in index.js (player unlink:others)
+      const counts    = getCharacterRowCounts(charName);
+      const remaining = getCharsForDiscordId(existing.discord_id)
+        .filter(c => c.toLowerCase() !== charName.toLowerCase());
+      const confirmed = await confirmAction(interaction, {
+        title: `Unlink ${charName} from ${existing.discord_tag}?`,
+        lines: [
+          `These stop counting towards <@${existing.discord_id}>'s attendance, loot and DKP:`,
+          `• **${counts.attendance}** attendance row(s)`,
+          `• **${counts.loot}** loot row(s)`,
+          `• **${counts.dkp}** DKP transaction(s)`,
+          '',
+          remaining.length > 0
+            ? `Still linked: ${remaining.map(c => `\`${c}\``).join(', ')}`
+            : `<@${existing.discord_id}> will have no characters left.`,
+          'Nothing is deleted — re-link with `/player link` to undo.',
+        ],
+        confirmLabel: 'Unlink',
+      });
+      if (!confirmed) return;
+
       unlinkCharacter(charName);
 
-      return interaction.reply(
+      return interaction.followUp(
         `🔗 **${charName}** has been unlinked from <@${existing.discord_id}>.\n` +
         `Historical records are unchanged — only future queries are affected.`
       );
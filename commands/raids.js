@@ -1,12 +1,23 @@
 /**
  * /raids  —  List all recorded raids.
- * /raids delete  —  Remove a raid record.
+ * /raids delete  —  Move a raid to the trash (hidden everywhere, DKP included).
+ * /raids trash / restore  —  List trashed raids / bring one back. Trashed raids are
+ *   purged for good after RAID_TRASH_RETENTION_DAYS (see index.js).
+ * /raids tiers / tier-weight  —  How much each raid tier counts towards attendance %.
+ * /raids export  —  One raid's full attendance and loot as a CSV / Markdown / JSON file.
  */
 
 'use strict';
 
-const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
-const { getRaids, getRaidCount, getRaid, updateRaid, deleteRaid } = require('../lib/db');
+const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder } = require('discord.js');
+const {
+  getRaids, getRaidCount, getRaid, getRaidKills, updateRaid, deleteRaid,
+  restoreRaid, getDeletedRaids, getDeletedRaidCount, getRaidRowCounts, RAID_TRASH_RETENTION_DAYS,
+  RAID_TIERS, getRaidTiers, setRaidTierWeight,
+} = require('../lib/db');
+const { confirmAction } = require('../lib/confirm');
+const { exportRaid }    = require('../lib/export');
+const { paginate }      = require('../lib/paginator');
 
 function parseDate(str) {
   let m = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
@@ -33,6 +44,14 @@ function formatTime(ts) {
   return new Date(ts).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
 }
 
+const TIER_CHOICES = RAID_TIERS.map(t => ({ name: t.charAt(0).toUpperCase() + t.slice(1), value: t }));
+
+/** "Main • Kunark" style label for a raid's tier and category. */
+function formatTier(raid) {
+  const tier = raid.tier.charAt(0).toUpperCase() + raid.tier.slice(1);
+  return raid.category ? `${tier}  •  ${raid.category}` : tier;
+}
+
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('raids')
@@ -51,9 +70,21 @@ module.exports = {
          .setDescription('Show details for a specific raid')
          .addIntegerOption(o =>
            o.setName('id').setDescription('Raid ID').setRequired(true)))
+    .addSubcommand(sub =>
+      sub.setName('export')
+         .setDescription('Download a raid\'s full attendance and loot as a file')
+         .addIntegerOption(o =>
+           o.setName('id').setDescription('Raid ID').setRequired(true))
+         .addStringOption(o =>
+           o.setName('format').setDescription('File format').setRequired(true)
+            .addChoices(
+              { name: 'CSV (zip of attendance + loot)', value: 'csv' },
+              { name: 'Markdown (for forum posts)',     value: 'markdown' },
+              { name: 'JSON',                           value: 'json' },
+            )))
     .addSubcommand(sub =>
       sub.setName('edit')
-         .setDescription('Edit a raid\'s name, zone, or time window')
+         .setDescription('Edit a raid\'s name, zone, time window, tier, or category')
          .addIntegerOption(o =>
            o.setName('id').setDescription('Raid ID to edit').setRequired(true))
          .addStringOption(o =>
@@ -65,12 +96,37 @@ module.exports = {
          .addStringOption(o =>
            o.setName('start_time').setDescription('New start time (24-hr HH:MM)'))
          .addStringOption(o =>
-           o.setName('end_time').setDescription('New end time (24-hr HH:MM)')))
+           o.setName('end_time').setDescription('New end time (24-hr HH:MM)'))
+         .addStringOption(o =>
+           o.setName('tier').setDescription('Raid tier — sets how much it counts towards attendance %').addChoices(...TIER_CHOICES))
+         .addStringOption(o =>
+           o.setName('category').setDescription('Category, e.g. an expansion ("Kunark") — "none" to clear')))
+    .addSubcommand(sub =>
+      sub.setName('tiers')
+         .setDescription('Show each raid tier\'s attendance weight'))
+    .addSubcommand(sub =>
+      sub.setName('tier-weight')
+         .setDescription('Set how much a raid tier counts towards attendance percentages')
+         .addStringOption(o =>
+           o.setName('tier').setDescription('Raid tier').setRequired(true).addChoices(...TIER_CHOICES))
+         .addNumberOption(o =>
+           o.setName('weight').setDescription('1 = a full raid, 0.5 = half, 0 = not counted').setRequired(true)
+            .setMinValue(0).setMaxValue(10)))
     .addSubcommand(sub =>
       sub.setName('delete')
-         .setDescription('Delete a raid record (irreversible)')
+         .setDescription('Move a raid to the trash (restore with /raids restore)')
+         .addIntegerOption(o =>
+           o.setName('id').setDescription('Raid ID to delete').setRequired(true)))
+    .addSubcommand(sub =>
+      sub.setName('restore')
+         .setDescription('Bring a deleted raid back out of the trash')
+         .addIntegerOption(o =>
+           o.setName('id').setDescription('Raid ID to restore').setRequired(true)))
+    .addSubcommand(sub =>
+      sub.setName('trash')
+         .setDescription('List deleted raids waiting to be purged')
          .addIntegerOption(o =>
-           o.setName('id').setDescription('Raid ID to delete').setRequired(true))),
+           o.setName('page').setDescription('Page number (default: 1)').setMinValue(1))),
 
   async execute(interaction) {
     const sub = interaction.options.getSubcommand();
@@ -90,46 +146,44 @@ module.exports = {
         dateEnd   = new Date(d).setHours(23, 59, 59, 999);
       }
 
-      const filters = { zone: zoneFilter, dateStart, dateEnd };
-      const limit   = 8;
-      const offset  = page * limit;
-      const raids   = getRaids(limit, offset, filters);
-      const total   = getRaidCount(filters);
+      const filters    = { zone: zoneFilter, dateStart, dateEnd };
+      const limit      = 8;
+      const total      = getRaidCount(filters);
+      const totalPages = Math.ceil(total / limit);
 
-      if (raids.length === 0) {
+      if (page >= totalPages) {
         const hasFilters = zoneFilter || dateStr;
         return interaction.reply(
-          hasFilters
+          hasFilters && total === 0
             ? `📭 No raids found matching those filters.`
-            : page === 0
+            : total === 0
               ? '📭 No raids recorded yet. Use `/parse` to import a log file.'
               : '📭 No more raids on this page.'
         );
       }
 
-      const lines = raids.map(r =>
-        `**[${r.id}]** ${r.name}\n` +
-        `↳ 🗺️ ${r.zone}  •  📅 ${formatDate(r.start_time)}  ` +
-        `${formatTime(r.start_time)}–${formatTime(r.end_time)}\n` +
-        `↳ 👥 ${r.attendance_count} players  •  💎 ${r.loot_count} items`
-      );
-
-      const totalPages  = Math.ceil(total / limit);
       const filterLabel = [
         zoneFilter ? `zone: ${zoneFilter}` : null,
         dateStr    ? `date: ${dateStr}`     : null,
       ].filter(Boolean).join('  •  ');
 
-      const embed = new EmbedBuilder()
-        .setTitle('📋 Recorded Raids')
-        .setColor(0x8B0000)
-        .setDescription(lines.join('\n\n'))
-        .setFooter({ text: [
-          `Page ${page + 1} of ${totalPages}  •  ${total} raid(s)`,
-          filterLabel || null,
-        ].filter(Boolean).join('  •  ') });
-
-      return interaction.reply({ embeds: [embed] });
+      return paginate(interaction, {
+        pageCount: totalPages,
+        page,
+        render: page => {
+          const lines = getRaids(limit, page * limit, filters).map(r =>
+            `**[${r.id}]** ${r.name}\n` +
+            `↳ 🗺️ ${r.zone}  •  📅 ${formatDate(r.start_time)}  ` +
+            `${formatTime(r.start_time)}–${formatTime(r.end_time)}\n` +
+            `↳ 👥 ${r.attendance_count} players  •  💎 ${r.loot_count} items  •  🏷️ ${formatTier(r)}`
+          );
+          return new EmbedBuilder()
+            .setTitle('📋 Recorded Raids')
+            .setColor(0x8B0000)
+            .setDescription(lines.join('\n\n') || '📭 No more raids on this page.')
+            .setFooter({ text: [`${total} raid(s)`, filterLabel || null].filter(Boolean).join('  •  ') });
+        },
+      });
     }
 
     // ── /raids info ──────────────────────────────────────────────────────────
@@ -149,12 +203,42 @@ module.exports = {
           { name: 'Time',        value: `${formatTime(raid.start_time)} – ${formatTime(raid.end_time)}`, inline: true },
           { name: 'Log Owner',   value: raid.character_name || 'Unknown',                inline: true },
           { name: 'Submitted By',value: raid.submitted_by  || 'Unknown',                 inline: true },
+          { name: 'Tier',        value: formatTier(raid),                                inline: true },
         )
-        .setFooter({ text: `Use /attendance raid:${id} or /loot raid:${id} to dig in` });
+        .setFooter({ text: `Use /attendance raid:${id} or /loot raid:${id} to dig in, /raids export id:${id} for a file` });
+
+      const kills = getRaidKills(id);
+      if (kills.length > 0) {
+        const lines = kills.map(k => {
+          const by = k.slain_by ? ` — ${k.slain_by}` : '';
+          return `<t:${Math.floor(k.killed_at / 1000)}:t> **${k.mob_name}**${by}${k.tod_kill_id ? ' ⏱️' : ''}`;
+        });
+        let value = '';
+        for (const line of lines) {
+          if (value.length + line.length + 1 > 1000) { value += '\n…'; break; }
+          value += (value ? '\n' : '') + line;
+        }
+        embed.addFields({ name: `Boss Kills (${kills.length})`, value });
+      }
 
       return interaction.reply({ embeds: [embed] });
     }
 
+    // ── /raids export ────────────────────────────────────────────────────────
+    if (sub === 'export') {
+      const id     = interaction.options.getInteger('id');
+      const format = interaction.options.getString('format');
+      const file   = exportRaid(id, format);
+      if (!file) {
+        return interaction.reply(`❌ No raid found with ID \`${id}\`.`);
+      }
+
+      return interaction.reply({
+        content: `📄 Raid #${id} — ${file.attendance} attendee(s), ${file.loot} loot item(s).`,
+        files:   [new AttachmentBuilder(file.data, { name: file.name })],
+      });
+    }
+
     // ── /raids edit ──────────────────────────────────────────────────────────
     if (sub === 'edit') {
       const id   = interaction.options.getInteger('id');
@@ -168,9 +252,11 @@ module.exports = {
       const newDateStr   = interaction.options.getString('date');
       const newStartStr  = interaction.options.getString('start_time');
       const newEndStr    = interaction.options.getString('end_time');
+      const newTier      = interaction.options.getString('tier');
+      const newCategory  = interaction.options.getString('category')?.trim();
 
-      if (!newName && !newZoneInput && !newDateStr && !newStartStr && !newEndStr) {
-        return interaction.reply('❌ Provide at least one field to change (name, zone, date, start_time, or end_time).');
+      if (!newName && !newZoneInput && !newDateStr && !newStartStr && !newEndStr && !newTier && !newCategory) {
+        return interaction.reply('❌ Provide at least one field to change (name, zone, date, start_time, end_time, tier, or category).');
       }
 
       // Resolve updated times, falling back to existing values
@@ -202,6 +288,8 @@ module.exports = {
         zone:      newZoneInput || null,
         startTime: startTime    || null,
         endTime:   endTime      || null,
+        tier:      newTier      || null,
+        category:  newCategory  ? (newCategory.toLowerCase() === 'none' ? '' : newCategory) : null,
       });
 
       const updated = getRaid(id);
@@ -213,6 +301,7 @@ module.exports = {
           { name: 'Zone',  value: updated.zone,                                                          inline: true },
           { name: 'Date',  value: formatDate(updated.start_time),                                        inline: true },
           { name: 'Time',  value: `${formatTime(updated.start_time)} – ${formatTime(updated.end_time)}`, inline: true },
+          { name: 'Tier',  value: formatTier(updated),                                                   inline: true },
         );
       return interaction.reply({ embeds: [embed] });
     }
@@ -225,10 +314,107 @@ module.exports = {
         return interaction.reply(`❌ No raid found with ID \`${id}\`.`);
       }
 
-      deleteRaid(id);
+      const counts = getRaidRowCounts(id);
+      const purge  = RAID_TRASH_RETENTION_DAYS > 0
+        ? `It will be purged for good in ${RAID_TRASH_RETENTION_DAYS} day(s).`
+        : 'It stays there until restored.';
+      const confirmed = await confirmAction(interaction, {
+        title: `Delete raid #${id} — ${raid.name}?`,
+        lines: [
+          `🗺️ ${raid.zone}  •  📅 ${formatDate(raid.start_time)}`,
+          '',
+          'These stop counting everywhere (standings, DKP, player lookups):',
+          `• **${counts.attendance}** attendance row(s)`,
+          `• **${counts.loot}** loot row(s)`,
+          `• **${counts.kills}** boss kill(s), and the TOD timers they set`,
+          `• **${counts.dkp}** DKP transaction(s)`,
+          '',
+          `The raid goes to the trash. ${purge}`,
+        ],
+        confirmLabel: 'Delete raid',
+      });
+      if (!confirmed) return;
+
+      if (!deleteRaid(id, interaction.user.id)) {
+        return interaction.followUp({ content: `⚠️ Raid \`${id}\` was already deleted.`, flags: 64 });
+      }
+      return interaction.followUp(
+        `🗑️ Raid **#${id} — ${raid.name}** moved to the trash — its attendance, loot and DKP no longer count.\n` +
+        `${purge} Undo with \`/raids restore id:${id}\`.`
+      );
+    }
+
+    // ── /raids restore ───────────────────────────────────────────────────────
+    if (sub === 'restore') {
+      const id   = interaction.options.getInteger('id');
+      const raid = getRaid(id, { includeDeleted: true });
+      if (!raid) {
+        return interaction.reply(`❌ No raid found with ID \`${id}\` — it may already have been purged.`);
+      }
+      if (!raid.deleted_at) {
+        return interaction.reply(`⚠️ Raid **#${id} — ${raid.name}** isn't in the trash.`);
+      }
+
+      restoreRaid(id);
       return interaction.reply(
-        `🗑️ Raid **#${id} — ${raid.name}** has been deleted, along with all its attendance and loot records.`
+        `♻️ Raid **#${id} — ${raid.name}** restored, with its attendance, loot and DKP.`
       );
     }
+
+    // ── /raids trash ─────────────────────────────────────────────────────────
+    if (sub === 'trash') {
+      const page   = (interaction.options.getInteger('page') ?? 1) - 1;
+      const limit  = 8;
+      const total  = getDeletedRaidCount();
+      const pages  = Math.ceil(total / limit);
+
+      if (page >= pages) {
+        return interaction.reply(total === 0 ? '🗑️ The trash is empty.' : '📭 No more raids on this page.');
+      }
+
+      return paginate(interaction, {
+        pageCount: pages,
+        page,
+        render: page => {
+          const lines = getDeletedRaids(limit, page * limit).map(r => {
+            const deleted = Math.floor(r.deleted_at / 1000);
+            const purgeAt = Math.floor((r.deleted_at + RAID_TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000) / 1000);
+            return `**[${r.id}]** ${r.name}\n` +
+              `↳ 🗺️ ${r.zone}  •  📅 ${formatDate(r.start_time)}  •  👥 ${r.attendance_count}  •  💎 ${r.loot_count}\n` +
+              `↳ Deleted <t:${deleted}:R>${r.deleted_by ? ` by <@${r.deleted_by}>` : ''}` +
+              (RAID_TRASH_RETENTION_DAYS > 0 ? `  •  purged <t:${purgeAt}:R>` : '');
+          });
+          return {
+            embeds: [new EmbedBuilder()
+              .setTitle('🗑️ Deleted Raids')
+              .setColor(0x808080)
+              .setDescription(lines.join('\n\n') || '🗑️ Nothing left on this page.')
+              .setFooter({ text: `${total} raid(s)  •  /raids restore id:<id>` })],
+            allowedMentions: { parse: [] },
+          };
+        },
+      });
+    }
+
+    // ── /raids tiers ─────────────────────────────────────────────────────────
+    if (sub === 'tiers') {
+      const lines = getRaidTiers().map(t =>
+        `**${t.tier}** — weight **${t.weight}**${t.weight === 0 ? ' *(not counted)*' : ''}`
+      );
+      const embed = new EmbedBuilder()
+        .setTitle('🏷️ Raid Tiers')
+        .setColor(0x8B0000)
+        .setDescription(lines.join('\n'))
+        .setFooter({ text: 'Weight = how much one raid counts towards /attendance standings. Change with /raids tier-weight.' });
+      return interaction.reply({ embeds: [embed] });
+    }
+
+    // ── /raids tier-weight ───────────────────────────────────────────────────
+    if (sub === 'tier-weight') {
+      const tier   = interaction.options.getString('tier');
+      const weight = interaction.options.getNumber('weight');
+      setRaidTierWeight(tier, weight, interaction.user.id);
+      return interaction.reply(`✅ **${tier}** raids now count **${weight}** towards attendance percentages.`);
+    }
   },
 };
@@ -1,7 +1,11 @@
 'use strict';
 
-const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { SlashCommandBuilder, EmbedBuilder, ChannelType } = require('discord.js');
 const db = require('../lib/db');
+const { confirmAction } = require('../lib/confirm');
+const { paginateLines } = require('../lib/paginator');
+const todBoard = require('../lib/tod-board');
+const { getSpawnWindow, getSpawnState, describeSpawn, STATE_LABELS, STATE_COLORS } = require('../lib/tod-window');
 
 // ── Duration formatting ──────────────────────────────────────────────────
 
@@ -18,6 +22,15 @@ function formatDuration(hours) {
   return parts.join(' ') || '0m';
 }
 
+/** "7d", "7d ± 8h" or "7d (−4h / +8h)" for a mob's lockout and variance. */
+function formatLockout(mob) {
+  const early = mob.variance_min_hours ?? 0;
+  const late  = mob.variance_max_hours ?? 0;
+  if (!early && !late) return formatDuration(mob.lockout_hours);
+  if (early === late)  return `${formatDuration(mob.lockout_hours)} ± ${formatDuration(early)}`;
+  return `${formatDuration(mob.lockout_hours)} (−${formatDuration(early)} / +${formatDuration(late)})`;
+}
+
 // ── Timestamp parsing ──────────────────────────────────────────────────────
 
 /**
@@ -91,8 +104,55 @@ function parseLockout(input) {
   return null;
 }
 
+/**
+ * Parse a respawn variance into early / late hours.
+ *   "8h"     → ± 8 hours
+ *   "4h/8h"  → up to 4 hours early, 8 hours late
+ *   "0"      → no variance (a fixed respawn)
+ * Each side accepts anything parseLockout does.
+ */
+function parseVariance(input) {
+  const parts = input.split('/').map(p => p.trim());
+  if (parts.length > 2) return null;
+  const hours = parts.map(p => (/^0+(\.0+)?$/.test(p) ? 0 : parseLockout(p)));
+  if (hours.some(h => h == null)) return null;
+  return { min: hours[0], max: hours[1] ?? hours[0] };
+}
+
+/**
+ * Parse a reminder lead into whole minutes.
+ *   "30" / "30m" → 30    "2h" → 120    "0" → at respawn
+ */
+function parseLead(input) {
+  const s = input.trim();
+  if (/^\d+$/.test(s)) return parseInt(s, 10);
+  const hours = parseLockout(s);
+  return hours == null ? null : Math.round(hours * 60);
+}
+
+function formatLead(minutes) {
+  return minutes === 0 ? 'when it opens' : `${formatDuration(minutes / 60)} ahead`;
+}
+
+/** "VS, Vulak, vs" → ["VS", "Vulak"] (case-insensitive duplicates dropped). */
+function parseAliases(input) {
+  const seen = new Set();
+  return input.split(',').map(a => a.trim()).filter(a => {
+    if (!a || seen.has(a.toLowerCase())) return false;
+    seen.add(a.toLowerCase());
+    return true;
+  });
+}
+
 // ── Slash command definition ───────────────────────────────────────────────
 
+// Expansions a mob can be filed under, in release order
+const EXPANSIONS = [
+  'Classic', 'Kunark', 'Velious', 'Luclin', 'Planes of Power',
+  'Legacy of Ykesha', 'Lost Dungeons of Norrath', 'Gates of Discord',
+];
+const EXPANSION_CHOICES = EXPANSIONS.map(e => ({ name: e, value: e }));
+
 const data = new SlashCommandBuilder()
   .setName('tod')
   .setDescription('Track Time of Death for raid mobs')
@@ -107,12 +167,14 @@ const data = new SlashCommandBuilder()
     sub.setName('status')
       .setDescription('Show mob lockout status')
       .addStringOption(o => o.setName('mob').setDescription('Filter to a specific mob').setAutocomplete(true))
+      .addStringOption(o => o.setName('zone').setDescription('Only mobs in this zone').setAutocomplete(true))
+      .addStringOption(o => o.setName('expansion').setDescription('Only mobs from this expansion').addChoices(...EXPANSION_CHOICES))
   )
   .addSubcommand(sub =>
     sub.setName('history')
       .setDescription('Show kill history for a mob')
       .addStringOption(o => o.setName('mob').setDescription('Mob name').setRequired(true).setAutocomplete(true))
-      .addIntegerOption(o => o.setName('limit').setDescription('Number of entries (1-25)').setMinValue(1).setMaxValue(25))
+      .addIntegerOption(o => o.setName('limit').setDescription('Number of entries (default: all, 10 per page)').setMinValue(1))
   )
   .addSubcommand(sub =>
     sub.setName('undo')
@@ -124,26 +186,74 @@ const data = new SlashCommandBuilder()
       .setDescription('Add a mob to the TOD registry')
       .addStringOption(o => o.setName('name').setDescription('Mob name').setRequired(true))
       .addStringOption(o => o.setName('lockout').setDescription('Lockout duration, e.g. 6h, 2d18h3m, or paste from EQ').setRequired(true))
+      .addStringOption(o => o.setName('variance').setDescription('Respawn variance: 8h (± 8h) or 4h/8h (4h early, 8h late); 0 for none'))
+      .addStringOption(o => o.setName('zone').setDescription('Zone the mob is in').setAutocomplete(true))
+      .addStringOption(o => o.setName('expansion').setDescription('Expansion the mob is from').addChoices(...EXPANSION_CHOICES))
+      .addStringOption(o => o.setName('aliases').setDescription('Other names to find it by, comma-separated, e.g. VS, Vulak'))
+      .addStringOption(o => o.setName('notes').setDescription('Spawn conditions, triggers, etc.').setMaxLength(1000))
   )
   .addSubcommand(sub =>
     sub.setName('mob-edit')
-      .setDescription('Change a mob\'s lockout duration')
+      .setDescription('Change a mob\'s lockout, variance, zone, aliases, notes or alert role')
       .addStringOption(o => o.setName('name').setDescription('Mob name').setRequired(true).setAutocomplete(true))
-      .addStringOption(o => o.setName('lockout').setDescription('Lockout duration, e.g. 6h, 2d18h3m, or paste from EQ').setRequired(true))
+      .addStringOption(o => o.setName('lockout').setDescription('Lockout duration, e.g. 6h, 2d18h3m, or paste from EQ'))
+      .addStringOption(o => o.setName('variance').setDescription('Respawn variance: 8h (± 8h) or 4h/8h (4h early, 8h late); 0 for none'))
+      .addStringOption(o => o.setName('zone').setDescription('Zone the mob is in (none to clear)').setAutocomplete(true))
+      .addStringOption(o => o.setName('expansion').setDescription('Expansion the mob is from')
+        .addChoices(...EXPANSION_CHOICES, { name: 'None (clear)', value: 'none' }))
+      .addStringOption(o => o.setName('aliases').setDescription('Replace its other names, comma-separated (none to clear)'))
+      .addStringOption(o => o.setName('notes').setDescription('Spawn conditions, triggers, etc. (none to clear)').setMaxLength(1000))
+      .addRoleOption(o => o.setName('role').setDescription('Role to mention in this mob\'s respawn alerts'))
+      .addBooleanOption(o => o.setName('clear_role').setDescription('Stop mentioning a role in this mob\'s alerts'))
   )
   .addSubcommand(sub =>
     sub.setName('mob-remove')
       .setDescription('Remove a mob and all its kill history')
       .addStringOption(o => o.setName('name').setDescription('Mob name').setRequired(true).setAutocomplete(true))
+  )
+  .addSubcommand(sub =>
+    sub.setName('subscribe')
+      .setDescription('Get a DM before a mob respawns (or its spawn window opens)')
+      .addStringOption(o => o.setName('mob').setDescription('Mob name').setRequired(true).setAutocomplete(true))
+      .addStringOption(o => o.setName('lead').setDescription('How far ahead, e.g. 30m, 2h, or 0 for when it opens (default: 30m)'))
+  )
+  .addSubcommand(sub =>
+    sub.setName('unsubscribe')
+      .setDescription('Stop DM reminders for a mob')
+      .addStringOption(o => o.setName('mob').setDescription('Mob name').setRequired(true).setAutocomplete(true))
+  )
+  .addSubcommand(sub =>
+    sub.setName('subscriptions')
+      .setDescription('List the mobs you get DM reminders for')
+  )
+  .addSubcommand(sub =>
+    sub.setName('board')
+      .setDescription('Post a pinned TOD board that updates itself every minute')
+      .addChannelOption(o => o.setName('channel').setDescription('Where to post it (default: this channel)')
+        .addChannelTypes(ChannelType.GuildText))
+      .addStringOption(o => o.setName('group').setDescription('Group mobs by zone (default) or expansion')
+        .addChoices({ name: 'Zone', value: 'zone' }, { name: 'Expansion', value: 'expansion' }))
+      .addBooleanOption(o => o.setName('remove').setDescription('Take the current board down instead'))
   );
 
 // ── Autocomplete ───────────────────────────────────────────────────────────
 
 async function autocomplete(interaction) {
-  const focused = interaction.options.getFocused();
+  const { name: option, value: focused } = interaction.options.getFocused(true);
+  if (option === 'zone') {
+    const zones = db.getTodMobGroups('zone').filter(z => z.toLowerCase().includes(focused.toLowerCase()));
+    return interaction.respond(zones.slice(0, 25).map(z => ({ name: z, value: z })));
+  }
+  // Unsubscribing only offers the mobs you follow
+  if (interaction.options.getSubcommand() === 'unsubscribe') {
+    const subs = db.getTodSubscriptions(interaction.user.id)
+      .filter(s => s.name.toLowerCase().includes(focused.toLowerCase()));
+    return interaction.respond(subs.slice(0, 25).map(s => ({ name: s.name, value: s.name })));
+  }
+  // Show which alias matched, so "VS" visibly finds Vulak`Aerr
   const mobs = db.searchTodMobs(focused);
   await interaction.respond(
-    mobs.map(m => ({ name: m.name, value: m.name }))
+    mobs.map(m => ({ name: (m.matched_aliases ? `${m.name} (${m.matched_aliases})` : m.name).slice(0, 100), value: m.name }))
   );
 }
 
@@ -160,11 +270,32 @@ async function execute(interaction) {
     case 'mob-add': return handleMobAdd(interaction);
     case 'mob-edit': return handleMobEdit(interaction);
     case 'mob-remove': return handleMobRemove(interaction);
+    case 'subscribe':     return handleSubscribe(interaction);
+    case 'unsubscribe':   return handleUnsubscribe(interaction);
+    case 'subscriptions': return handleSubscriptions(interaction);
+    case 'board':         return handleBoard(interaction);
   }
 }
 
 // ── Subcommand handlers ────────────────────────────────────────────────────
 
+/** Kill time, respawn (or window opens / closes) and lockout fields for a kill embed. */
+function killFields(mob, killedAt, killLabel = 'Killed') {
+  const window = getSpawnWindow(mob, killedAt);
+  const when = ts => `<t:${Math.floor(ts / 1000)}:f> (<t:${Math.floor(ts / 1000)}:R>)`;
+  const fields = [{ name: killLabel, value: when(killedAt), inline: true }];
+  if (window.hasWindow) {
+    fields.push(
+      { name: 'Window Opens',  value: when(window.opensAt),  inline: true },
+      { name: 'Window Closes', value: when(window.closesAt), inline: true },
+    );
+  } else {
+    fields.push({ name: window.respawnAt > Date.now() ? 'Respawn' : 'Respawned', value: when(window.respawnAt), inline: true });
+  }
+  fields.push({ name: 'Lockout', value: formatLockout(mob), inline: true });
+  return fields;
+}
+
 async function handleRecord(interaction) {
   const mobName = interaction.options.getString('mob');
   const timeStr = interaction.options.getString('time');
@@ -195,19 +326,12 @@ async function handleRecord(interaction) {
   }
 
   db.recordTodKill(mob.id, killedAt, interaction.user.id);
-
-  const respawnAt = killedAt + mob.lockout_hours * 3600_000;
-  const killUnix = Math.floor(killedAt / 1000);
-  const respawnUnix = Math.floor(respawnAt / 1000);
+  todBoard.refresh(); // show it on the board now rather than at the next minute
 
   const embed = new EmbedBuilder()
     .setTitle(`TOD Recorded: ${mob.name}`)
     .setColor(0x00AE86)
-    .addFields(
-      { name: 'Killed', value: `<t:${killUnix}:f> (<t:${killUnix}:R>)`, inline: true },
-      { name: 'Respawn', value: `<t:${respawnUnix}:f> (<t:${respawnUnix}:R>)`, inline: true },
-      { name: 'Lockout', value: formatDuration(mob.lockout_hours), inline: true },
-    );
+    .addFields(...killFields(mob, killedAt));
 
   return interaction.reply({ embeds: [embed] });
 }
@@ -219,61 +343,55 @@ async function handleStatus(interaction) {
     const mob = db.getTodMob(mobFilter);
     if (!mob) return interaction.reply({ content: `❌ Mob **${mobFilter}** not found.`, flags: 64 });
     const kill = db.getLatestTodKill(mob.id);
-    const now = Date.now();
-    const respawnAt = kill ? kill.killed_at + mob.lockout_hours * 3600_000 : null;
-    const isLocked = respawnAt && respawnAt > now;
+    const state = getSpawnState(kill ? getSpawnWindow(mob, kill.killed_at) : null);
+
+    const aliases = db.getTodMobAliases(mob.id);
+    const about = [
+      [mob.zone, mob.expansion].filter(Boolean).join(' · '),
+      aliases.length ? `Also known as ${aliases.join(', ')}` : '',
+      kill ? '' : 'No kills recorded — mob is available.',
+    ].filter(Boolean);
 
     const embed = new EmbedBuilder()
-      .setTitle(`TOD Status: ${mob.name}`)
-      .setColor(isLocked ? 0xE74C3C : 0x2ECC71);
-
-    if (kill) {
-      const killUnix = Math.floor(kill.killed_at / 1000);
-      const respawnUnix = Math.floor(respawnAt / 1000);
-      embed.addFields(
-        { name: 'Last Kill', value: `<t:${killUnix}:f> (<t:${killUnix}:R>)`, inline: true },
-        { name: isLocked ? 'Respawn' : 'Respawned', value: `<t:${respawnUnix}:f> (<t:${respawnUnix}:R>)`, inline: true },
-        { name: 'Lockout', value: formatDuration(mob.lockout_hours), inline: true },
-      );
-    } else {
-      embed.setDescription('No kills recorded — mob is available.');
-    }
+      .setTitle(`TOD Status: ${mob.name} — ${STATE_LABELS[state]}`)
+      .setColor(STATE_COLORS[state]);
+
+    if (about.length) embed.setDescription(about.join('\n'));
+    if (kill) embed.addFields(...killFields(mob, kill.killed_at, 'Last Kill'));
+    if (mob.notes) embed.addFields({ name: 'Notes', value: mob.notes });
+    if (mob.alert_role_id) embed.setFooter({ text: `Respawn alerts mention @${interaction.guild?.roles.cache.get(mob.alert_role_id)?.name ?? mob.alert_role_id}` });
     return interaction.reply({ embeds: [embed] });
   }
 
-  // Full status view
-  const allMobs = db.getTodStatus();
-  if (allMobs.length === 0) {
+  // Full status view, optionally narrowed to a zone / expansion
+  const zone = interaction.options.getString('zone');
+  const expansion = interaction.options.getString('expansion');
+  const registry = db.getTodStatus();
+  if (registry.length === 0) {
     return interaction.reply({ content: 'No mobs in the TOD registry. Use `/tod mob-add` to add one.', flags: 64 });
   }
+  const allMobs = registry.filter(m =>
+    (!zone || m.zone?.toLowerCase() === zone.toLowerCase()) && (!expansion || m.expansion === expansion)
+  );
+  const scope = [zone, expansion].filter(Boolean).join(' · ');
+  if (allMobs.length === 0) {
+    return interaction.reply({ content: `No mobs match **${scope}**.`, flags: 64 });
+  }
 
   const now = Date.now();
-  const locked = [];
-  const available = [];
-
+  const groups = { locked: [], window: [], available: [] };
   for (const m of allMobs) {
-    const respawnAt = m.last_killed_at ? m.last_killed_at + m.lockout_hours * 3600_000 : null;
-    if (respawnAt && respawnAt > now) {
-      const respawnUnix = Math.floor(respawnAt / 1000);
-      locked.push(`**${m.name}** — respawns <t:${respawnUnix}:R> (<t:${respawnUnix}:f>)`);
-    } else if (m.last_killed_at) {
-      const respawnUnix = Math.floor(respawnAt / 1000);
-      available.push(`**${m.name}** — up since <t:${respawnUnix}:R>`);
-    } else {
-      available.push(`**${m.name}** — no kills recorded`);
-    }
+    const { state, text } = describeSpawn(m, now);
+    groups[state].push(`**${m.name}** — ${text}`);
   }
 
   const embed = new EmbedBuilder()
-    .setTitle('TOD Status')
+    .setTitle(scope ? `TOD Status — ${scope}` : 'TOD Status')
     .setColor(0x3498DB)
     .setTimestamp();
 
-  if (locked.length > 0) {
-    embed.addFields({ name: '🔴 Locked Out', value: locked.join('\n') });
-  }
-  if (available.length > 0) {
-    embed.addFields({ name: '🟢 Available', value: available.join('\n') });
+  for (const [state, lines] of Object.entries(groups)) {
+    if (lines.length > 0) embed.addFields({ name: STATE_LABELS[state], value: lines.join('\n') });
   }
 
   return interaction.reply({ embeds: [embed] });
@@ -281,11 +399,10 @@ async function handleStatus(interaction) {
 
 async function handleHistory(interaction) {
   const mobName = interaction.options.getString('mob');
-  const limit = interaction.options.getInteger('limit') ?? 10;
-
   const mob = db.getTodMob(mobName);
   if (!mob) return interaction.reply({ content: `❌ Mob **${mobName}** not found.`, flags: 64 });
 
+  const limit = interaction.options.getInteger('limit') ?? db.getTodKillCount(mob.id);
   const kills = db.getTodKillHistory(mob.id, limit);
   if (kills.length === 0) {
     return interaction.reply({ content: `No kill history for **${mob.name}**.`, flags: 64 });
@@ -293,17 +410,21 @@ async function handleHistory(interaction) {
 
   const lines = kills.map((k, i) => {
     const unix = Math.floor(k.killed_at / 1000);
-    const by = k.recorded_by ? ` (by <@${k.recorded_by}>)` : '';
+    const by = k.recorded_by ? ` (by <@${k.recorded_by}>)`
+             : k.raid_id     ? ` (from raid #${k.raid_id} log)`
+             : '';
     return `${i + 1}. <t:${unix}:f> (<t:${unix}:R>)${by}`;
   });
 
-  const embed = new EmbedBuilder()
-    .setTitle(`Kill History: ${mob.name}`)
-    .setDescription(lines.join('\n'))
-    .setColor(0x9B59B6)
-    .setFooter({ text: `Lockout: ${formatDuration(mob.lockout_hours)}` });
-
-  return interaction.reply({ embeds: [embed] });
+  return paginateLines(interaction, {
+    lines,
+    maxLines: 10,
+    embed: description => new EmbedBuilder()
+      .setTitle(`Kill History: ${mob.name}`)
+      .setDescription(description)
+      .setColor(0x9B59B6)
+      .setFooter({ text: `Lockout: ${formatLockout(mob)}  •  ${kills.length} kill(s)` }),
+  });
 }
 
 async function handleUndo(interaction) {
@@ -315,43 +436,134 @@ async function handleUndo(interaction) {
   if (!removed) {
     return interaction.reply({ content: `No kill entries to undo for **${mob.name}**.`, flags: 64 });
   }
+  todBoard.refresh();
 
   const unix = Math.floor(removed.killed_at / 1000);
   return interaction.reply({ content: `✅ Removed kill entry for **${mob.name}** from <t:${unix}:f>.` });
 }
 
+const VARIANCE_HELP = '❌ Could not parse variance. Use `8h` for ± 8 hours, `4h/8h` for 4 hours early / 8 hours late, or `0` for none.';
+
+/** An alias that already names a different mob, as an error message — or null if they're all free. */
+function aliasClash(aliases, mobId = null) {
+  for (const alias of aliases) {
+    const other = db.getTodMob(alias);
+    if (other && other.id !== mobId) return `❌ **${alias}** already refers to **${other.name}**.`;
+  }
+  return null;
+}
+
 async function handleMobAdd(interaction) {
   const name = interaction.options.getString('name');
   const lockoutStr = interaction.options.getString('lockout');
+  const varianceStr = interaction.options.getString('variance');
+  const zone = interaction.options.getString('zone')?.trim() || null;
+  const expansion = interaction.options.getString('expansion');
+  const notes = interaction.options.getString('notes')?.trim() || null;
+  const aliases = parseAliases(interaction.options.getString('aliases') ?? '')
+    .filter(a => a.toLowerCase() !== name.toLowerCase());
   const lockout = parseLockout(lockoutStr);
 
   if (lockout == null) {
     return interaction.reply({ content: '❌ Could not parse lockout. Use: `6h`, `2d 18h 3m`, or paste the EQ lockout message.', flags: 64 });
   }
+  const variance = varianceStr ? parseVariance(varianceStr) : { min: 0, max: 0 };
+  if (!variance) return interaction.reply({ content: VARIANCE_HELP, flags: 64 });
+  if (variance.min >= lockout) {
+    return interaction.reply({ content: '❌ The early variance must be shorter than the lockout.', flags: 64 });
+  }
 
   const existing = db.getTodMob(name);
   if (existing) {
-    return interaction.reply({ content: `❌ **${existing.name}** already exists (lockout: ${formatDuration(existing.lockout_hours)}). Use \`/tod mob-edit\` to change it.`, flags: 64 });
+    return interaction.reply({ content: `❌ **${existing.name}** already exists (lockout: ${formatLockout(existing)}). Use \`/tod mob-edit\` to change it.`, flags: 64 });
   }
-
-  db.addTodMob(name, lockout, interaction.user.id);
-  return interaction.reply({ content: `✅ Added **${name}** with a **${formatDuration(lockout)}** lockout.` });
+  const clash = aliasClash(aliases);
+  if (clash) return interaction.reply({ content: clash, flags: 64 });
+
+  db.addTodMob(name, lockout, interaction.user.id, {
+    varianceMinHours: variance.min,
+    varianceMaxHours: variance.max,
+    zone,
+    expansion,
+    notes,
+    aliases,
+  });
+  todBoard.refresh();
+  const mob = db.getTodMob(name);
+  const where = [zone, expansion].filter(Boolean).join(', ');
+  return interaction.reply({
+    content: `✅ Added **${mob.name}**${where ? ` (${where})` : ''} with a **${formatLockout(mob)}** lockout.` +
+      (aliases.length ? `\nAlso found as: ${aliases.join(', ')}` : ''),
+  });
 }
 
 async function handleMobEdit(interaction) {
   const name = interaction.options.getString('name');
   const lockoutStr = interaction.options.getString('lockout');
-  const lockout = parseLockout(lockoutStr);
+  const varianceStr = interaction.options.getString('variance');
+  const role = interaction.options.getRole('role');
+  const clearRole = interaction.options.getBoolean('clear_role') ?? false;
+
+  // Text fields: undefined = unchanged, "none" = clear (null)
+  const clearable = option => {
+    const value = interaction.options.getString(option)?.trim();
+    if (!value) return undefined;
+    return value.toLowerCase() === 'none' ? null : value;
+  };
+  const zone = clearable('zone');
+  const expansion = clearable('expansion');
+  const notes = clearable('notes');
+  const aliasStr = clearable('aliases');
+
+  if (!lockoutStr && !varianceStr && [zone, expansion, notes, aliasStr].every(v => v === undefined) && !role && !clearRole) {
+    return interaction.reply({
+      content: '❌ Provide a `lockout`, `variance`, `zone`, `expansion`, `aliases`, `notes`, `role`, or `clear_role` to change.',
+      flags:   64,
+    });
+  }
 
-  if (lockout == null) {
+  const lockout = lockoutStr ? parseLockout(lockoutStr) : null;
+  if (lockoutStr && lockout == null) {
     return interaction.reply({ content: '❌ Could not parse lockout. Use: `6h`, `2d 18h 3m`, or paste the EQ lockout message.', flags: 64 });
   }
+  const variance = varianceStr ? parseVariance(varianceStr) : null;
+  if (varianceStr && !variance) return interaction.reply({ content: VARIANCE_HELP, flags: 64 });
 
   const mob = db.getTodMob(name);
   if (!mob) return interaction.reply({ content: `❌ Mob **${name}** not found.`, flags: 64 });
-
-  db.updateTodMob(mob.name, lockout);
-  return interaction.reply({ content: `✅ Updated **${mob.name}** lockout: ${formatDuration(mob.lockout_hours)} → **${formatDuration(lockout)}**.` });
+  if ((variance?.min ?? mob.variance_min_hours) >= (lockout ?? mob.lockout_hours)) {
+    return interaction.reply({ content: '❌ The early variance must be shorter than the lockout.', flags: 64 });
+  }
+  const aliases = aliasStr === undefined ? undefined
+    : aliasStr === null ? []
+    : parseAliases(aliasStr).filter(a => a.toLowerCase() !== mob.name.toLowerCase());
+  const clash = aliases && aliasClash(aliases, mob.id);
+  if (clash) return interaction.reply({ content: clash, flags: 64 });
+
+  db.updateTodMob(mob.name, {
+    lockoutHours:     lockout ?? undefined,
+    varianceMinHours: variance?.min,
+    varianceMaxHours: variance?.max,
+    alertRoleId:      role ? role.id : clearRole ? null : undefined,
+    zone,
+    expansion,
+    notes,
+    aliases,
+  });
+  todBoard.refresh();
+
+  const changes = [];
+  if (lockout != null || variance) changes.push(`lockout: ${formatLockout(mob)} → **${formatLockout(db.getTodMob(mob.name))}**`);
+  if (zone !== undefined)      changes.push(zone ? `zone: **${zone}**` : 'no zone');
+  if (expansion !== undefined) changes.push(expansion ? `expansion: **${expansion}**` : 'no expansion');
+  if (aliases)                 changes.push(aliases.length ? `also found as: ${aliases.join(', ')}` : 'no aliases');
+  if (notes !== undefined)     changes.push(notes ? 'notes updated' : 'notes cleared');
+  if (role)                    changes.push(`respawn alerts mention <@&${role.id}>`);
+  else if (clearRole)          changes.push('respawn alerts no longer mention a role');
+  return interaction.reply({
+    content:         `✅ Updated **${mob.name}** — ${changes.join('; ')}.`,
+    allowedMentions: { parse: [] },
+  });
 }
 
 async function handleMobRemove(interaction) {
@@ -360,8 +572,120 @@ async function handleMobRemove(interaction) {
   const mob = db.getTodMob(name);
   if (!mob) return interaction.reply({ content: `❌ Mob **${name}** not found.`, flags: 64 });
 
+  const kills  = db.getTodKillCount(mob.id);
+  const latest = db.getLatestTodKill(mob.id);
+  const confirmed = await confirmAction(interaction, {
+    title: `Remove ${mob.name}?`,
+    lines: [
+      `Lockout: ${formatLockout(mob)}`,
+      '',
+      'This permanently removes:',
+      '• the mob from the TOD tracker',
+      `• **${kills}** recorded kill(s)` + (latest ? ` — last <t:${Math.floor(latest.killed_at / 1000)}:R>` : ''),
+      '',
+      'Boss kills in parsed raid logs are kept.',
+    ],
+    confirmLabel: 'Remove mob',
+  });
+  if (!confirmed) return;
+
   db.removeTodMob(mob.name);
-  return interaction.reply({ content: `✅ Removed **${mob.name}** and all its kill history.` });
+  todBoard.refresh();
+  return interaction.followUp({ content: `✅ Removed **${mob.name}** and all its kill history.` });
+}
+
+async function handleSubscribe(interaction) {
+  const mobName = interaction.options.getString('mob');
+  const leadStr = interaction.options.getString('lead');
+  const mob = db.getTodMob(mobName);
+  if (!mob) return interaction.reply({ content: `❌ Mob **${mobName}** not found.`, flags: 64 });
+
+  const lead = leadStr ? parseLead(leadStr) : 30;
+  if (lead == null) {
+    return interaction.reply({ content: '❌ Could not parse lead. Use e.g. `30m`, `2h`, or `0` for when it opens.', flags: 64 });
+  }
+  // Reminders count down to the window opening, so the lead has to fit between the kill and that
+  const { opensAt, hasWindow } = getSpawnWindow(mob, 0);
+  if (lead >= opensAt / 60000) {
+    const until = hasWindow
+      ? `the time from a kill to ${mob.name}'s window opening (${formatDuration(opensAt / 3600000)})`
+      : `${mob.name}'s lockout (${formatLockout(mob)})`;
+    return interaction.reply({ content: `❌ The lead must be shorter than ${until}.`, flags: 64 });
+  }
+
+  const previous = db.subscribeTodMob(interaction.user.id, mob.id, lead);
+  const change = previous && previous.lead_minutes !== lead ? ` (was ${formatLead(previous.lead_minutes)})` : '';
+  return interaction.reply({
+    content: `✅ You'll get a DM about **${mob.name}** ${formatLead(lead)}${change}. ` +
+      'Make sure DMs from server members are allowed.',
+    flags: 64,
+  });
+}
+
+async function handleUnsubscribe(interaction) {
+  const mobName = interaction.options.getString('mob');
+  const mob = db.getTodMob(mobName);
+  if (!mob) return interaction.reply({ content: `❌ Mob **${mobName}** not found.`, flags: 64 });
+
+  if (!db.unsubscribeTodMob(interaction.user.id, mob.id)) {
+    return interaction.reply({ content: `You aren't subscribed to **${mob.name}**.`, flags: 64 });
+  }
+  return interaction.reply({ content: `✅ No more reminders for **${mob.name}**.`, flags: 64 });
+}
+
+async function handleSubscriptions(interaction) {
+  const subs = db.getTodSubscriptions(interaction.user.id);
+  if (subs.length === 0) {
+    return interaction.reply({ content: 'You have no TOD subscriptions. Use `/tod subscribe` to follow a mob.', flags: 64 });
+  }
+
+  const now = Date.now();
+  const lines = subs.map(s => {
+    let next;
+    if (!s.killed_at) {
+      next = 'no kills recorded';
+    } else {
+      const window = getSpawnWindow(s, s.killed_at);
+      const remindAt = Math.floor((window.opensAt - s.lead_minutes * 60_000) / 1000);
+      const state = getSpawnState(window, now);
+      if (state !== 'locked')                   next = `${STATE_LABELS[state]} — waiting for the next kill`;
+      else if (s.notified_kill_id === s.kill_id) next = 'reminder sent';
+      else                                       next = `reminder <t:${Math.max(remindAt, Math.floor(now / 1000))}:R>`;
+    }
+    return `**${s.name}** — ${formatLead(s.lead_minutes)} · ${next}`;
+  });
+
+  return paginateLines(interaction, {
+    lines,
+    maxLines: 15,
+    ephemeral: true,
+    embed: description => new EmbedBuilder()
+      .setTitle('Your TOD Subscriptions')
+      .setDescription(description)
+      .setColor(0x3498DB)
+      .setFooter({ text: `${subs.length} mob(s)  •  /tod unsubscribe to stop` }),
+  });
+}
+
+async function handleBoard(interaction) {
+  if (interaction.options.getBoolean('remove')) {
+    const removed = await todBoard.remove();
+    return interaction.reply({ content: removed ? '✅ TOD board taken down.' : 'There is no TOD board up.', flags: 64 });
+  }
+
+  const channel = interaction.options.getChannel('channel') ?? interaction.channel;
+  await interaction.deferReply({ flags: 64 });
+  let result;
+  try {
+    result = await todBoard.post(channel, { groupBy: interaction.options.getString('group') ?? 'zone' });
+  } catch (err) {
+    console.error('[TOD Board] Could not post board:', err);
+    return interaction.editReply({ content: `❌ Could not post in <#${channel.id}> — check the bot can send messages there.` });
+  }
+  return interaction.editReply({
+    content: `✅ TOD board posted in <#${channel.id}>: ${result.message.url}\nIt updates every minute; running \`/tod board\` again replaces it.` +
+      (result.pinned ? '' : '\n⚠️ Could not pin it — give the bot **Pin Messages** so it stays easy to find.'),
+  });
 }
 
 // ── Exports ────────────────────────────────────────────────────────────────
@@ -0,0 +1,69 @@
+/**
+ * Export or import the guild's data (lib/export.js).
+ *
+ *   node guild-data.js export [--format json|csv] [--out file]  — write a JSON bundle or a zip of CSVs
+ *   node guild-data.js import <file.json> [--dry-run]           — merge a bundle, reporting conflicts
+ *
+ * Imports back up the database first; --dry-run reports what would change and
+ * rolls everything back. Stop the bot before importing by hand.
+ */
+
+'use strict';
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { exportData, importData, formatImportReport } = require('./lib/export');
+const backup = require('./lib/backup');
+
+const [command, ...rest] = process.argv.slice(2);
+
+function option(name) {
+  const i = rest.indexOf(name);
+  return i === -1 ? null : rest[i + 1];
+}
+
+async function main() {
+  if (command === 'export') {
+    const format = option('--format') ?? 'json';
+    if (!['json', 'csv'].includes(format)) throw new Error(`Unknown format "${format}" (json or csv)`);
+    const result = exportData(format);
+    const out    = option('--out') ?? result.name;
+    fs.writeFileSync(out, result.data);
+    console.log(`✅ Wrote ${out} (${backup.formatSize(result.data.length)})`);
+    for (const [table, n] of Object.entries(result.counts)) console.log(`  ${table.padEnd(15)} ${n}`);
+    return;
+  }
+
+  if (command === 'import') {
+    const file   = rest.find(a => !a.startsWith('--'));
+    const dryRun = rest.includes('--dry-run');
+    if (!file) throw new Error('Usage: node guild-data.js import <file.json> [--dry-run]');
+
+    const text = fs.readFileSync(file, 'utf8');
+    if (!dryRun) {
+      const { file: saved } = await backup.runBackup({ kind: 'manual' });
+      console.log(`💾 Backed up to ${saved}`);
+    }
+
+    const result = importData(text, { dryRun });
+    if (result.errors.length) {
+      console.error(`❌ ${file} can't be imported — nothing was changed.`);
+      for (const e of result.errors) console.error(`  • ${e}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(formatImportReport(result, { maxConflicts: Infinity }).join('\n'));
+    console.log(dryRun ? '\nDry run — nothing was changed.' : '\n✅ Imported.');
+    return;
+  }
+
+  console.log('Usage:\n  node guild-data.js export [--format json|csv] [--out file]\n  node guild-data.js import <file.json> [--dry-run]');
+  process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,284 @@
+'use strict';
+
+/**
+ * Import historical raids from a spreadsheet or another DKP tool's CSV export.
+ *
+ * Each CSV row is one player at one raid — optionally with an item they looted.
+ * Rows are grouped into raids by (date, zone) and saved like a parsed log
+ * (saveRaid). A raid already on that UTC day in that zone — the same lookup as
+ * getRaidByDate, narrowed to the zone — gets the new players and loot merged in
+ * instead of a duplicate raid.
+ *
+ * Usage:
+ *   node import-history.js --file attendance.csv --preview
+ *   node import-history.js --file eqdkp.csv --preset eqdkp
+ *   node import-history.js --file sheet.csv --map "date=Raid Date,zone=Where,player=Who,item=Loot"
+ *
+ * Options:
+ *   --file         CSV file to import (required; first row is the header)
+ *   --preset       Column names to look for: sheet (default) or eqdkp
+ *   --map          Override columns: date=…,zone=…,player=…,item=…,looter=…,name=… (header names)
+ *   --date-format  How to read 1/2/2024-style dates: mdy (default) or dmy.
+ *                  YYYY-MM-DD always works.
+ *   --start        Raid start time in UTC, HH:MM (default 13:00) — history has no times
+ *   --hours        Raid length in hours (default 4); everyone listed attended all of it
+ *   --preview      Show what would be imported without changing anything
+ *
+ * A player cell may list several names (comma / semicolon / space separated),
+ * as EQDKP attendee columns do. Rows with an item add loot for the looter
+ * column's player (EQDKP's buyer), or the first player listed when there is none.
+ * The database is backed up before anything is written. Stop the bot first.
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const { parseCsv } = require('./lib/csv');
+const { getDb, getRaidByDateAndZone, getRaidAttendance, getRaidLoot, saveRaid, mergeIntoRaid } = require('./lib/db');
+const audit  = require('./lib/audit');
+const backup = require('./lib/backup');
+
+// Header names tried for each field, compared lowercase with spaces/underscores removed
+const PRESETS = {
+  sheet: {
+    date:   ['date', 'raiddate', 'day'],
+    zone:   ['zone', 'raid', 'raidzone', 'location'],
+    player: ['player', 'name', 'character', 'charactername', 'member'],
+    item:   ['item', 'loot', 'itemname'],
+    looter: ['looter', 'winner', 'lootedby'],
+    name:   ['raidname', 'title', 'note'],
+  },
+  eqdkp: {
+    date:   ['raiddate', 'date', 'itemdate'],
+    zone:   ['event', 'raidevent', 'eventname', 'zone'],
+    player: ['member', 'membername', 'raidattendees', 'attendees', 'player', 'buyer'],
+    item:   ['itemname', 'item'],
+    looter: ['buyer', 'itembuyer'],
+    name:   ['raidnote', 'note', 'raidname'],
+  },
+};
+
+// ── Args ───────────────────────────────────────────────────────────────────
+
+const args = {};
+const argv = process.argv.slice(2);
+for (let i = 0; i < argv.length; i++) {
+  if (argv[i].startsWith('--')) {
+    const key = argv[i].slice(2);
+    const val = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[i + 1] : true;
+    args[key] = val;
+    if (val !== true) i++;
+  }
+}
+
+const file       = args['file'];
+const presetName = args['preset']      || 'sheet';
+const dateFormat = args['date-format'] || 'mdy';
+const startTime  = args['start']       || '13:00';
+const hours      = parseFloat(args['hours'] || '4');
+const preview    = args['preview'] === true;
+
+function fail(message) {
+  console.error(`\n${message}\n`);
+  console.error('Example:');
+  console.error('  node import-history.js --file attendance.csv --preview');
+  process.exit(1);
+}
+
+if (!file || file === true)              fail('Missing: --file');
+if (!PRESETS[presetName])                fail(`Unknown preset "${presetName}" (sheet or eqdkp)`);
+if (!['mdy', 'dmy'].includes(dateFormat)) fail(`Unknown --date-format "${dateFormat}" (mdy or dmy)`);
+if (!/^\d{1,2}:\d{2}$/.test(startTime))  fail(`--start must be HH:MM, got "${startTime}"`);
+if (!(hours > 0))                        fail('--hours must be a positive number');
+
+// ── Columns ────────────────────────────────────────────────────────────────
+
+const normalise = s => s.toLowerCase().replace(/[\s_\-.]/g, '');
+
+/** Field → column index, from the preset and any --map overrides. */
+function resolveColumns(header) {
+  const wanted = Object.fromEntries(Object.entries(PRESETS[presetName]).map(([k, v]) => [k, [...v]]));
+  if (typeof args['map'] === 'string') {
+    for (const pair of args['map'].split(',')) {
+      const [field, column] = pair.split('=').map(s => s?.trim());
+      if (!wanted[field] || !column) fail(`Bad --map entry "${pair}" (fields: ${Object.keys(wanted).join(', ')})`);
+      wanted[field] = [column];
+    }
+  }
+
+  const names   = header.map(normalise);
+  const columns = {};
+  for (const [field, candidates] of Object.entries(wanted)) {
+    const index = candidates.map(normalise).map(c => names.indexOf(c)).find(i => i !== -1);
+    if (index !== undefined) columns[field] = index;
+  }
+  const missing = ['date', 'zone', 'player'].filter(f => columns[f] === undefined);
+  if (missing.length) {
+    fail(`Could not find a column for: ${missing.join(', ')}\nHeader: ${header.join(' | ')}\nUse --map, e.g. --map "date=Raid Date,player=Who"`);
+  }
+  return columns;
+}
+
+// ── Rows → raids ───────────────────────────────────────────────────────────
+
+/** "2024-01-02", "1/2/2024", "1/2/24" (or "2024-01-02 20:00") → "2024-01-02", or null. */
+function parseDate(value) {
+  const s = value.trim();
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  let year, month, day;
+  if (m) {
+    [, year, month, day] = m.map(Number);
+  } else if ((m = s.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{2}|\d{4})\b/))) {
+    const [a, b] = [Number(m[1]), Number(m[2])];
+    [month, day] = dateFormat === 'dmy' ? [b, a] : [a, b];
+    year = Number(m[3]) < 100 ? 2000 + Number(m[3]) : Number(m[3]);
+  } else {
+    return null;
+  }
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+const properCase = name => name.charAt(0).toUpperCase() + name.slice(1).toLowerCase();
+
+/** Group CSV rows into raids keyed by date + zone. Returns { raids, skipped }. */
+function buildRaids(rows, columns) {
+  const raids   = new Map();
+  const skipped = [];
+  const [hh, mm] = startTime.split(':').map(Number);
+
+  rows.forEach((row, i) => {
+    const line  = i + 2; // 1-based, after the header
+    const cell  = field => (columns[field] !== undefined ? (row[columns[field]] ?? '').trim() : '');
+    const date  = parseDate(cell('date'));
+    const zone  = cell('zone');
+    const names = cell('player').split(/[,;\s]+/).filter(Boolean).map(properCase);
+    if (!date)         return skipped.push(`line ${line}: unreadable date "${cell('date')}"`);
+    if (!zone)         return skipped.push(`line ${line}: no zone`);
+    if (!names.length) return skipped.push(`line ${line}: no player`);
+
+    const key = `${date}|${zone.toLowerCase()}`;
+    if (!raids.has(key)) {
+      const start = new Date(`${date}T00:00:00Z`);
+      start.setUTCHours(hh, mm);
+      raids.set(key, {
+        date,
+        zone,
+        name:       cell('name') || `${zone} ${date}`,
+        startTime:  start,
+        endTime:    new Date(start.getTime() + hours * 60 * 60 * 1000),
+        attendance: new Map(),
+        loot:       [],
+      });
+    }
+
+    const raid = raids.get(key);
+    for (const name of names) {
+      raid.attendance.set(name.toLowerCase(), { name, firstSeen: raid.startTime, lastSeen: raid.endTime });
+    }
+    const item   = cell('item');
+    const looter = cell('looter') ? properCase(cell('looter')) : names[0];
+    if (item) {
+      raid.attendance.set(looter.toLowerCase(), { name: looter, firstSeen: raid.startTime, lastSeen: raid.endTime });
+      // History has no loot times — space items a second apart so each is its own row
+      raid.loot.push({
+        playerName: looter,
+        itemName:   item,
+        timestamp:  new Date(raid.startTime.getTime() + raid.loot.length * 1000),
+        zone,
+      });
+    }
+  });
+
+  return { raids: [...raids.values()].sort((a, b) => a.startTime - b.startTime), skipped };
+}
+
+/**
+ * Decide what each raid adds: a new raid, or the players and items an existing
+ * raid on that day/zone doesn't have yet (matched by name, and per player + item
+ * count for loot, since parsed loot has real times the sheet doesn't).
+ */
+function plan(raid) {
+  const existing   = getRaidByDateAndZone(raid.date, raid.zone);
+  const attendance = [...raid.attendance.values()];
+  if (!existing) return { raid, existing: null, attendance, loot: raid.loot };
+
+  const present = new Set(getRaidAttendance(existing.id).map(a => a.player_name.toLowerCase()));
+  const owned   = new Map();
+  for (const l of getRaidLoot(existing.id)) {
+    const k = `${l.player_name}|${l.item_name}`.toLowerCase();
+    owned.set(k, (owned.get(k) ?? 0) + 1);
+  }
+  const loot = raid.loot.filter(l => {
+    const k = `${l.playerName}|${l.itemName}`.toLowerCase();
+    if (!owned.get(k)) return true;
+    owned.set(k, owned.get(k) - 1);
+    return false;
+  });
+  return { raid, existing, attendance: attendance.filter(a => !present.has(a.name.toLowerCase())), loot };
+}
+
+// ── Main ───────────────────────────────────────────────────────────────────
+
+async function main() {
+  const [header, ...rows] = parseCsv(fs.readFileSync(file, 'utf8'));
+  if (!header) fail(`${file} is empty`);
+
+  const columns           = resolveColumns(header);
+  const { raids, skipped } = buildRaids(rows, columns);
+  const plans             = raids.map(plan);
+
+  console.log(`\n${file}: ${rows.length} row(s) → ${raids.length} raid(s)  [preset: ${presetName}]\n`);
+  for (const p of plans) {
+    const what = p.existing
+      ? `merge into #${p.existing.id} "${p.existing.name}"`
+      : 'new raid';
+    console.log(`  ${p.raid.date}  ${p.raid.zone.padEnd(28)} +${String(p.attendance.length).padStart(3)} players  +${String(p.loot.length).padStart(3)} loot  — ${what}`);
+  }
+  if (skipped.length) {
+    console.log(`\nSkipped ${skipped.length} row(s):`);
+    for (const s of skipped) console.log(`  ${s}`);
+  }
+
+  const work = plans.filter(p => !p.existing || p.attendance.length || p.loot.length);
+  if (preview) {
+    console.log(`\nPreview — nothing was changed. ${work.length} raid(s) would be written.`);
+    return;
+  }
+  if (work.length === 0) {
+    console.log('\nNothing new to import.');
+    return;
+  }
+
+  const { file: saved } = await backup.runBackup({ kind: 'manual' });
+  console.log(`\n💾 Backed up to ${saved}`);
+
+  let created = 0, merged = 0;
+  // One transaction, so a failure part-way leaves the database as it was
+  audit.run({ actorName: 'import-history', command: 'import-history.js' }, () => getDb().transaction(() => {
+    for (const p of work) {
+      if (p.existing) {
+        mergeIntoRaid(p.existing.id, { attendance: p.attendance, loot: p.loot });
+        merged++;
+      } else {
+        saveRaid({
+          name:        p.raid.name,
+          zone:        p.raid.zone,
+          startTime:   p.raid.startTime,
+          endTime:     p.raid.endTime,
+          submittedBy: 'import-history',
+          attendance:  p.attendance,
+          loot:        p.loot,
+        });
+        created++;
+      }
+    }
+  })());
+  console.log(`✅ Imported ${created} new raid(s), merged into ${merged} existing.`);
+}
+
+main().catch(err => {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+});
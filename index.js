@@ -12,6 +12,13 @@ require('dotenv').config();
 const { Client, GatewayIntentBits, Collection } = require('discord.js');
 const apiServer    = require('./lib/api-server');
 const eventTracker = require('./lib/event-tracker');
+const auctions     = require('./lib/auctions');
+const permissions  = require('./lib/permissions');
+const audit        = require('./lib/audit');
+const backup       = require('./lib/backup');
+const todAlerts    = require('./lib/tod-alerts');
+const todBoard     = require('./lib/tod-board');
+const { purgeDeletedRaids, RAID_TRASH_RETENTION_DAYS } = require('./lib/db');
 const fs   = require('fs');
 const path = require('path');
 
@@ -44,7 +51,9 @@ async function purgeOldMessages(channel) {
   try {
     const cutoff   = Date.now() - 5 * 60 * 1000;
     const messages = await channel.messages.fetch({ limit: 100 });
-    const toDelete = messages.filter(m => !m.pinned && m.createdTimestamp < cutoff);
+    // Live auctions and the TOD board outlast the 5-minute purge
+    const keep     = new Set([...auctions.getOpenAuctionMessageIds(), todBoard.getBoardMessageId()]);
+    const toDelete = messages.filter(m => !m.pinned && m.createdTimestamp < cutoff && !keep.has(m.id));
     if (toDelete.size === 0) return;
     // bulkDelete requires 2+ messages; fall back to individual deletes for single messages
     if (toDelete.size === 1) {
@@ -57,10 +66,31 @@ async function purgeOldMessages(channel) {
   }
 }
 
+// Raids deleted with /raids delete are purged for good after RAID_TRASH_RETENTION_DAYS
+function purgeRaidTrash() {
+  try {
+    const purged = purgeDeletedRaids(RAID_TRASH_RETENTION_DAYS);
+    if (purged.length > 0) {
+      console.log(`[Trash] Purged ${purged.length} raid(s) deleted over ${RAID_TRASH_RETENTION_DAYS} days ago: ` +
+        purged.map(r => `#${r.id}`).join(', '));
+    }
+  } catch (err) {
+    console.error('[Trash] Error:', err);
+  }
+}
+
 client.once('clientReady', async () => {
   console.log(`\n✅ Logged in as ${client.user.tag} (${client.user.id})`);
   console.log(`   Serving ${client.guilds.cache.size} guild(s)\n`);
   await eventTracker.init(client);
+  await auctions.init(client);
+  audit.init(client);
+  backup.init(client);
+  todAlerts.init(client);
+  todBoard.init(client);
+
+  purgeRaidTrash();
+  setInterval(purgeRaidTrash, 60 * 60 * 1000);
 
   if (ALLOWED_CHANNEL) {
     const ch = await client.channels.fetch(ALLOWED_CHANNEL).catch(() => null);
@@ -94,6 +124,27 @@ client.on('interactionCreate', async interaction => {
     return;
   }
 
+  // Buttons and modals: custom IDs are "<command>:<action>:<args…>" and are
+  // routed to that command's handleComponent. Confirm / Cancel prompts
+  // ("confirm:…") and Prev / Next page buttons ("page:…") are collected by
+  // lib/confirm.js and lib/paginator.js themselves and skipped here.
+  if (interaction.isButton() || interaction.isModalSubmit()) {
+    const command = client.commands.get(interaction.customId.split(':')[0]);
+    if (!command?.handleComponent) return;
+    try {
+      await audit.run(audit.contextFor(interaction), () => command.handleComponent(interaction));
+    } catch (err) {
+      console.error(`[ERROR] component ${interaction.customId}:`, err);
+      const errorMsg = { content: '❌ An unexpected error occurred. Check the bot console.', flags: 64 };
+      if (interaction.deferred || interaction.replied) {
+        await interaction.followUp(errorMsg).catch(() => {});
+      } else {
+        await interaction.reply(errorMsg).catch(() => {});
+      }
+    }
+    return;
+  }
+
   if (!interaction.isChatInputCommand()) return;
 
   const command = client.commands.get(interaction.commandName);
@@ -109,8 +160,16 @@ client.on('interactionCreate', async interaction => {
     });
   }
 
+  // Role checks — see lib/permissions.js for what's guarded by default
+  const denied = permissions.check(interaction, command);
+  if (denied) {
+    console.log(`[Permissions] Denied /${interaction.commandName} for ${interaction.user.tag}`);
+    return interaction.reply({ content: denied, flags: 64 });
+  }
+
   try {
-    await command.execute(interaction);
+    // Every db write made while handling this is attributed to the invoking user
+    await audit.run(audit.contextFor(interaction), () => command.execute(interaction));
   } catch (err) {
     console.error(`[ERROR] /${interaction.commandName}:`, err);
 
@@ -12,6 +12,7 @@
 
 const http = require('http');
 const { saveRaid, mergeIntoRaid, getRaid, getRaidByDate, getCharacterByDiscordId } = require('./db');
+const audit = require('./audit');
 
 let _client = null;
 
@@ -56,17 +57,23 @@ function start(client) {
     // POST /raid — new raid
     if (req.method === 'POST' && req.url === '/raid') {
       try {
-        const { raid, attendance, loot } = JSON.parse(await readBody(req));
-        const raidId = saveRaid({
+        const { raid, attendance, loot, rolls, kills, snapshots } = JSON.parse(await readBody(req));
+        const context = { actorName: `API (${raid.submittedBy || 'local-script'})`, command: 'POST /raid' };
+        const raidId = audit.run(context, () => saveRaid({
           name:          raid.name,
           zone:          raid.zone,
           startTime:     new Date(raid.startTime),
           endTime:       new Date(raid.endTime),
           characterName: raid.characterName || null,
           submittedBy:   raid.submittedBy   || 'local-script',
+          tier:          raid.tier          || null,
+          category:      raid.category      || null,
           attendance:    hydrateDates(attendance),
           loot:          hydrateDates(loot),
-        });
+          rolls:         hydrateDates(rolls ?? []),
+          kills:         hydrateDates(kills ?? []),
+          snapshots:     hydrateDates(snapshots ?? []),
+        }));
         console.log(`[API] New raid saved — ID ${raidId} (${raid.name})`);
         return send(res, 200, { raidId });
       } catch (err) {
@@ -82,12 +89,15 @@ function start(client) {
         if (!raidId || !getRaid(raidId)) {
           return send(res, 404, { error: `Raid ${raidId} not found` });
         }
-        const { attendance, loot } = JSON.parse(await readBody(req));
-        const result = mergeIntoRaid(raidId, {
+        const { attendance, loot, rolls, kills, snapshots } = JSON.parse(await readBody(req));
+        const result = audit.run({ actorName: 'API', command: 'POST /raid/merge' }, () => mergeIntoRaid(raidId, {
           attendance: hydrateDates(attendance),
           loot:       hydrateDates(loot),
-        });
-        console.log(`[API] Merged into raid ${raidId} — ${result.newLoot} new loot rows`);
+          rolls:      hydrateDates(rolls ?? []),
+          kills:      hydrateDates(kills ?? []),
+          snapshots:  hydrateDates(snapshots ?? []),
+        }));
+        console.log(`[API] Merged into raid ${raidId} — ${result.newLoot} new loot rows, ${result.newKills} new kills`);
         return send(res, 200, { raidId, ...result });
       } catch (err) {
         console.error('[API] /raid/merge error:', err.message);
@@ -132,7 +142,7 @@ function start(client) {
   });
 }
 
-/** Convert ISO date strings back to Date objects in attendance/loot arrays. */
+/** Convert ISO date strings back to Date objects in attendance/loot/roll/kill/snapshot arrays. */
 function hydrateDates(rows) {
   return rows.map(r => {
     const out = { ...r };
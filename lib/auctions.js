@@ -0,0 +1,305 @@
+'use strict';
+
+/**
+ * Live loot auctions for /loot bid.
+ *
+ * An auction is a message with Bid / Pass buttons and a countdown. Bids are
+ * entered through a modal and validated against the bidder's DKP balance, less
+ * what they're leading with in other open auctions. When the timer runs out
+ * the highest bid its bidder can still cover wins, and the loot row + DKP charge
+ * are written via db.settleAuction. Officers can cancel an auction early
+ * (permission key "loot bid-cancel"), which ends it with no winner.
+ *
+ * All state lives in the auctions / auction_bids tables — the only in-memory
+ * state is the close timer per auction, which init() rebuilds on startup, so
+ * an auction survives a bot restart.
+ *
+ * Button / modal custom IDs: "loot:<action>:<auctionId>"
+ *   loot:bid:<id>        — Bid button (opens the modal)
+ *   loot:pass:<id>       — Pass button
+ *   loot:cancel:<id>     — Cancel button (officers; asks for confirmation)
+ *   loot:bid-modal:<id>  — bid amount modal submit
+ */
+
+const {
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+} = require('discord.js');
+const db = require('./db');
+const permissions = require('./permissions');
+const { confirmAction } = require('./confirm');
+
+let _client = null;
+const timers = new Map(); // auctionId → Timeout
+
+function formatPoints(n) {
+  return `${Math.round(n * 100) / 100}`;
+}
+
+// ── Initialise (call once inside clientReady) ───────────────────────────────
+
+async function init(client) {
+  _client = client;
+  const open = db.getOpenAuctions();
+  for (const auction of open) schedule(auction);
+  if (open.length > 0) console.log(`[Auctions] Restored ${open.length} open auction(s)`);
+}
+
+// ── Lifecycle ───────────────────────────────────────────────────────────────
+
+/**
+ * Start an auction in the interaction's channel and reply with the auction message.
+ * @param {object} opts - { itemName, raidId, minutes, minBid, increment, closedBid }
+ */
+async function open(interaction, { itemName, raidId, minutes, minBid, increment, closedBid }) {
+  const auctionId = db.createAuction({
+    itemName,
+    raidId,
+    channelId: interaction.channelId,
+    minBid,
+    increment,
+    closedBid,
+    endsAt:    Date.now() + minutes * 60_000,
+    createdBy: interaction.user.id,
+  });
+
+  const auction  = db.getAuction(auctionId);
+  const response = await interaction.reply({ ...buildAuctionMessage(auction, []), withResponse: true });
+  db.setAuctionMessage(auctionId, response.resource.message.id);
+  schedule(auction);
+  console.log(`[Auctions] Opened #${auctionId} for "${itemName}" (${minutes}m)`);
+}
+
+function schedule(auction) {
+  clearTimeout(timers.get(auction.id));
+  const delay = Math.max(0, auction.ends_at - Date.now());
+  timers.set(auction.id, setTimeout(() => {
+    close(auction.id).catch(err => console.error(`[Auctions] close #${auction.id} error:`, err));
+  }, delay));
+}
+
+/** Settle the auction, freeze its message and announce the winner. */
+async function close(auctionId) {
+  clearTimeout(timers.get(auctionId));
+  timers.delete(auctionId);
+
+  const auction = db.settleAuction(auctionId);
+  if (!auction) return;
+  const bids = db.getAuctionBids(auctionId);
+
+  await refreshMessage(auction, bids);
+
+  const channel = await _client?.channels.fetch(auction.channel_id).catch(() => null);
+  if (!channel) return;
+
+  // Bids ahead of the winner were skipped by settleAuction: their bidder couldn't cover them any more
+  const active  = bids.filter(b => b.amount != null);
+  const winner  = active.find(b => b.character_name === auction.winner_character && b.amount === auction.winning_bid);
+
+  if (winner) {
+    const skipped = active.indexOf(winner);
+    const note    = auction.raid_id ? '' : ' *(no raid attached — DKP charged, no loot row written)*';
+    const skip    = skipped > 0 ? ` ${skipped} higher bid(s) skipped — not enough DKP left to cover them.` : '';
+    await channel.send(
+      `🏆 **${auction.item_name}** goes to **${auction.winner_character}** <@${winner.discord_id}> ` +
+      `for **${formatPoints(auction.winning_bid)}** DKP.${note}${skip}`
+    );
+  } else if (active.length > 0) {
+    await channel.send(
+      `🔨 Auction #${auction.id} for **${auction.item_name}** closed with no winner — ` +
+      `none of the ${active.length} bidder(s) had enough DKP left to cover their bid.`
+    );
+  } else {
+    await channel.send(`🔨 Auction #${auction.id} for **${auction.item_name}** closed with no bids.`);
+  }
+  console.log(`[Auctions] Closed #${auctionId} → ${auction.winner_character ?? 'no winner'}`);
+}
+
+/** End an auction with no winner, freeze its message and say so in the channel. */
+async function cancel(auctionId) {
+  clearTimeout(timers.get(auctionId));
+  timers.delete(auctionId);
+
+  const auction = db.cancelAuction(auctionId);
+  if (!auction) return null;
+  await refreshMessage(auction);
+
+  const channel = await _client?.channels.fetch(auction.channel_id).catch(() => null);
+  await channel?.send(`🚫 Auction #${auction.id} for **${auction.item_name}** was cancelled — no one was charged.`);
+  console.log(`[Auctions] Cancelled #${auctionId}`);
+  return auction;
+}
+
+/** Message IDs of every open auction (so channel purging leaves them alone). */
+function getOpenAuctionMessageIds() {
+  return new Set(db.getOpenAuctions().map(a => a.message_id).filter(Boolean));
+}
+
+// ── Rendering ───────────────────────────────────────────────────────────────
+
+function buildAuctionMessage(auction, bids) {
+  const isOpen  = auction.status === 'open';
+  const active  = bids.filter(b => b.amount != null);
+  const passes  = bids.length - active.length;
+  const endsAt  = Math.floor(auction.ends_at / 1000);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🔨 Auction #${auction.id}: ${auction.item_name}`)
+    .setColor(isOpen ? 0xFFD700 : 0x808080);
+
+  if (isOpen) {
+    embed.setDescription([
+      `Ends <t:${endsAt}:R> (<t:${endsAt}:T>)`,
+      `Minimum bid: **${formatPoints(auction.min_bid)}**` +
+        (auction.closed_bid ? '' : `  •  Increment: **${formatPoints(auction.increment)}**`),
+      auction.closed_bid ? '🔒 Closed bidding — bids stay hidden until the auction ends.' : null,
+    ].filter(Boolean).join('\n'));
+
+    const high = active[0];
+    embed.addFields(
+      auction.closed_bid
+        ? { name: 'Bids', value: `${active.length}`, inline: true }
+        : { name: 'High Bid', value: high ? `**${formatPoints(high.amount)}** — ${high.character_name}` : 'No bids yet', inline: true },
+      { name: 'Passes', value: `${passes}`, inline: true },
+    );
+  } else {
+    const outcome = auction.status === 'cancelled'
+      ? 'Auction cancelled.'
+      : auction.winner_character
+        ? `🏆 **${auction.winner_character}** wins for **${formatPoints(auction.winning_bid)}** DKP`
+        : active.length ? 'No winner — no bidder could still cover their bid.' : 'No bids.';
+    const list = active.slice(0, 10).map((b, i) => `${i + 1}. ${b.character_name} — ${formatPoints(b.amount)}`);
+    embed.setDescription([outcome, list.length ? `\n${list.join('\n')}` : null].filter(Boolean).join('\n'));
+  }
+
+  embed.setFooter({ text: auction.raid_id ? `Raid #${auction.raid_id}` : 'No raid attached' });
+
+  const components = isOpen
+    ? [new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`loot:bid:${auction.id}`).setLabel('Bid').setStyle(ButtonStyle.Primary),
+        new ButtonBuilder().setCustomId(`loot:pass:${auction.id}`).setLabel('Pass').setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder().setCustomId(`loot:cancel:${auction.id}`).setLabel('Cancel').setStyle(ButtonStyle.Danger),
+      )]
+    : [];
+
+  return { embeds: [embed], components };
+}
+
+async function refreshMessage(auction, bids = db.getAuctionBids(auction.id)) {
+  if (!_client || !auction.message_id) return;
+  try {
+    const channel = await _client.channels.fetch(auction.channel_id);
+    const message = await channel.messages.fetch(auction.message_id);
+    await message.edit(buildAuctionMessage(auction, bids));
+  } catch (err) {
+    console.warn(`[Auctions] Could not update message for #${auction.id}: ${err.message}`);
+  }
+}
+
+// ── Buttons / modal ─────────────────────────────────────────────────────────
+
+async function handleComponent(interaction) {
+  const [, action, idStr] = interaction.customId.split(':');
+  const auction = db.getAuction(parseInt(idStr, 10));
+
+  if (!auction || auction.status !== 'open' || auction.ends_at <= Date.now()) {
+    return interaction.reply({ content: '⌛ This auction has already closed.', flags: 64 });
+  }
+
+  if (action === 'cancel') {
+    const denied = permissions.checkKey(interaction, 'loot bid-cancel');
+    if (denied) return interaction.reply({ content: denied, flags: 64 });
+
+    const bids = db.getAuctionBids(auction.id).filter(b => b.amount != null);
+    const ok = await confirmAction(interaction, {
+      title: `Cancel auction #${auction.id} — ${auction.item_name}?`,
+      lines: [
+        `${bids.length} bid(s) so far will be discarded.`,
+        'No one is charged and no loot row is written.',
+      ],
+      confirmLabel: 'Cancel auction',
+    });
+    if (ok && !await cancel(auction.id)) {
+      await interaction.followUp({ content: '⌛ The auction closed before it could be cancelled.', flags: 64 });
+    }
+    return;
+  }
+
+  const character = db.getCharacterByDiscordId(interaction.user.id);
+  if (!character) {
+    return interaction.reply({
+      content: '❌ You need a linked character to bid. Use `/player link character:<name>` first.',
+      flags: 64,
+    });
+  }
+
+  if (action === 'bid') {
+    const bids = db.getAuctionBids(auction.id).filter(b => b.amount != null);
+    const min  = !auction.closed_bid && bids[0] ? bids[0].amount + auction.increment : auction.min_bid;
+
+    const modal = new ModalBuilder()
+      .setCustomId(`loot:bid-modal:${auction.id}`)
+      .setTitle(`Bid on ${auction.item_name}`.slice(0, 45))
+      .addComponents(new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('amount')
+          .setLabel(`Your bid (minimum ${formatPoints(min)})`)
+          .setStyle(TextInputStyle.Short)
+          .setRequired(true)
+          .setPlaceholder(formatPoints(min)),
+      ));
+    return interaction.showModal(modal);
+  }
+
+  if (action === 'pass') {
+    db.placeAuctionBid(auction.id, interaction.user.id, character, null);
+    await interaction.reply({ content: `👋 You passed on **${auction.item_name}**.`, flags: 64 });
+    return refreshMessage(auction);
+  }
+
+  if (action === 'bid-modal') {
+    const amount = Number(interaction.fields.getTextInputValue('amount').trim());
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return interaction.reply({ content: '❌ Enter a positive number of DKP.', flags: 64 });
+    }
+    if (amount < auction.min_bid) {
+      return interaction.reply({ content: `❌ The minimum bid is **${formatPoints(auction.min_bid)}**.`, flags: 64 });
+    }
+
+    if (!auction.closed_bid) {
+      const high = db.getAuctionBids(auction.id).find(b => b.amount != null);
+      if (high && amount < high.amount + auction.increment) {
+        return interaction.reply({
+          content: `❌ Bids must be at least **${formatPoints(high.amount + auction.increment)}** ` +
+                   `(high bid ${formatPoints(high.amount)} + increment ${formatPoints(auction.increment)}).`,
+          flags: 64,
+        });
+      }
+    }
+
+    // DKP you're leading with elsewhere is spoken for until those auctions close
+    const { balance } = db.getDkpBalance(interaction.user.id);
+    const committed   = db.getLeadingBidTotal(interaction.user.id, auction.id);
+    if (amount > balance - committed) {
+      const tied = committed > 0 ? ` — **${formatPoints(committed)}** of it is on your leading bids in other auctions` : '';
+      return interaction.reply({
+        content: `❌ You only have **${formatPoints(balance - committed)}** DKP free to bid${tied}.`,
+        flags:   64,
+      });
+    }
+
+    db.placeAuctionBid(auction.id, interaction.user.id, character, amount);
+    await interaction.reply({
+      content: `✅ Bid of **${formatPoints(amount)}** DKP placed on **${auction.item_name}** as \`${character}\`.`,
+      flags: 64,
+    });
+    return refreshMessage(auction);
+  }
+}
+
+module.exports = { init, open, close, cancel, handleComponent, getOpenAuctionMessageIds };
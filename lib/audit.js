@@ -0,0 +1,106 @@
+'use strict';
+
+/**
+ * Audit trail for data-changing actions.
+ *
+ * lib/db.js writes an audit_log row for each write (raids, links, key holders,
+ * TOD changes, …). It doesn't know who's asking, so callers wrap their work in
+ * run(): index.js does that for every slash command / button, api-server.js for
+ * API submissions. Writes outside any context (voice tracking, startup) are
+ * logged as "system".
+ *
+ * If AUDIT_CHANNEL_ID is set, each entry is also posted there.
+ */
+
+const { AsyncLocalStorage } = require('node:async_hooks');
+
+const AUDIT_CHANNEL_ID = process.env.AUDIT_CHANNEL_ID || null;
+
+const storage = new AsyncLocalStorage();
+let _client = null;
+
+// ── Initialise (call once inside clientReady) ───────────────────────────────
+
+function init(client) {
+  _client = client;
+  if (AUDIT_CHANNEL_ID) console.log(`[Audit] Mirroring audit entries to channel ${AUDIT_CHANNEL_ID}`);
+}
+
+// ── Actor context ───────────────────────────────────────────────────────────
+
+/**
+ * Run fn with an actor attached to every audit entry written inside it.
+ * @param {object} context - { actorId, actorName, command }
+ */
+function run(context, fn) {
+  return storage.run(context, fn);
+}
+
+/** Actor context for an interaction: who ran it and the full command path. */
+function contextFor(interaction) {
+  const command = interaction.isChatInputCommand?.()
+    ? ['/' + interaction.commandName,
+       interaction.options.getSubcommandGroup(false),
+       interaction.options.getSubcommand(false)].filter(Boolean).join(' ')
+    : interaction.customId;
+  return { actorId: interaction.user.id, actorName: interaction.user.tag, command };
+}
+
+/** The current actor context, or null outside run(). */
+function currentContext() {
+  return storage.getStore() ?? null;
+}
+
+// ── Formatting / mirroring ──────────────────────────────────────────────────
+
+/** One-line summary of an audit_log row, e.g. "raid.delete raid #12 by <@123> via /raids delete". */
+function formatEntry(entry) {
+  const who    = entry.actor_id ? `<@${entry.actor_id}>` : (entry.actor_name || 'system');
+  const target = entry.target_id != null ? ` ${entry.target_type} **${entry.target_type === 'raid' ? '#' : ''}${entry.target_id}**` : '';
+  const via    = entry.command ? ` via \`${entry.command}\`` : '';
+  return `\`${entry.action}\`${target} by ${who}${via}`;
+}
+
+/**
+ * Short description of what changed: "zone: Old → New, tier: main → farm" for
+ * updates, or the key fields of what was created / removed.
+ */
+function describeChange(entry) {
+  const before = entry.before_json ? JSON.parse(entry.before_json) : null;
+  const after  = entry.after_json  ? JSON.parse(entry.after_json)  : null;
+  const show   = (k, v) => v == null ? '—'
+    : typeof v === 'object' ? JSON.stringify(v)
+    : /(_time|_at|_seen)$/.test(k) && typeof v === 'number' ? `<t:${Math.floor(v / 1000)}:f>`
+    : String(v);
+
+  if (before && after) {
+    const changed = Object.keys({ ...before, ...after })
+      .filter(k => show(k, before[k]) !== show(k, after[k]))
+      .map(k => `${k}: ${show(k, before[k])} → ${show(k, after[k])}`);
+    return changed.join(', ') || 'no changes';
+  }
+  const row = after ?? before;
+  if (!row) return '';
+  return Object.entries(row)
+    .filter(([k, v]) => v != null && k !== 'id' && !/^(added|recorded|submitted|created|granted)_at$/.test(k))
+    .map(([k, v]) => `${k}: ${show(k, v)}`)
+    .join(', ');
+}
+
+/** Post an entry to AUDIT_CHANNEL_ID (fire-and-forget). Called by lib/db.js once each write has committed. */
+function publish(entry) {
+  if (!_client || !AUDIT_CHANNEL_ID) return;
+  setImmediate(async () => {
+    try {
+      const channel = await _client.channels.fetch(AUDIT_CHANNEL_ID);
+      await channel.send({
+        content: `📝 <t:${Math.floor(entry.at / 1000)}:f> ${formatEntry(entry)}`,
+        allowedMentions: { parse: [] },
+      });
+    } catch (err) {
+      console.warn(`[Audit] Could not mirror entry #${entry.id}: ${err.message}`);
+    }
+  });
+}
+
+module.exports = { init, run, contextFor, currentContext, formatEntry, describeChange, publish };
@@ -0,0 +1,183 @@
+'use strict';
+
+/**
+ * Scheduled database backups.
+ *
+ * Every BACKUP_INTERVAL_HOURS (default 24, 0 = off) the live database is
+ * copied to backups/ with SQLite's online backup API, so the bot keeps running
+ * while it happens. /admin backup now takes one on demand.
+ *
+ * Rotation keeps the newest scheduled backup of each of the last
+ * BACKUP_KEEP_DAILY days (default 7) and of each of the last BACKUP_KEEP_WEEKLY
+ * weeks (default 4); older scheduled ones are deleted. Manual backups and
+ * pre-migration copies (lib/migrations.js) are never rotated.
+ *
+ * If BACKUP_CHANNEL_ID is set, each scheduled backup is also uploaded there
+ * as an attachment (when it fits under BACKUP_UPLOAD_MAX_MB, default 10).
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { AttachmentBuilder } = require('discord.js');
+const { getDb, DB_PATH } = require('./db');
+
+const BACKUP_DIR          = path.join(path.dirname(DB_PATH), 'backups');
+const BACKUP_PREFIX       = path.basename(DB_PATH, '.db');
+const INTERVAL_HOURS      = parseFloat(process.env.BACKUP_INTERVAL_HOURS || '24');
+const KEEP_DAILY          = parseInt(process.env.BACKUP_KEEP_DAILY  || '7', 10);
+const KEEP_WEEKLY         = parseInt(process.env.BACKUP_KEEP_WEEKLY || '4', 10);
+const BACKUP_CHANNEL_ID   = process.env.BACKUP_CHANNEL_ID || null;
+const UPLOAD_MAX_BYTES    = parseFloat(process.env.BACKUP_UPLOAD_MAX_MB || '10') * 1024 * 1024;
+
+// raid_data-auto-20250101-120000.db / raid_data-manual-…  (pre-migration: raid_data-pre-v2-…)
+const FILE_RE = new RegExp(`^${BACKUP_PREFIX}-(auto|manual)-(\\d{8})-(\\d{6})\\.db$`);
+
+let _client = null;
+let _running = null;
+
+// ── Initialise (call once inside clientReady) ───────────────────────────────
+
+function init(client) {
+  _client = client;
+  if (!(INTERVAL_HOURS > 0)) {
+    console.log('[Backup] BACKUP_INTERVAL_HOURS is 0 — scheduled backups disabled.');
+    return;
+  }
+
+  const intervalMs = INTERVAL_HOURS * 60 * 60 * 1000;
+  const tick = () => {
+    const last = listBackups().find(b => b.kind === 'auto');
+    if (last && Date.now() - last.createdAt < intervalMs) return;
+    runBackup({ kind: 'auto', upload: true })
+      .catch(err => console.error('[Backup] Scheduled backup failed:', err));
+  };
+
+  // Check every 10 minutes rather than one long timer, so a restart doesn't reset the clock
+  tick();
+  setInterval(tick, 10 * 60 * 1000);
+  console.log(`[Backup] Scheduled every ${INTERVAL_HOURS}h → ${BACKUP_DIR}`);
+}
+
+// ── Backups ─────────────────────────────────────────────────────────────────
+
+function timestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+}
+
+/**
+ * Copy the live database into backups/, then rotate old copies.
+ * Concurrent calls share the backup already in progress.
+ * @param {object} [opts]
+ * @param {'auto'|'manual'} [opts.kind='manual']
+ * @param {boolean} [opts.upload=false] - also post it to BACKUP_CHANNEL_ID
+ * @returns {Promise<{ file: string, size: number, createdAt: number, kind: string, deleted: string[] }>}
+ */
+function runBackup({ kind = 'manual', upload = false } = {}) {
+  if (!_running) {
+    _running = (async () => {
+      fs.mkdirSync(BACKUP_DIR, { recursive: true });
+      const createdAt = Date.now();
+      const file = path.join(BACKUP_DIR, `${BACKUP_PREFIX}-${kind}-${timestamp(new Date(createdAt))}.db`);
+      await getDb().backup(file);
+
+      const size    = fs.statSync(file).size;
+      const deleted = rotateBackups();
+      console.log(`[Backup] Wrote ${path.basename(file)} (${formatSize(size)})` +
+        (deleted.length ? `, rotated out ${deleted.length} old backup(s)` : ''));
+
+      const result = { file, size, createdAt, kind, deleted };
+      if (upload) await uploadBackup(result);
+      return result;
+    })().finally(() => { _running = null; });
+  }
+  return _running;
+}
+
+/** Backups in backups/ (auto + manual), newest first. */
+function listBackups() {
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+  return fs.readdirSync(BACKUP_DIR)
+    .map(name => {
+      const m = name.match(FILE_RE);
+      if (!m) return null;
+      const [, kind, d, t] = m;
+      const createdAt = Date.UTC(+d.slice(0, 4), +d.slice(4, 6) - 1, +d.slice(6, 8), +t.slice(0, 2), +t.slice(2, 4), +t.slice(4, 6));
+      const file = path.join(BACKUP_DIR, name);
+      return { file, name, kind, createdAt, size: fs.statSync(file).size };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/** UTC year + week number, for grouping backups by week. */
+function weekKey(ms) {
+  const d = new Date(ms);
+  d.setUTCHours(0, 0, 0, 0);
+  d.setUTCDate(d.getUTCDate() + 3 - ((d.getUTCDay() + 6) % 7)); // Thursday of this ISO week
+  const yearStart = Date.UTC(d.getUTCFullYear(), 0, 1);
+  return `${d.getUTCFullYear()}-W${Math.ceil(((d - yearStart) / 86400000 + 1) / 7)}`;
+}
+
+/**
+ * Keep the newest scheduled backup of each of the last KEEP_DAILY days and
+ * KEEP_WEEKLY weeks; delete the other scheduled ones. Returns the deleted file names.
+ */
+function rotateBackups() {
+  const auto  = listBackups().filter(b => b.kind === 'auto');
+  const keep  = new Set();
+  const days  = new Set();
+  const weeks = new Set();
+  for (const b of auto) { // newest first, so the first seen per day/week is kept
+    const day  = new Date(b.createdAt).toISOString().slice(0, 10);
+    const week = weekKey(b.createdAt);
+    if (!days.has(day) && days.size < KEEP_DAILY)     { days.add(day);   keep.add(b.file); }
+    if (!weeks.has(week) && weeks.size < KEEP_WEEKLY) { weeks.add(week); keep.add(b.file); }
+  }
+
+  const deleted = [];
+  for (const b of auto) {
+    if (keep.has(b.file)) continue;
+    try {
+      fs.unlinkSync(b.file);
+      deleted.push(b.name);
+    } catch (err) {
+      console.warn(`[Backup] Could not delete ${b.name}: ${err.message}`);
+    }
+  }
+  return deleted;
+}
+
+async function uploadBackup(backup) {
+  if (!_client || !BACKUP_CHANNEL_ID) return;
+  try {
+    const channel = await _client.channels.fetch(BACKUP_CHANNEL_ID);
+    const name    = path.basename(backup.file);
+    if (backup.size > UPLOAD_MAX_BYTES) {
+      await channel.send(`💾 Backup \`${name}\` (${formatSize(backup.size)}) is too large to upload — it's on the server in \`backups/\`.`);
+      return;
+    }
+    await channel.send({
+      content: `💾 Database backup <t:${Math.floor(backup.createdAt / 1000)}:f> (${formatSize(backup.size)})`,
+      files:   [new AttachmentBuilder(backup.file, { name })],
+    });
+  } catch (err) {
+    console.warn(`[Backup] Could not upload to channel ${BACKUP_CHANNEL_ID}: ${err.message}`);
+  }
+}
+
+function formatSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+module.exports = {
+  init,
+  runBackup,
+  listBackups,
+  uploadBackup,
+  formatSize,
+  BACKUP_DIR,
+  INTERVAL_HOURS,
+  KEEP_DAILY,
+  KEEP_WEEKLY,
+};
@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * Confirm / Cancel prompt for destructive commands.
+ *
+ * Replies with an ephemeral embed describing what will be removed and waits
+ * for the invoking user to click a button. The buttons are collected on the
+ * prompt message itself, so their custom IDs ("confirm:yes" / "confirm:no")
+ * don't name a command and index.js leaves them alone. Nothing survives a
+ * restart — an unanswered prompt simply expires.
+ */
+
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+
+const CONFIRM_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Ask the user to confirm before doing something destructive.
+ * @param {object} interaction - the chat-input interaction (must not have been replied to)
+ * @param {object} opts
+ * @param {string}   opts.title        - e.g. "Delete raid #12 — Plane of Fear?"
+ * @param {string[]} opts.lines        - what will be removed, one line each
+ * @param {string}   [opts.confirmLabel='Confirm']
+ * @returns {Promise<boolean>} true if confirmed; the prompt is updated either way
+ */
+async function confirmAction(interaction, { title, lines, confirmLabel = 'Confirm' }) {
+  const expiresAt = Math.floor((Date.now() + CONFIRM_TIMEOUT_MS) / 1000);
+  const embed = new EmbedBuilder()
+    .setTitle(`⚠️ ${title}`)
+    .setColor(0xE67E22)
+    .setDescription([...lines, '', `This prompt expires <t:${expiresAt}:R>.`].join('\n'));
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId('confirm:yes').setLabel(confirmLabel).setStyle(ButtonStyle.Danger),
+    new ButtonBuilder().setCustomId('confirm:no').setLabel('Cancel').setStyle(ButtonStyle.Secondary),
+  );
+
+  const response = await interaction.reply({ embeds: [embed], components: [row], flags: 64, withResponse: true });
+
+  let click;
+  try {
+    click = await response.resource.message.awaitMessageComponent({
+      filter: i => i.user.id === interaction.user.id && i.customId.startsWith('confirm:'),
+      time:   CONFIRM_TIMEOUT_MS,
+    });
+  } catch {
+    await interaction.editReply({ content: '⌛ Timed out — nothing was changed.', embeds: [], components: [] }).catch(() => {});
+    return false;
+  }
+
+  if (click.customId !== 'confirm:yes') {
+    await click.update({ content: '✋ Cancelled — nothing was changed.', embeds: [], components: [] });
+    return false;
+  }
+  await click.update({ content: '✅ Confirmed.', embeds: [], components: [] });
+  return true;
+}
+
+module.exports = { confirmAction, CONFIRM_TIMEOUT_MS };
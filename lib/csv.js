@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * CSV helpers (RFC 4180: comma-separated, CRLF rows, quotes doubled).
+ */
+
+function escapeCell(value) {
+  if (value == null) return '';
+  const s = String(value);
+  return /[",\r\n]/.test(s) || /^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Serialise rows to CSV.
+ * @param {object[]} rows
+ * @param {string[]} [columns] - column order (default: keys of the first row)
+ */
+function toCsv(rows, columns = rows.length ? Object.keys(rows[0]) : []) {
+  const lines = [columns.map(escapeCell).join(',')];
+  for (const row of rows) lines.push(columns.map(c => escapeCell(row[c])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text into rows of cells. Handles quoted cells (with embedded
+ * commas, quotes and newlines), CRLF or LF line endings and a UTF-8 BOM.
+ * Blank lines are dropped.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row    = [];
+  let cell   = '';
+  let quoted = false;
+  let i      = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row  = [];
+    cell = '';
+  };
+
+  for (; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch !== '"')                cell += ch;
+      else if (text[i + 1] === '"') { cell += '"'; i++; }
+      else                           quoted = false;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) endRow();
+  return rows;
+}
+
+module.exports = { toCsv, parseCsv };
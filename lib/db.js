@@ -2,10 +2,18 @@
  * SQLite database layer using better-sqlite3 (synchronous).
  *
  * Schema:
- *   raids          — one row per imported log session
+ *   raids          — one row per imported log session (deleted_at set = in the trash,
+ *                    hidden from every read until restored or purged)
  *   attendance     — one row per unique character per raid
  *   loot           — one row per loot event per raid
  *   player_aliases — maps character names → canonical player names (for alt tracking)
+ *   dkp_transactions — DKP ledger (earn / spend / adjust rows per character)
+ *   dkp_rules      — per-zone rules for automatic attendance awards
+ *   auctions / auction_bids — live /loot bid auctions (persisted so they survive a restart)
+ *   rolls          — /random results parsed from logs, linked to the loot they decided
+ *   audit_log      — who changed what (see lib/audit.js for how the actor is known)
+ *
+ * Tables are created and upgraded by the versioned steps in lib/migrations.js.
  *
  * Alt / multi-character support:
  *   Use linkCharacter('Altname', 'Mainname') to associate an alt with a player.
@@ -16,9 +24,19 @@
 
 const Database = require('better-sqlite3');
 const path = require('path');
+const { findRuleForZone, calculateRaidAwards, calculateBenchAwards } = require('./dkp-rules');
+const { classifyZone } = require('./parser');
+const audit = require('./audit');
+const { migrate } = require('./migrations');
+
+// Raid tiers; their attendance weights live in raid_tiers (defaults seeded by lib/migrations.js)
+const RAID_TIERS = ['main', 'optional', 'farm', 'training'];
 
 const DB_PATH = path.join(__dirname, '..', 'raid_data.db');
 
+// Days a deleted raid stays in the trash before purgeDeletedRaids removes it (0 = forever)
+const RAID_TRASH_RETENTION_DAYS = parseFloat(process.env.RAID_TRASH_RETENTION_DAYS || '30');
+
 let _db = null;
 
 function getDb() {
@@ -26,103 +44,28 @@ function getDb() {
     _db = new Database(DB_PATH);
     _db.pragma('journal_mode = WAL'); // better concurrent read performance
     _db.pragma('foreign_keys = ON');
-    initSchema(_db);
+    migrate(_db, { dbPath: DB_PATH });
   }
   return _db;
 }
 
-function initSchema(db) {
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS raids (
-      id             INTEGER PRIMARY KEY AUTOINCREMENT,
-      name           TEXT    NOT NULL,
-      zone           TEXT    NOT NULL,
-      start_time     INTEGER NOT NULL,
-      end_time       INTEGER NOT NULL,
-      character_name TEXT,
-      submitted_by   TEXT,
-      submitted_at   INTEGER NOT NULL
-    );
-
-    CREATE TABLE IF NOT EXISTS attendance (
-      id          INTEGER PRIMARY KEY AUTOINCREMENT,
-      raid_id     INTEGER NOT NULL REFERENCES raids(id) ON DELETE CASCADE,
-      player_name TEXT    NOT NULL,
-      level       INTEGER,
-      class       TEXT,
-      race        TEXT,
-      guild       TEXT,
-      first_seen  INTEGER,
-      last_seen   INTEGER,
-      UNIQUE(raid_id, player_name)
-    );
-
-    CREATE TABLE IF NOT EXISTS loot (
-      id          INTEGER PRIMARY KEY AUTOINCREMENT,
-      raid_id     INTEGER NOT NULL REFERENCES raids(id) ON DELETE CASCADE,
-      player_name TEXT    NOT NULL,
-      item_name   TEXT    NOT NULL,
-      looted_at   INTEGER NOT NULL,
-      zone        TEXT
-    );
-
-    CREATE INDEX IF NOT EXISTS idx_attendance_player ON attendance(player_name COLLATE NOCASE);
-    CREATE INDEX IF NOT EXISTS idx_loot_player       ON loot(player_name COLLATE NOCASE);
-    CREATE INDEX IF NOT EXISTS idx_loot_item         ON loot(item_name   COLLATE NOCASE);
-    CREATE INDEX IF NOT EXISTS idx_raids_start       ON raids(start_time DESC);
-
-    -- Alt tracking: maps any in-game character name to a Discord user.
-    -- discord_id  is the stable snowflake (never changes, used for all lookups).
-    -- discord_tag is the display name at link time (may drift, purely cosmetic).
-    CREATE TABLE IF NOT EXISTS player_aliases (
-      character_name TEXT PRIMARY KEY COLLATE NOCASE,
-      discord_id     TEXT NOT NULL,
-      discord_tag    TEXT NOT NULL
-    );
-
-    CREATE INDEX IF NOT EXISTS idx_aliases_discord ON player_aliases(discord_id);
-
-    -- Sleeper's Tomb key holders
-    CREATE TABLE IF NOT EXISTS key_holders (
-      character_name TEXT    PRIMARY KEY COLLATE NOCASE,
-      discord_tag    TEXT    NOT NULL,
-      added_at       INTEGER NOT NULL
-    );
-
-    -- TOD tracker: mob registry
-    CREATE TABLE IF NOT EXISTS tod_mobs (
-      id            INTEGER PRIMARY KEY AUTOINCREMENT,
-      name          TEXT    NOT NULL UNIQUE COLLATE NOCASE,
-      lockout_hours REAL    NOT NULL,
-      added_by      TEXT,
-      added_at      INTEGER NOT NULL
-    );
-
-    -- TOD tracker: kill records
-    CREATE TABLE IF NOT EXISTS tod_kills (
-      id          INTEGER PRIMARY KEY AUTOINCREMENT,
-      mob_id      INTEGER NOT NULL REFERENCES tod_mobs(id) ON DELETE CASCADE,
-      killed_at   INTEGER NOT NULL,
-      recorded_by TEXT,
-      recorded_at INTEGER NOT NULL
-    );
-
-    CREATE INDEX IF NOT EXISTS idx_tod_kills_mob ON tod_kills(mob_id, killed_at DESC);
-  `);
-}
-
 // ── Write operations ───────────────────────────────────────────────────────
 
 /**
- * Save a full raid record (raid metadata + attendance + loot) in one transaction.
+ * Save a full raid record (raid metadata + attendance + loot + rolls + kills + /who
+ * snapshots) in one transaction. tier / category default from the zone (classifyZone).
  * Returns the new raid ID.
  */
-function saveRaid({ name, zone, startTime, endTime, characterName, submittedBy, attendance, loot }) {
+function saveRaid({
+  name, zone, startTime, endTime, characterName, submittedBy, tier, category,
+  attendance, loot, rolls = [], kills = [], snapshots = [],
+}) {
   const db = getDb();
+  const defaults = classifyZone(zone);
 
   const stmtRaid = db.prepare(`
-    INSERT INTO raids (name, zone, start_time, end_time, character_name, submitted_by, submitted_at)
-    VALUES (@name, @zone, @startTime, @endTime, @characterName, @submittedBy, @submittedAt)
+    INSERT INTO raids (name, zone, start_time, end_time, character_name, submitted_by, submitted_at, tier, category)
+    VALUES (@name, @zone, @startTime, @endTime, @characterName, @submittedBy, @submittedAt, @tier, @category)
   `);
 
   const stmtAttend = db.prepare(`
@@ -145,6 +88,8 @@ function saveRaid({ name, zone, startTime, endTime, characterName, submittedBy,
       characterName: characterName || null,
       submittedBy:   submittedBy   || null,
       submittedAt:   Date.now(),
+      tier:          tier     || defaults.tier,
+      category:      category || defaults.category,
     });
 
     for (const a of attendance) {
@@ -170,6 +115,15 @@ function saveRaid({ name, zone, startTime, endTime, characterName, submittedBy,
       });
     }
 
+    insertRolls(raidId, rolls);
+    linkRollsToLoot(raidId);
+    insertKills(raidId, kills);
+    insertWhoSnapshots(raidId, snapshots);
+    reconcileRaidBench(raidId);
+    recalculateRaidDkp(raidId);
+    writeAudit('raid.create', 'raid', raidId, {
+      after: { ...getRaid(raidId), attendance: attendance.length, loot: loot.length, kills: kills.length },
+    });
     return raidId;
   });
 
@@ -180,9 +134,15 @@ function saveRaid({ name, zone, startTime, endTime, characterName, submittedBy,
  * Merge additional attendance and loot into an existing raid.
  * - Attendance: upserts (replaces) so fresher character data wins.
  * - Loot: skips exact duplicates (same player + item + timestamp).
- * Returns { newLoot } count of loot rows actually inserted.
+ * - Rolls: skips exact duplicates (same player + time + result).
+ * - Kills: skips a mob already recorded for the raid within KILL_DEDUPE_MS.
+ * - /who snapshots: a snapshot at the same second is merged (players unioned).
+ * - Tier / category: if still the defaults for the raid's zone (no officer has
+ *   changed them), they're re-derived with the zones seen in the log too — a
+ *   raid started from a Discord event only learns where it was here.
+ * Returns { newLoot, newKills } counts of rows actually inserted.
  */
-function mergeIntoRaid(raidId, { attendance, loot }) {
+function mergeIntoRaid(raidId, { attendance, loot, rolls = [], kills = [], snapshots = [] }) {
   const db = getDb();
 
   const stmtAttend = db.prepare(`
@@ -229,30 +189,240 @@ function mergeIntoRaid(raidId, { attendance, loot }) {
       if (r.changes > 0) newLoot++;
     }
 
-    return { newLoot };
+    insertRolls(raidId, rolls);
+    linkRollsToLoot(raidId);
+    const newKills = insertKills(raidId, kills);
+    insertWhoSnapshots(raidId, snapshots);
+
+    const raid     = getRaid(raidId, { includeDeleted: true });
+    const defaults = classifyZone(raid.zone);
+    let reclassified = null;
+    if (raid.tier === defaults.tier && raid.category === defaults.category) {
+      const seen = [...snapshots, ...loot, ...kills].map(x => x.zone).filter(Boolean);
+      const next = classifyZone([raid.zone, ...new Set(seen)].join(', '));
+      if (next.tier !== raid.tier || next.category !== raid.category) {
+        db.prepare('UPDATE raids SET tier = ?, category = ? WHERE id = ?').run(next.tier, next.category, raidId);
+        reclassified = next;
+      }
+    }
+
+    reconcileRaidBench(raidId);
+    recalculateRaidDkp(raidId);
+    writeAudit('raid.merge', 'raid', raidId, { after: { attendance: attendance.length, newLoot, newKills, ...reclassified } });
+    return { newLoot, newKills };
   })();
 }
 
+// Rolls within this gap of each other (same range) belong to one roll-off,
+// and a roll-off decides the first loot event up to ROLL_LOOT_WINDOW_MS after it.
+const ROLL_GROUP_GAP_MS   = 90 * 1000;
+const ROLL_LOOT_WINDOW_MS = 5 * 60 * 1000;
+
+/** Insert parsed rolls, ignoring ones already stored for the raid. */
+function insertRolls(raidId, rolls) {
+  const db   = getDb();
+  const stmt = db.prepare(`
+    INSERT OR IGNORE INTO rolls (raid_id, player_name, roll_min, roll_max, result, rolled_at, zone)
+    VALUES (@raidId, @playerName, @min, @max, @result, @rolledAt, @zone)
+  `);
+  for (const r of rolls) {
+    stmt.run({
+      raidId,
+      playerName: r.playerName,
+      min:        r.min,
+      max:        r.max,
+      result:     r.result,
+      rolledAt:   r.timestamp.getTime(),
+      zone:       r.zone || null,
+    });
+  }
+}
+
+/**
+ * Group a raid's rolls into roll-offs and link each to the loot it decided.
+ * Rebuilt from scratch every time so merging a second log (with more rolls or
+ * loot) can only improve the links. A roll-off prefers a loot event won by one
+ * of its rollers; otherwise it takes the first unclaimed loot inside the window.
+ */
+function linkRollsToLoot(raidId) {
+  const db    = getDb();
+  const rolls = db.prepare('SELECT * FROM rolls WHERE raid_id = ? ORDER BY rolled_at, id').all(raidId);
+  const loot  = db.prepare('SELECT id, player_name, looted_at FROM loot WHERE raid_id = ? ORDER BY looted_at, id').all(raidId);
+
+  const groups = [];
+  for (const r of rolls) {
+    const g = groups[groups.length - 1];
+    if (g && g.min === r.roll_min && g.max === r.roll_max && r.rolled_at - g.last <= ROLL_GROUP_GAP_MS) {
+      g.rolls.push(r);
+      g.last = r.rolled_at;
+    } else {
+      groups.push({ min: r.roll_min, max: r.roll_max, last: r.rolled_at, rolls: [r] });
+    }
+  }
+
+  const claimed = new Set();
+  const update  = db.prepare('UPDATE rolls SET roll_group = ?, loot_id = ? WHERE id = ?');
+  groups.forEach((g, i) => {
+    const rollers    = new Set(g.rolls.map(r => r.player_name.toLowerCase()));
+    const candidates = loot.filter(l =>
+      !claimed.has(l.id) && l.looted_at >= g.last && l.looted_at - g.last <= ROLL_LOOT_WINDOW_MS
+    );
+    const match = candidates.find(l => rollers.has(l.player_name.toLowerCase())) ?? candidates[0] ?? null;
+    if (match) claimed.add(match.id);
+    for (const r of g.rolls) update.run(i + 1, match?.id ?? null, r.id);
+  });
+}
+
+// Two logs of the same kill rarely agree to the second; anything this close is
+// one kill. The same margin stops a parsed kill duplicating a manual /tod record.
+const KILL_DEDUPE_MS = 10 * 60 * 1000;
+
+/**
+ * Insert parsed boss kills for a raid, skipping ones already stored. A kill of
+ * a mob in the TOD registry also records its time of death, unless someone
+ * already recorded that kill (by hand or from another log). Returns the number
+ * of kills inserted.
+ */
+function insertKills(raidId, kills) {
+  const db = getDb();
+  const stmtKill = db.prepare(`
+    INSERT INTO kills (raid_id, mob_name, killed_at, slain_by, zone)
+    SELECT @raidId, @mobName, @killedAt, @slainBy, @zone
+    WHERE NOT EXISTS (
+      SELECT 1 FROM kills
+      WHERE raid_id  = @raidId
+        AND mob_name = @mobName
+        AND ABS(killed_at - @killedAt) <= @window
+    )
+  `);
+  const stmtNearbyTod = db.prepare(`
+    SELECT id FROM tod_kills WHERE mob_id = ? AND ABS(killed_at - ?) <= ? LIMIT 1
+  `);
+  const stmtLinkTod = db.prepare('UPDATE kills SET tod_kill_id = ? WHERE id = ?');
+
+  let inserted = 0;
+  for (const k of kills) {
+    const killedAt = k.timestamp.getTime();
+    const r = stmtKill.run({
+      raidId,
+      mobName:  k.mobName,
+      killedAt,
+      slainBy:  k.slainBy || null,
+      zone:     k.zone    || null,
+      window:   KILL_DEDUPE_MS,
+    });
+    if (r.changes === 0) continue;
+    inserted++;
+
+    const mob = getTodMob(k.mobName);
+    if (!mob) continue;
+    const tod = stmtNearbyTod.get(mob.id, killedAt, KILL_DEDUPE_MS)
+      ?? { id: recordTodKill(mob.id, killedAt, null).lastInsertRowid };
+    stmtLinkTod.run(tod.id, r.lastInsertRowid);
+  }
+  return inserted;
+}
+
+/** Store parsed /who snapshots; two logs that caught the same /who merge into one. */
+function insertWhoSnapshots(raidId, snapshots) {
+  const db = getDb();
+  const stmtSnap = db.prepare(`
+    INSERT INTO who_snapshots (raid_id, taken_at, zone) VALUES (?, ?, ?)
+    ON CONFLICT (raid_id, taken_at) DO UPDATE SET zone = COALESCE(who_snapshots.zone, excluded.zone)
+    RETURNING id
+  `);
+  const stmtPlayer = db.prepare(`
+    INSERT OR IGNORE INTO who_snapshot_players (snapshot_id, player_name) VALUES (?, ?)
+  `);
+  for (const snap of snapshots) {
+    const { id } = stmtSnap.get(raidId, snap.timestamp.getTime(), snap.zone || null);
+    for (const name of snap.players) stmtPlayer.run(id, name);
+  }
+}
+
 /**
  * Update editable fields on a raid. Only non-null values are changed.
+ * Attendance DKP is recalculated, since the zone or time window may have moved.
  */
-function updateRaid(id, { name, zone, startTime, endTime } = {}) {
+function updateRaid(id, { name, zone, startTime, endTime, tier, category } = {}) {
   const sets = [];
   const vals = [];
   if (name      != null) { sets.push('name = ?');       vals.push(name); }
   if (zone      != null) { sets.push('zone = ?');       vals.push(zone); }
   if (startTime != null) { sets.push('start_time = ?'); vals.push(startTime.getTime()); }
   if (endTime   != null) { sets.push('end_time = ?');   vals.push(endTime.getTime()); }
+  if (tier      != null) { sets.push('tier = ?');       vals.push(tier); }
+  if (category  != null) { sets.push('category = ?');   vals.push(category || null); }
   if (sets.length === 0) return;
   vals.push(id);
-  getDb().prepare(`UPDATE raids SET ${sets.join(', ')} WHERE id = ?`).run(...vals);
+  const db = getDb();
+  db.transaction(() => {
+    const before = getRaid(id);
+    db.prepare(`UPDATE raids SET ${sets.join(', ')} WHERE id = ?`).run(...vals);
+    recalculateRaidDkp(id);
+    writeAudit('raid.update', 'raid', id, { before, after: getRaid(id) });
+  })();
 }
 
 /**
- * Delete a raid and all its associated attendance/loot rows.
+ * Move a raid to the trash. Its attendance, loot and DKP stay in the database but
+ * drop out of every query until it is restored; purgeDeletedRaids removes it for good.
+ * Returns false if the raid doesn't exist or is already in the trash.
  */
-function deleteRaid(id) {
-  getDb().prepare('DELETE FROM raids WHERE id = ?').run(id);
+function deleteRaid(id, deletedBy) {
+  const db = getDb();
+  return db.transaction(() => {
+    const raid = getRaid(id);
+    if (!raid) return false;
+    const before = { ...raid, ...getRaidRowCounts(id) };
+    db.prepare('UPDATE raids SET deleted_at = ?, deleted_by = ? WHERE id = ?').run(Date.now(), deletedBy || null, id);
+    writeAudit('raid.delete', 'raid', id, { before });
+    return true;
+  })();
+}
+
+/** Take a raid back out of the trash. Returns false if it isn't in the trash. */
+function restoreRaid(id) {
+  const db = getDb();
+  return db.transaction(() => {
+    const changed = db.prepare('UPDATE raids SET deleted_at = NULL, deleted_by = NULL WHERE id = ? AND deleted_at IS NOT NULL').run(id).changes;
+    if (changed) writeAudit('raid.restore', 'raid', id, { after: { ...getRaid(id), ...getRaidRowCounts(id) } });
+    return changed > 0;
+  })();
+}
+
+/**
+ * Permanently delete raids that have been in the trash for longer than
+ * retentionDays, with all their attendance / loot / DKP rows. A retention of
+ * 0 (or anything not positive) keeps the trash forever and purges nothing.
+ * Returns the purged raid rows.
+ */
+function purgeDeletedRaids(retentionDays = RAID_TRASH_RETENTION_DAYS) {
+  if (!(retentionDays > 0)) return [];
+  const db     = getDb();
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  return db.transaction(() => {
+    const raids = db.prepare('SELECT * FROM raids WHERE deleted_at IS NOT NULL AND deleted_at < ?').all(cutoff);
+    for (const raid of raids) {
+      const before = { ...raid, ...getRaidRowCounts(raid.id) };
+      // TOD kills only this raid's log produced would otherwise count again once unlinked
+      db.prepare(`
+        DELETE FROM tod_kills
+        WHERE recorded_by IS NULL
+          AND id IN (SELECT tod_kill_id FROM kills WHERE raid_id = ?)
+          AND NOT EXISTS (SELECT 1 FROM kills k WHERE k.tod_kill_id = tod_kills.id AND k.raid_id != ?)
+      `).run(raid.id, raid.id);
+      db.prepare('DELETE FROM raids WHERE id = ?').run(raid.id);
+      writeAudit('raid.purge', 'raid', raid.id, { before });
+    }
+    return raids;
+  })();
+}
+
+/** Rows hanging off a raid: { attendance, loot, kills, dkp } counts. */
+function getRaidRowCounts(raidId) {
+  const count = table => getDb().prepare(`SELECT COUNT(*) AS n FROM ${table} WHERE raid_id = ?`).get(raidId).n;
+  return { attendance: count('attendance'), loot: count('loot'), kills: count('kills'), dkp: count('dkp_transactions') };
 }
 
 // ── Read operations ────────────────────────────────────────────────────────
@@ -264,7 +434,8 @@ function getRaids(limit = 10, offset = 0, { zone, dateStart, dateEnd } = {}) {
   if (zone)                          { conds.push('(r.zone LIKE ? ESCAPE \'\\\' OR r.name LIKE ? ESCAPE \'\\\')'); const z = `%${zone.replace(/[%_\\]/g, '\\$&')}%`; params.push(z, z); }
   if (dateStart != null)             { conds.push('r.start_time >= ?');             params.push(dateStart); }
   if (dateEnd   != null)             { conds.push('r.start_time <= ?');             params.push(dateEnd);   }
-  const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
+  conds.push('r.deleted_at IS NULL');
+  const where = `WHERE ${conds.join(' AND ')}`;
   return getDb().prepare(`
     SELECT
       r.*,
@@ -287,13 +458,34 @@ function getRaidCount({ zone, dateStart, dateEnd } = {}) {
   if (zone)      { conds.push('(zone LIKE ? ESCAPE \'\\\' OR name LIKE ? ESCAPE \'\\\')'); const z = `%${zone.replace(/[%_\\]/g, '\\$&')}%`; params.push(z, z); }
   if (dateStart != null) { conds.push('start_time >= ?');   params.push(dateStart); }
   if (dateEnd   != null) { conds.push('start_time <= ?');   params.push(dateEnd);   }
-  const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
+  conds.push('deleted_at IS NULL');
+  const where = `WHERE ${conds.join(' AND ')}`;
   return getDb().prepare(`SELECT COUNT(*) AS n FROM raids ${where}`).get(...params).n;
 }
 
-/** Single raid row. */
-function getRaid(id) {
-  return getDb().prepare('SELECT * FROM raids WHERE id = ?').get(id);
+/** Single raid row. Raids in the trash are only returned with includeDeleted. */
+function getRaid(id, { includeDeleted = false } = {}) {
+  return getDb().prepare(
+    `SELECT * FROM raids WHERE id = ?${includeDeleted ? '' : ' AND deleted_at IS NULL'}`
+  ).get(id);
+}
+
+/** Raids in the trash, most recently deleted first, with attendance / loot counts. */
+function getDeletedRaids(limit = 10, offset = 0) {
+  return getDb().prepare(`
+    SELECT r.*,
+           (SELECT COUNT(*) FROM attendance a WHERE a.raid_id = r.id) AS attendance_count,
+           (SELECT COUNT(*) FROM loot       l WHERE l.raid_id = r.id) AS loot_count
+    FROM raids r
+    WHERE r.deleted_at IS NOT NULL
+    ORDER BY r.deleted_at DESC
+    LIMIT ? OFFSET ?
+  `).all(limit, offset);
+}
+
+/** Number of raids in the trash. */
+function getDeletedRaidCount() {
+  return getDb().prepare('SELECT COUNT(*) AS n FROM raids WHERE deleted_at IS NOT NULL').get().n;
 }
 
 /**
@@ -306,10 +498,21 @@ function getRaidByDate(dateStr) {
   const dayStart = new Date(dateStr + 'T00:00:00Z').getTime();
   const dayEnd   = new Date(dateStr + 'T23:59:59Z').getTime();
   return getDb().prepare(
-    'SELECT * FROM raids WHERE start_time >= ? AND start_time <= ? ORDER BY start_time ASC LIMIT 1'
+    'SELECT * FROM raids WHERE start_time >= ? AND start_time <= ? AND deleted_at IS NULL ORDER BY start_time ASC LIMIT 1'
   ).get(dayStart, dayEnd) ?? null;
 }
 
+/** Like getRaidByDate, but only a raid in the given zone counts. */
+function getRaidByDateAndZone(dateStr, zone) {
+  const dayStart = new Date(dateStr + 'T00:00:00Z').getTime();
+  const dayEnd   = new Date(dateStr + 'T23:59:59Z').getTime();
+  return getDb().prepare(`
+    SELECT * FROM raids
+    WHERE start_time >= ? AND start_time <= ? AND zone = ? COLLATE NOCASE AND deleted_at IS NULL
+    ORDER BY start_time ASC LIMIT 1
+  `).get(dayStart, dayEnd, zone) ?? null;
+}
+
 /** All attendance rows for one raid, sorted by player name. */
 function getRaidAttendance(raidId) {
   return getDb().prepare(`
@@ -342,6 +545,7 @@ function properCase(name) {
  * @param {string} discordTag     - Display name at link time, e.g. "lyri" (cosmetic only)
  */
 function linkCharacter(characterName, discordId, discordTag) {
+  const before = getDiscordInfoForChar(characterName);
   getDb().prepare(`
     INSERT INTO player_aliases (character_name, discord_id, discord_tag)
     VALUES (?, ?, ?)
@@ -349,6 +553,9 @@ function linkCharacter(characterName, discordId, discordTag) {
       discord_id  = excluded.discord_id,
       discord_tag = excluded.discord_tag
   `).run(properCase(characterName), discordId, discordTag);
+  writeAudit('player.link', 'character', properCase(characterName), {
+    before, after: getDiscordInfoForChar(characterName),
+  });
 }
 
 /**
@@ -356,9 +563,30 @@ function linkCharacter(characterName, discordId, discordTag) {
  * Other characters belonging to the same Discord user are unaffected.
  */
 function unlinkCharacter(characterName) {
+  const before = getDiscordInfoForChar(characterName);
   getDb().prepare(
     'DELETE FROM player_aliases WHERE character_name = ? COLLATE NOCASE'
   ).run(characterName);
+  if (before) writeAudit('player.unlink', 'character', properCase(characterName), { before });
+}
+
+/** Rows recorded under a character name: { attendance, loot, dkp } counts (trashed raids excluded). */
+function getCharacterRowCounts(characterName) {
+  const db = getDb();
+  return {
+    attendance: db.prepare(`
+      SELECT COUNT(*) AS n FROM attendance a JOIN raids r ON r.id = a.raid_id
+      WHERE a.player_name = ? COLLATE NOCASE AND r.deleted_at IS NULL
+    `).get(characterName).n,
+    loot: db.prepare(`
+      SELECT COUNT(*) AS n FROM loot l JOIN raids r ON r.id = l.raid_id
+      WHERE l.player_name = ? COLLATE NOCASE AND r.deleted_at IS NULL
+    `).get(characterName).n,
+    dkp: db.prepare(`
+      SELECT COUNT(*) AS n FROM dkp_transactions t LEFT JOIN raids r ON r.id = t.raid_id
+      WHERE t.character_name = ? COLLATE NOCASE AND r.deleted_at IS NULL
+    `).get(characterName).n,
+  };
 }
 
 /**
@@ -437,7 +665,7 @@ function getPlayerAttendance(term) {
            a.player_name AS character_name, a.level, a.class, a.guild
     FROM attendance a
     JOIN raids r ON r.id = a.raid_id
-    WHERE a.player_name IN (${placeholders}) COLLATE NOCASE
+    WHERE a.player_name IN (${placeholders}) COLLATE NOCASE AND r.deleted_at IS NULL
     ORDER BY r.start_time DESC
   `).all(...chars);
 }
@@ -453,18 +681,258 @@ function getPlayerLoot(term) {
     SELECT l.*, r.name AS raid_name, r.zone AS raid_zone
     FROM loot l
     JOIN raids r ON r.id = l.raid_id
-    WHERE l.player_name IN (${placeholders}) COLLATE NOCASE
+    WHERE l.player_name IN (${placeholders}) COLLATE NOCASE AND r.deleted_at IS NULL
     ORDER BY l.looted_at DESC
   `).all(...chars);
 }
 
+/** All rolls for one raid, in chronological order. */
+function getRaidRolls(raidId) {
+  return getDb().prepare(`
+    SELECT * FROM rolls WHERE raid_id = ? ORDER BY rolled_at, id
+  `).all(raidId);
+}
+
+/** Named mob kills for a raid, in kill order. */
+function getRaidKills(raidId) {
+  return getDb().prepare(`
+    SELECT * FROM kills WHERE raid_id = ? ORDER BY killed_at, id
+  `).all(raidId);
+}
+
+// A /who this close to a kill counts as "at the kill". Raids /who every few
+// minutes, so the snapshots either side of a kill normally fall inside it.
+const KILL_PRESENCE_WINDOW_MS = 10 * 60 * 1000;
+
+/**
+ * Who was present at each of a raid's kills.
+ *
+ * Presence is everyone in a /who snapshot within KILL_PRESENCE_WINDOW_MS of the
+ * kill. When no snapshot is that close (a log with no /who near the pull) it
+ * falls back to attendance rows whose first/last seen span the kill, and the
+ * kill is flagged `estimated`.
+ *
+ * @returns {object[]} kills rows, each with `present` (character names) and `estimated`
+ */
+function getKillPresence(raidId) {
+  const db    = getDb();
+  const kills = getRaidKills(raidId);
+  if (kills.length === 0) return [];
+
+  const snapshots = db.prepare(`
+    SELECT s.taken_at, p.player_name
+    FROM who_snapshots s
+    JOIN who_snapshot_players p ON p.snapshot_id = s.id
+    WHERE s.raid_id = ?
+  `).all(raidId);
+  const attendance = getRaidAttendance(raidId);
+
+  return kills.map(k => {
+    const near = snapshots.filter(s => Math.abs(s.taken_at - k.killed_at) <= KILL_PRESENCE_WINDOW_MS);
+    const names = new Map(); // lowercased → display name
+    if (near.length > 0) {
+      for (const s of near) names.set(s.player_name.toLowerCase(), s.player_name);
+    } else {
+      for (const a of attendance) {
+        if (a.first_seen != null && a.last_seen != null &&
+            a.first_seen - KILL_PRESENCE_WINDOW_MS <= k.killed_at &&
+            a.last_seen  + KILL_PRESENCE_WINDOW_MS >= k.killed_at) {
+          names.set(a.player_name.toLowerCase(), a.player_name);
+        }
+      }
+    }
+    const present = [...names.values()].sort((a, b) => a.localeCompare(b));
+    return { ...k, present, estimated: near.length === 0 };
+  });
+}
+
+/**
+ * Kill credit for a raid, for weighting attendance: how many of the raid's
+ * kills each person was present for. Alts are rolled up the same way as DKP —
+ * keyed by Discord ID when linked, otherwise by lowercased character name.
+ *
+ * @returns {{ totalKills: number, credit: Map<string, number> }}
+ */
+function getRaidKillCredit(raidId) {
+  const kills = getKillPresence(raidId);
+  const owner = new Map(
+    getDb().prepare('SELECT character_name, discord_id FROM player_aliases').all()
+      .map(p => [p.character_name.toLowerCase(), p.discord_id])
+  );
+
+  const credit = new Map();
+  for (const k of kills) {
+    const keys = new Set(k.present.map(n => owner.get(n.toLowerCase()) ?? n.toLowerCase()));
+    for (const key of keys) credit.set(key, (credit.get(key) ?? 0) + 1);
+  }
+  return { totalKills: kills.length, credit };
+}
+
+/**
+ * Attendance percentage per person over every raid since `since` whose tier has
+ * a non-zero weight (raid_tiers) — optional raids, at weight 0, don't count.
+ *
+ * People are Discord identities (all linked characters together) or, for
+ * unlinked characters, the character itself. Each raid attended earns its tier
+ * weight; with weightByKills, a raid that has recorded kills earns that weight
+ * times the fraction of its kills the person was present for (see getRaidKillCredit).
+ * A bench spot earns the tier weight times the bench attendance credit
+ * (getBenchCredit), unless the person also attended that raid.
+ * percent = credit earned / total weight of the window's raids.
+ * The class shown is that of the character they attended with most.
+ *
+ * @param {object}  [opts]
+ * @param {number}  [opts.since=0]           - only raids starting at/after this (ms)
+ * @param {boolean} [opts.weightByKills=false]
+ * @returns {{ totalRaids: number, totalWeight: number, rows: object[] }}
+ *          rows: { key, discord_id, characters, class, attended, benched, credit, percent }
+ */
+function getAttendanceStandings({ since = 0, weightByKills = false } = {}) {
+  const db    = getDb();
+  const raids = db.prepare(`
+    SELECT r.id, t.weight
+    FROM raids r
+    JOIN raid_tiers t ON t.tier = r.tier
+    WHERE t.weight > 0 AND r.start_time >= ? AND r.deleted_at IS NULL
+  `).all(since);
+  if (raids.length === 0) return { totalRaids: 0, totalWeight: 0, rows: [] };
+  const weights     = new Map(raids.map(r => [r.id, r.weight]));
+  const totalWeight = raids.reduce((sum, r) => sum + r.weight, 0);
+
+  const rows = db.prepare(`
+    SELECT a.raid_id, a.player_name, a.class, p.discord_id
+    FROM attendance a
+    JOIN raids r      ON r.id = a.raid_id
+    JOIN raid_tiers t ON t.tier = r.tier
+    LEFT JOIN player_aliases p ON p.character_name = a.player_name COLLATE NOCASE
+    WHERE t.weight > 0 AND r.start_time >= ? AND r.deleted_at IS NULL
+  `).all(since);
+
+  const benchRows = db.prepare(`
+    SELECT b.raid_id, b.character_name AS player_name, p.discord_id
+    FROM raid_bench b
+    JOIN raids r      ON r.id = b.raid_id
+    JOIN raid_tiers t ON t.tier = r.tier
+    LEFT JOIN player_aliases p ON p.character_name = b.character_name COLLATE NOCASE
+    WHERE t.weight > 0 AND r.start_time >= ? AND r.deleted_at IS NULL
+  `).all(since);
+  const benchShare = getBenchCredit().attendance / 100;
+
+  const killCredit = new Map(); // raidId → { totalKills, credit }
+  if (weightByKills) {
+    for (const r of raids) {
+      const kc = getRaidKillCredit(r.id);
+      if (kc.totalKills > 0) killCredit.set(r.id, kc);
+    }
+  }
+
+  const people = new Map();
+  const person = row => {
+    const key = row.discord_id ?? row.player_name.toLowerCase();
+    if (!people.has(key)) {
+      people.set(key, { key, discord_id: row.discord_id ?? null, raids: new Set(), bench: new Set(), chars: new Map() });
+    }
+    return people.get(key);
+  };
+  for (const a of rows) {
+    const p = person(a);
+    p.raids.add(a.raid_id);
+    const c = p.chars.get(a.player_name.toLowerCase()) ?? { name: a.player_name, class: a.class, count: 0 };
+    c.count++;
+    if (a.class) c.class = a.class;
+    p.chars.set(a.player_name.toLowerCase(), c);
+  }
+  for (const b of benchRows) {
+    const p = person(b);
+    p.bench.add(b.raid_id);
+    if (!p.chars.has(b.player_name.toLowerCase())) {
+      p.chars.set(b.player_name.toLowerCase(), { name: b.player_name, class: null, count: 0 });
+    }
+  }
+
+  const result = [...people.values()].map(p => {
+    let credit = 0;
+    for (const raidId of p.raids) {
+      const kc = killCredit.get(raidId);
+      credit += weights.get(raidId) * (kc ? (kc.credit.get(p.key) ?? 0) / kc.totalKills : 1);
+    }
+    const benched = [...p.bench].filter(raidId => !p.raids.has(raidId));
+    for (const raidId of benched) credit += weights.get(raidId) * benchShare;
+    const chars = [...p.chars.values()].sort((a, b) => b.count - a.count);
+    return {
+      key:        p.key,
+      discord_id: p.discord_id,
+      characters: chars.map(c => c.name),
+      class:      chars.find(c => c.class)?.class ?? null,
+      attended:   p.raids.size,
+      benched:    benched.length,
+      credit:     Math.round(credit * 100) / 100,
+      percent:    Math.round(credit / totalWeight * 1000) / 10,
+    };
+  });
+
+  return { totalRaids: raids.length, totalWeight: Math.round(totalWeight * 100) / 100, rows: result };
+}
+
+/** Single loot row, with its raid name. */
+function getLoot(id) {
+  return getDb().prepare(`
+    SELECT l.*, r.name AS raid_name
+    FROM loot l
+    JOIN raids r ON r.id = l.raid_id
+    WHERE l.id = ? AND r.deleted_at IS NULL
+  `).get(id) ?? null;
+}
+
+const LOOT_AWARD_METHODS = ['dkp', 'roll', 'council', 'free'];
+
+/**
+ * Record how a loot row was settled: award method, price and notes.
+ * A 'dkp' award with a price also charges the winner — that charge is tied to
+ * the loot row, so re-awarding replaces it rather than charging twice.
+ * Returns the updated loot row.
+ */
+function setLootAward(lootId, { method, price, notes, awardedBy }) {
+  if (!LOOT_AWARD_METHODS.includes(method)) throw new Error(`Unknown award method "${method}"`);
+  const db    = getDb();
+  const award = row => row && {
+    award_method: row.award_method, price: row.price, notes: row.notes, awarded_by: row.awarded_by,
+  };
+  return db.transaction(() => {
+    const before = getLoot(lootId);
+    db.prepare(`
+      UPDATE loot
+      SET award_method = ?, price = ?, notes = ?, awarded_by = ?, awarded_at = ?
+      WHERE id = ?
+    `).run(method, price ?? null, notes || null, awardedBy || null, Date.now(), lootId);
+
+    db.prepare("DELETE FROM dkp_transactions WHERE loot_id = ? AND source = 'loot'").run(lootId);
+
+    const row = getLoot(lootId);
+    if (method === 'dkp' && price > 0) {
+      addDkpTransaction({
+        characterName: row.player_name,
+        raidId:        row.raid_id,
+        type:          'spend',
+        amount:        price,
+        reason:        `Loot: ${row.item_name}`,
+        createdBy:     awardedBy,
+        source:        'loot',
+        lootId,
+      });
+    }
+    if (row) writeAudit('loot.award', 'loot', lootId, { before: award(before), after: award(row) });
+    return row;
+  })();
+}
+
 /** Search loot records by partial item name (case-insensitive). */
 function searchItemLoot(itemName, limit = 50) {
   return getDb().prepare(`
     SELECT l.*, r.name AS raid_name
     FROM loot l
     JOIN raids r ON r.id = l.raid_id
-    WHERE l.item_name LIKE ? ESCAPE '\\'
+    WHERE l.item_name LIKE ? ESCAPE '\\' AND r.deleted_at IS NULL
     ORDER BY l.looted_at DESC
     LIMIT ?
   `).all(`%${itemName.replace(/[%_\\]/g, '\\$&')}%`, limit);
@@ -493,12 +961,13 @@ function enrichWithDiscordInfo(attendanceRows) {
 
 /**
  * Create a raid row with no attendance or loot (used for Discord-event-driven raids).
- * Returns the new raid ID.
+ * tier / category default from the zone, as in saveRaid. Returns the new raid ID.
  */
 function createRaid({ name, zone, startTime, endTime, submittedBy }) {
+  const defaults = classifyZone(zone);
   const { lastInsertRowid } = getDb().prepare(`
-    INSERT INTO raids (name, zone, start_time, end_time, character_name, submitted_by, submitted_at)
-    VALUES (@name, @zone, @startTime, @endTime, NULL, @submittedBy, @submittedAt)
+    INSERT INTO raids (name, zone, start_time, end_time, character_name, submitted_by, submitted_at, tier, category)
+    VALUES (@name, @zone, @startTime, @endTime, NULL, @submittedBy, @submittedAt, @tier, @category)
   `).run({
     name,
     zone,
@@ -506,7 +975,10 @@ function createRaid({ name, zone, startTime, endTime, submittedBy }) {
     endTime:     endTime.getTime(),
     submittedBy: submittedBy || null,
     submittedAt: Date.now(),
+    tier:        defaults.tier,
+    category:    defaults.category,
   });
+  writeAudit('raid.create', 'raid', lastInsertRowid, { after: getRaid(lastInsertRowid) });
   return lastInsertRowid;
 }
 
@@ -516,8 +988,8 @@ function createRaid({ name, zone, startTime, endTime, submittedBy }) {
  */
 function upsertVoiceAttendance(raidId, playerName, _discordId, firstSeen, lastSeen) {
   getDb().prepare(`
-    INSERT INTO attendance (raid_id, player_name, first_seen, last_seen)
-    VALUES (@raidId, @playerName, @firstSeen, @lastSeen)
+    INSERT INTO attendance (raid_id, player_name, first_seen, last_seen, source)
+    VALUES (@raidId, @playerName, @firstSeen, @lastSeen, 'voice')
     ON CONFLICT(raid_id, player_name) DO UPDATE SET
       last_seen = COALESCE(excluded.last_seen, attendance.last_seen)
   `).run({
@@ -551,19 +1023,27 @@ function getCharacterByDiscordId(discordId) {
  * @param {string} discordTag    - Discord username / display tag (cosmetic)
  */
 function addKeyHolder(characterName, discordTag) {
+  const before = getKeyHolder(characterName);
   getDb().prepare(`
     INSERT INTO key_holders (character_name, discord_tag, added_at)
     VALUES (?, ?, ?)
     ON CONFLICT(character_name) DO UPDATE SET
       discord_tag = excluded.discord_tag
   `).run(properCase(characterName), discordTag, Date.now());
+  writeAudit('key.add', 'key_holder', properCase(characterName), { before, after: getKeyHolder(characterName) });
 }
 
 /** Remove a key holder by character name. */
 function removeKeyHolder(characterName) {
+  const before = getKeyHolder(characterName);
   getDb().prepare(
     'DELETE FROM key_holders WHERE character_name = ? COLLATE NOCASE'
   ).run(characterName);
+  if (before) writeAudit('key.remove', 'key_holder', before.character_name, { before });
+}
+
+function getKeyHolder(characterName) {
+  return getDb().prepare('SELECT * FROM key_holders WHERE character_name = ? COLLATE NOCASE').get(characterName) ?? null;
 }
 
 /**
@@ -581,64 +1061,195 @@ function getKeyHolders() {
 
 // ── TOD tracker operations ─────────────────────────────────────────────────
 
-function addTodMob(name, lockoutHours, addedBy) {
-  return getDb().prepare(`
-    INSERT INTO tod_mobs (name, lockout_hours, added_by, added_at)
-    VALUES (?, ?, ?, ?)
-  `).run(name, lockoutHours, addedBy || null, Date.now());
+// TOD kills that still count: recorded by hand, or parsed from at least one raid
+// that isn't in the trash. A trashed raid's kills drop out of status, the board
+// and alerts, and come back if it's restored.
+const LIVE_TOD_KILLS = `(
+  SELECT * FROM tod_kills t
+  WHERE t.recorded_by IS NOT NULL
+     OR NOT EXISTS (SELECT 1 FROM kills k WHERE k.tod_kill_id = t.id)
+     OR EXISTS (
+       SELECT 1 FROM kills k JOIN raids r ON r.id = k.raid_id
+       WHERE k.tod_kill_id = t.id AND r.deleted_at IS NULL
+     )
+)`;
+
+/**
+ * Add a mob. Variance widens its respawn into a window (see lib/tod-window.js);
+ * zone / expansion group it on the /tod board and filter /tod status, and
+ * aliases are other names it can be looked up by.
+ */
+function addTodMob(name, lockoutHours, addedBy, {
+  varianceMinHours = 0, varianceMaxHours = 0, zone = null, expansion = null, notes = null, aliases = [],
+} = {}) {
+  const db = getDb();
+  const result = db.transaction(() => {
+    const r = db.prepare(`
+      INSERT INTO tod_mobs (name, lockout_hours, variance_min_hours, variance_max_hours, zone, expansion, notes, added_by, added_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(name, lockoutHours, varianceMinHours, varianceMaxHours, zone, expansion, notes, addedBy || null, Date.now());
+    setTodMobAliases(r.lastInsertRowid, aliases);
+    return r;
+  })();
+  writeAudit('tod.mob-add', 'tod_mob', name, { after: todMobSnapshot(name) });
+  return result;
 }
 
-function updateTodMob(name, lockoutHours) {
-  getDb().prepare(
-    'UPDATE tod_mobs SET lockout_hours = ? WHERE name = ? COLLATE NOCASE'
-  ).run(lockoutHours, name);
+/**
+ * Change a mob's settings. Fields left undefined are kept; null clears zone,
+ * expansion and notes, and alertRoleId null stops mentioning a role in its
+ * respawn alerts. aliases replaces the mob's whole alias list.
+ */
+function updateTodMob(name, {
+  lockoutHours, varianceMinHours, varianceMaxHours, alertRoleId, zone, expansion, notes, aliases,
+} = {}) {
+  const db = getDb();
+  const before = todMobSnapshot(name);
+  if (!before) return;
+  // "Set this column" flags, so that null can mean "clear" rather than "keep"
+  const set = value => (value !== undefined ? 1 : 0);
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE tod_mobs
+      SET lockout_hours      = COALESCE(@lockoutHours, lockout_hours),
+          variance_min_hours = COALESCE(@varianceMinHours, variance_min_hours),
+          variance_max_hours = COALESCE(@varianceMaxHours, variance_max_hours),
+          alert_role_id      = CASE WHEN @setRole      THEN @alertRoleId ELSE alert_role_id END,
+          zone               = CASE WHEN @setZone      THEN @zone        ELSE zone          END,
+          expansion          = CASE WHEN @setExpansion THEN @expansion   ELSE expansion     END,
+          notes              = CASE WHEN @setNotes     THEN @notes       ELSE notes         END
+      WHERE id = @id
+    `).run({
+      id:               before.id,
+      lockoutHours:     lockoutHours     ?? null,
+      varianceMinHours: varianceMinHours ?? null,
+      varianceMaxHours: varianceMaxHours ?? null,
+      setRole:          set(alertRoleId),
+      alertRoleId:      alertRoleId ?? null,
+      setZone:          set(zone),
+      zone:             zone ?? null,
+      setExpansion:     set(expansion),
+      expansion:        expansion ?? null,
+      setNotes:         set(notes),
+      notes:            notes ?? null,
+    });
+    if (aliases !== undefined) setTodMobAliases(before.id, aliases);
+  })();
+  writeAudit('tod.mob-edit', 'tod_mob', before.name, { before, after: todMobSnapshot(before.name) });
 }
 
 function removeTodMob(name) {
-  getDb().prepare('DELETE FROM tod_mobs WHERE name = ? COLLATE NOCASE').run(name);
+  const before = todMobSnapshot(name);
+  if (!before) return;
+  getDb().prepare('DELETE FROM tod_mobs WHERE id = ?').run(before.id);
+  writeAudit('tod.mob-remove', 'tod_mob', before.name, { before });
 }
 
+/** A mob by its name or one of its aliases. */
 function getTodMob(name) {
+  const db = getDb();
+  return db.prepare('SELECT * FROM tod_mobs WHERE name = ? COLLATE NOCASE').get(name)
+    ?? db.prepare(`
+      SELECT m.* FROM tod_mob_aliases a
+      JOIN tod_mobs m ON m.id = a.mob_id
+      WHERE a.alias = ?
+    `).get(name)
+    ?? null;
+}
+
+/** Alternate names for a mob, alphabetically. */
+function getTodMobAliases(mobId) {
   return getDb().prepare(
-    'SELECT * FROM tod_mobs WHERE name = ? COLLATE NOCASE'
-  ).get(name) ?? null;
+    'SELECT alias FROM tod_mob_aliases WHERE mob_id = ? ORDER BY alias COLLATE NOCASE'
+  ).all(mobId).map(r => r.alias);
 }
 
+/** Replace a mob's aliases. An alias another mob already has is a constraint error. */
+function setTodMobAliases(mobId, aliases) {
+  const db = getDb();
+  const add = db.prepare('INSERT INTO tod_mob_aliases (alias, mob_id) VALUES (?, ?)');
+  db.prepare('DELETE FROM tod_mob_aliases WHERE mob_id = ?').run(mobId);
+  for (const alias of aliases) add.run(alias, mobId);
+}
+
+/** Audit snapshot: the mob row plus its aliases. */
+function todMobSnapshot(name) {
+  const mob = getTodMob(name);
+  return mob && { ...mob, aliases: getTodMobAliases(mob.id) };
+}
+
+/**
+ * Mobs for autocomplete: name or an alias contains the text. Words match in
+ * order with anything between them, so "vulak aerr" finds "Vulak`Aerr".
+ */
 function searchTodMobs(partial) {
-  if (!partial) {
+  if (!partial?.trim()) {
     return getDb().prepare('SELECT * FROM tod_mobs ORDER BY name COLLATE NOCASE LIMIT 25').all();
   }
+  const words = partial.trim().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const like  = `%${words.map(w => w.replace(/[%_\\]/g, '\\$&')).join('%')}%`;
   return getDb().prepare(`
-    SELECT * FROM tod_mobs
-    WHERE name LIKE ? ESCAPE '\\'
-    ORDER BY name COLLATE NOCASE
+    SELECT m.*,
+           (SELECT GROUP_CONCAT(alias, ', ') FROM tod_mob_aliases a
+            WHERE a.mob_id = m.id AND a.alias LIKE @like ESCAPE '\\') AS matched_aliases
+    FROM tod_mobs m
+    WHERE m.name LIKE @like ESCAPE '\\'
+       OR EXISTS (SELECT 1 FROM tod_mob_aliases a WHERE a.mob_id = m.id AND a.alias LIKE @like ESCAPE '\\')
+    ORDER BY m.name COLLATE NOCASE
     LIMIT 25
-  `).all(`%${partial.replace(/[%_\\]/g, '\\$&')}%`);
+  `).all({ like });
+}
+
+/** Zones (or expansions) TOD mobs are filed under, for autocomplete. */
+function getTodMobGroups(column) {
+  if (!['zone', 'expansion'].includes(column)) throw new Error(`Unknown TOD mob grouping: ${column}`);
+  return getDb().prepare(
+    `SELECT DISTINCT ${column} AS value FROM tod_mobs WHERE ${column} IS NOT NULL ORDER BY ${column} COLLATE NOCASE`
+  ).all().map(r => r.value);
 }
 
 function recordTodKill(mobId, killedAt, recordedBy) {
-  return getDb().prepare(`
+  const db = getDb();
+  const result = db.prepare(`
     INSERT INTO tod_kills (mob_id, killed_at, recorded_by, recorded_at)
     VALUES (?, ?, ?, ?)
   `).run(mobId, killedAt, recordedBy || null, Date.now());
+  const mob = db.prepare('SELECT name FROM tod_mobs WHERE id = ?').get(mobId);
+  writeAudit('tod.record', 'tod_mob', mob?.name ?? mobId, {
+    after: db.prepare('SELECT * FROM tod_kills WHERE id = ?').get(result.lastInsertRowid),
+  });
+  return result;
 }
 
 function getLatestTodKill(mobId) {
   return getDb().prepare(
-    'SELECT * FROM tod_kills WHERE mob_id = ? ORDER BY killed_at DESC LIMIT 1'
+    `SELECT * FROM ${LIVE_TOD_KILLS} WHERE mob_id = ? ORDER BY killed_at DESC LIMIT 1`
   ).get(mobId) ?? null;
 }
 
+/** Kill history for a mob; raid_id is set when the kill came from a parsed raid log. */
 function getTodKillHistory(mobId, limit = 10) {
-  return getDb().prepare(
-    'SELECT * FROM tod_kills WHERE mob_id = ? ORDER BY killed_at DESC LIMIT ?'
-  ).all(mobId, limit);
+  return getDb().prepare(`
+    SELECT t.*, k.raid_id
+    FROM ${LIVE_TOD_KILLS} t
+    LEFT JOIN kills k ON k.tod_kill_id = t.id
+    WHERE t.mob_id = ?
+    GROUP BY t.id
+    ORDER BY t.killed_at DESC
+    LIMIT ?
+  `).all(mobId, limit);
+}
+
+function getTodKillCount(mobId) {
+  return getDb().prepare('SELECT COUNT(*) AS n FROM tod_kills WHERE mob_id = ?').get(mobId).n;
 }
 
 function undoLastTodKill(mobId) {
   const last = getLatestTodKill(mobId);
   if (!last) return null;
   getDb().prepare('DELETE FROM tod_kills WHERE id = ?').run(last.id);
+  const mob = getDb().prepare('SELECT name FROM tod_mobs WHERE id = ?').get(mobId);
+  writeAudit('tod.undo', 'tod_mob', mob?.name ?? mobId, { before: last });
   return last;
 }
 
@@ -649,35 +1260,952 @@ function getTodStatus() {
     LEFT JOIN (
       SELECT mob_id, killed_at, recorded_by,
              ROW_NUMBER() OVER (PARTITION BY mob_id ORDER BY killed_at DESC) AS rn
-      FROM tod_kills
+      FROM ${LIVE_TOD_KILLS}
     ) k ON k.mob_id = m.id AND k.rn = 1
     ORDER BY m.name COLLATE NOCASE
   `).all();
 }
 
+/** Each mob's latest kill (with its id), for respawn alerts. Mobs never killed are left out. */
+function getTodRespawns() {
+  return getDb().prepare(`
+    SELECT m.id AS mob_id, m.name, m.lockout_hours, m.variance_min_hours, m.variance_max_hours, m.alert_role_id,
+           k.id AS kill_id, k.killed_at
+    FROM tod_mobs m
+    JOIN (
+      SELECT id, mob_id, killed_at,
+             ROW_NUMBER() OVER (PARTITION BY mob_id ORDER BY killed_at DESC) AS rn
+      FROM ${LIVE_TOD_KILLS}
+    ) k ON k.mob_id = m.id AND k.rn = 1
+  `).all();
+}
+
+// ── TOD subscriptions ──────────────────────────────────────────────────────
+
+/**
+ * Follow a mob: DM discordId leadMinutes before it respawns (or its window
+ * opens). Subscribing again changes the lead. Returns the previous subscription,
+ * or null if this is a new one.
+ */
+function subscribeTodMob(discordId, mobId, leadMinutes) {
+  const db = getDb();
+  const previous = db.prepare(
+    'SELECT * FROM tod_subscriptions WHERE discord_id = ? AND mob_id = ?'
+  ).get(discordId, mobId) ?? null;
+  db.prepare(`
+    INSERT INTO tod_subscriptions (discord_id, mob_id, lead_minutes, created_at)
+    VALUES (?, ?, ?, ?)
+    ON CONFLICT (discord_id, mob_id) DO UPDATE SET
+      lead_minutes     = excluded.lead_minutes,
+      notified_kill_id = NULL
+  `).run(discordId, mobId, leadMinutes, Date.now());
+  return previous;
+}
+
+/** Returns true if there was a subscription to remove. */
+function unsubscribeTodMob(discordId, mobId) {
+  return getDb().prepare(
+    'DELETE FROM tod_subscriptions WHERE discord_id = ? AND mob_id = ?'
+  ).run(discordId, mobId).changes > 0;
+}
+
+/** A user's subscriptions with each mob's latest kill (kill_id / killed_at null if none). */
+function getTodSubscriptions(discordId) {
+  return getDb().prepare(`
+    SELECT s.*, m.name, m.lockout_hours, m.variance_min_hours, m.variance_max_hours,
+           k.id AS kill_id, k.killed_at
+    FROM tod_subscriptions s
+    JOIN tod_mobs m ON m.id = s.mob_id
+    LEFT JOIN (
+      SELECT id, mob_id, killed_at,
+             ROW_NUMBER() OVER (PARTITION BY mob_id ORDER BY killed_at DESC) AS rn
+      FROM ${LIVE_TOD_KILLS}
+    ) k ON k.mob_id = m.id AND k.rn = 1
+    WHERE s.discord_id = ?
+    ORDER BY m.name COLLATE NOCASE
+  `).all(discordId);
+}
+
+/** Subscriptions not yet reminded about their mob's latest kill, for lib/tod-alerts.js. */
+function getPendingTodReminders() {
+  return getDb().prepare(`
+    SELECT s.discord_id, s.mob_id, s.lead_minutes,
+           m.name, m.lockout_hours, m.variance_min_hours, m.variance_max_hours,
+           k.id AS kill_id, k.killed_at
+    FROM tod_subscriptions s
+    JOIN tod_mobs m ON m.id = s.mob_id
+    JOIN (
+      SELECT id, mob_id, killed_at,
+             ROW_NUMBER() OVER (PARTITION BY mob_id ORDER BY killed_at DESC) AS rn
+      FROM ${LIVE_TOD_KILLS}
+    ) k ON k.mob_id = m.id AND k.rn = 1
+    WHERE s.notified_kill_id IS NOT k.id
+  `).all();
+}
+
+/** @param {{ discord_id: string, mob_id: number, kill_id: number }[]} reminders */
+function markTodRemindersSent(reminders) {
+  const db = getDb();
+  const stmt = db.prepare('UPDATE tod_subscriptions SET notified_kill_id = ? WHERE discord_id = ? AND mob_id = ?');
+  db.transaction(() => {
+    for (const r of reminders) stmt.run(r.kill_id, r.discord_id, r.mob_id);
+  })();
+}
+
+// ── DKP ledger ─────────────────────────────────────────────────────────────
+
+const DKP_TYPES = ['earn', 'spend', 'adjust'];
+
+/**
+ * Record a DKP transaction for a character (stored in proper case). Returns the new transaction ID.
+ * `amount` is given as a magnitude for earn/spend (spends are stored negative);
+ * adjustments keep whatever sign they are given.
+ */
+function addDkpTransaction({ characterName, raidId, type, amount, reason, createdBy, source = 'manual', lootId }) {
+  if (!DKP_TYPES.includes(type)) throw new Error(`Unknown DKP transaction type "${type}"`);
+  const signed = type === 'earn'  ?  Math.abs(amount)
+               : type === 'spend' ? -Math.abs(amount)
+               : amount;
+  const { lastInsertRowid } = getDb().prepare(`
+    INSERT INTO dkp_transactions (character_name, raid_id, type, amount, reason, created_by, created_at, source, loot_id)
+    VALUES (@characterName, @raidId, @type, @amount, @reason, @createdBy, @createdAt, @source, @lootId)
+  `).run({
+    characterName: properCase(characterName),
+    raidId:    raidId    ?? null,
+    type,
+    amount:    signed,
+    reason:    reason    || null,
+    createdBy: createdBy || null,
+    createdAt: Date.now(),
+    source,
+    lootId:    lootId    ?? null,
+  });
+  // Automatic rows are rebuilt from the raid / loot they belong to; only log hand-made ones
+  if (source === 'manual') {
+    writeAudit(`dkp.${type}`, 'character', properCase(characterName), {
+      after: getDb().prepare('SELECT * FROM dkp_transactions WHERE id = ?').get(lastInsertRowid),
+    });
+  }
+  return lastInsertRowid;
+}
+
+/**
+ * DKP totals for a Discord user (or a character that resolves to one),
+ * summed across every linked character.
+ * @param {string} term  - Discord user ID or in-game character name
+ * @returns {{ balance: number, earned: number, spent: number, adjusted: number, transactions: number }}
+ */
+function getDkpBalance(term) {
+  const chars = resolveCharacterNames(term);
+  const placeholders = chars.map(() => '?').join(', ');
+  return getDb().prepare(`
+    SELECT COALESCE(SUM(t.amount), 0)                                     AS balance,
+           COALESCE(SUM(CASE WHEN t.type = 'earn'   THEN  t.amount END), 0) AS earned,
+           COALESCE(SUM(CASE WHEN t.type = 'spend'  THEN -t.amount END), 0) AS spent,
+           COALESCE(SUM(CASE WHEN t.type = 'adjust' THEN  t.amount END), 0) AS adjusted,
+           COUNT(*)                                                        AS transactions
+    FROM dkp_transactions t
+    LEFT JOIN raids r ON r.id = t.raid_id
+    WHERE t.character_name IN (${placeholders}) COLLATE NOCASE AND r.deleted_at IS NULL
+  `).get(...chars);
+}
+
+/**
+ * DKP standings, one row per Discord user (unlinked characters stand alone),
+ * highest balance first.
+ */
+function getDkpStandings(limit = 25, offset = 0) {
+  return getDb().prepare(`
+    SELECT COALESCE(p.discord_id, LOWER(t.character_name))            AS identity,
+           p.discord_id,
+           MAX(p.discord_tag)                                          AS discord_tag,
+           GROUP_CONCAT(DISTINCT t.character_name)                     AS characters,
+           SUM(t.amount)                                               AS balance,
+           COALESCE(SUM(CASE WHEN t.type = 'earn'  THEN  t.amount END), 0) AS earned,
+           COALESCE(SUM(CASE WHEN t.type = 'spend' THEN -t.amount END), 0) AS spent
+    FROM dkp_transactions t
+    LEFT JOIN player_aliases p ON p.character_name = t.character_name COLLATE NOCASE
+    LEFT JOIN raids r          ON r.id = t.raid_id
+    WHERE r.deleted_at IS NULL
+    GROUP BY identity
+    ORDER BY balance DESC, identity
+    LIMIT ? OFFSET ?
+  `).all(limit, offset);
+}
+
+/** Number of distinct identities holding DKP, for paging getDkpStandings. */
+function getDkpStandingsCount() {
+  return getDb().prepare(`
+    SELECT COUNT(DISTINCT COALESCE(p.discord_id, LOWER(t.character_name))) AS n
+    FROM dkp_transactions t
+    LEFT JOIN player_aliases p ON p.character_name = t.character_name COLLATE NOCASE
+    LEFT JOIN raids r          ON r.id = t.raid_id
+    WHERE r.deleted_at IS NULL
+  `).get().n;
+}
+
+/**
+ * Most recent DKP transactions for a Discord user across all their characters.
+ * @param {string} term  - Discord user ID or in-game character name
+ */
+function getDkpHistory(term, limit = 15) {
+  const chars = resolveCharacterNames(term);
+  const placeholders = chars.map(() => '?').join(', ');
+  return getDb().prepare(`
+    SELECT t.*, r.name AS raid_name
+    FROM dkp_transactions t
+    LEFT JOIN raids r ON r.id = t.raid_id
+    WHERE t.character_name IN (${placeholders}) COLLATE NOCASE AND r.deleted_at IS NULL
+    ORDER BY t.created_at DESC, t.id DESC
+    LIMIT ?
+  `).all(...chars, limit);
+}
+
+// ── Loot auctions ──────────────────────────────────────────────────────────
+
+/** Create an open auction. Returns the new auction ID. */
+function createAuction({ itemName, raidId, channelId, minBid, increment, closedBid, endsAt, createdBy }) {
+  const { lastInsertRowid } = getDb().prepare(`
+    INSERT INTO auctions (item_name, raid_id, channel_id, min_bid, increment, closed_bid, ends_at, created_by, created_at)
+    VALUES (@itemName, @raidId, @channelId, @minBid, @increment, @closedBid, @endsAt, @createdBy, @createdAt)
+  `).run({
+    itemName,
+    raidId:    raidId    ?? null,
+    channelId,
+    minBid,
+    increment,
+    closedBid: closedBid ? 1 : 0,
+    endsAt,
+    createdBy: createdBy || null,
+    createdAt: Date.now(),
+  });
+  return lastInsertRowid;
+}
+
+/** Remember which Discord message shows the auction, so it can be edited later. */
+function setAuctionMessage(auctionId, messageId) {
+  getDb().prepare('UPDATE auctions SET message_id = ? WHERE id = ?').run(messageId, auctionId);
+}
+
+function getAuction(id) {
+  return getDb().prepare('SELECT * FROM auctions WHERE id = ?').get(id) ?? null;
+}
+
+function getOpenAuctions() {
+  return getDb().prepare("SELECT * FROM auctions WHERE status = 'open' ORDER BY ends_at").all();
+}
+
+/** All bids for an auction, highest first (ties go to whoever bid first); passes last. */
+function getAuctionBids(auctionId) {
+  return getDb().prepare(`
+    SELECT * FROM auction_bids
+    WHERE auction_id = ?
+    ORDER BY amount IS NULL, amount DESC, bid_at ASC
+  `).all(auctionId);
+}
+
+/**
+ * DKP a bidder has tied up in other open auctions: the sum of the bids they
+ * currently lead with (same ordering as getAuctionBids), except exceptAuctionId.
+ */
+function getLeadingBidTotal(discordId, exceptAuctionId = null) {
+  return getDb().prepare(`
+    SELECT COALESCE(SUM(b.amount), 0) AS total
+    FROM auction_bids b
+    JOIN auctions a ON a.id = b.auction_id
+    WHERE a.status = 'open' AND b.discord_id = ? AND b.amount IS NOT NULL AND b.auction_id IS NOT ?
+      AND NOT EXISTS (
+        SELECT 1 FROM auction_bids o
+        WHERE o.auction_id = b.auction_id AND o.amount IS NOT NULL AND o.discord_id != b.discord_id
+          AND (o.amount > b.amount OR (o.amount = b.amount AND o.bid_at < b.bid_at))
+      )
+  `).get(discordId, exceptAuctionId).total;
+}
+
+/** Place or replace a bidder's bid. Pass amount = null to record a pass. */
+function placeAuctionBid(auctionId, discordId, characterName, amount) {
+  getDb().prepare(`
+    INSERT INTO auction_bids (auction_id, discord_id, character_name, amount, bid_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(auction_id, discord_id) DO UPDATE SET
+      character_name = excluded.character_name,
+      amount         = excluded.amount,
+      bid_at         = excluded.bid_at
+  `).run(auctionId, discordId, characterName, amount, Date.now());
+}
+
+/**
+ * Close an auction and settle it: the highest bid wins (earliest bid breaks ties).
+ * Balances are checked again here — a bidder may have spent DKP on another
+ * auction since bidding — so the first bid whose bidder can still cover it wins.
+ * The winner's loot row is priced as a DKP award, which also charges them —
+ * an existing unpriced row for that item in the raid is reused (loot parsed
+ * from a log before the auction closed), otherwise a new one is written.
+ * Without a raid there is no loot row to attach to, so only the charge is made.
+ * Returns the closed auction row. Already-closed auctions are returned unchanged.
+ */
+function settleAuction(auctionId) {
+  const db = getDb();
+  return db.transaction(() => {
+    const auction = getAuction(auctionId);
+    if (!auction || auction.status !== 'open') return auction;
+
+    const winner = getAuctionBids(auctionId)
+      .find(b => b.amount != null && getDkpBalance(b.discord_id).balance >= b.amount) ?? null;
+    let lootId = null;
+
+    if (winner && auction.raid_id != null && getRaid(auction.raid_id)) {
+      const chars = resolveCharacterNames(winner.discord_id);
+      const placeholders = chars.map(() => '?').join(', ');
+      const existing = db.prepare(`
+        SELECT id FROM loot
+        WHERE raid_id = ? AND item_name = ? COLLATE NOCASE AND award_method IS NULL
+          AND player_name IN (${placeholders}) COLLATE NOCASE
+        ORDER BY looted_at LIMIT 1
+      `).get(auction.raid_id, auction.item_name, ...chars);
+
+      lootId = existing?.id ?? db.prepare(`
+        INSERT INTO loot (raid_id, player_name, item_name, looted_at, zone)
+        VALUES (?, ?, ?, ?, NULL)
+      `).run(auction.raid_id, winner.character_name, auction.item_name, Date.now()).lastInsertRowid;
+
+      setLootAward(lootId, {
+        method:    'dkp',
+        price:     winner.amount,
+        notes:     `Auction #${auction.id}`,
+        awardedBy: auction.created_by,
+      });
+    } else if (winner && winner.amount > 0) {
+      addDkpTransaction({
+        characterName: winner.character_name,
+        type:          'spend',
+        amount:        winner.amount,
+        reason:        `Loot: ${auction.item_name} (auction #${auction.id})`,
+        createdBy:     auction.created_by,
+        source:        'loot',
+      });
+    }
+
+    db.prepare(`
+      UPDATE auctions
+      SET status = 'closed', winner_character = ?, winning_bid = ?, loot_id = ?
+      WHERE id = ?
+    `).run(winner?.character_name ?? null, winner?.amount ?? null, lootId, auctionId);
+
+    const closed = getAuction(auctionId);
+    writeAudit('loot.auction-settle', 'auction', auctionId, { before: auction, after: closed });
+    return closed;
+  })();
+}
+
+/**
+ * Close an auction without a winner: no loot row is written and nobody is charged.
+ * Returns the cancelled auction row, or null if it wasn't open.
+ */
+function cancelAuction(auctionId) {
+  const before = getAuction(auctionId);
+  if (before?.status !== 'open') return null;
+  getDb().prepare("UPDATE auctions SET status = 'cancelled' WHERE id = ?").run(auctionId);
+  const after = getAuction(auctionId);
+  writeAudit('loot.auction-cancel', 'auction', auctionId, { before, after });
+  return after;
+}
+
+// ── Automatic DKP awards ───────────────────────────────────────────────────
+
+function getDkpRules() {
+  return getDb().prepare('SELECT * FROM dkp_rules ORDER BY zone COLLATE NOCASE').all();
+}
+
+/** Create or replace the award rule for a zone ("*" for the fallback rule). */
+function setDkpRule(zone, { perHour, onTimeBonus, onTimeGraceMinutes, fullRaidBonus, fullRaidPercent }, updatedBy) {
+  const db     = getDb();
+  const find   = db.prepare('SELECT * FROM dkp_rules WHERE zone = ? COLLATE NOCASE');
+  const before = find.get(zone) ?? null;
+  db.prepare(`
+    INSERT OR REPLACE INTO dkp_rules
+      (zone, per_hour, on_time_bonus, on_time_grace_minutes, full_raid_bonus, full_raid_percent, updated_by, updated_at)
+    VALUES (@zone, @perHour, @onTimeBonus, @onTimeGraceMinutes, @fullRaidBonus, @fullRaidPercent, @updatedBy, @updatedAt)
+  `).run({
+    zone,
+    perHour:            perHour            ?? 0,
+    onTimeBonus:        onTimeBonus        ?? 0,
+    onTimeGraceMinutes: onTimeGraceMinutes ?? 15,
+    fullRaidBonus:      fullRaidBonus      ?? 0,
+    fullRaidPercent:    fullRaidPercent    ?? 90,
+    updatedBy:          updatedBy          || null,
+    updatedAt:          Date.now(),
+  });
+  writeAudit('dkp.rule-set', 'dkp_rule', zone, { before, after: find.get(zone) });
+}
+
+/** Remove a zone's award rule. Returns true if one existed. */
+function removeDkpRule(zone) {
+  const db     = getDb();
+  const before = db.prepare('SELECT * FROM dkp_rules WHERE zone = ? COLLATE NOCASE').get(zone);
+  if (!before) return false;
+  db.prepare('DELETE FROM dkp_rules WHERE zone = ? COLLATE NOCASE').run(zone);
+  writeAudit('dkp.rule-remove', 'dkp_rule', before.zone, { before });
+  return true;
+}
+
+/**
+ * Rebuild the rule-based attendance awards for one raid.
+ * Idempotent: previous 'attendance' rows for the raid are removed first, so
+ * re-parsing, merging or editing a raid never double-awards. Manual awards
+ * and charges are left alone.
+ * Returns { awarded, total } — number of characters paid and points issued.
+ */
+function recalculateRaidDkp(raidId) {
+  const db = getDb();
+  return db.transaction(() => {
+    db.prepare("DELETE FROM dkp_transactions WHERE raid_id = ? AND source = 'attendance'").run(raidId);
+
+    const raid = getRaid(raidId, { includeDeleted: true }); // trashed raids keep their awards for a restore
+    const rule = raid ? findRuleForZone(raid.zone, getDkpRules()) : null;
+    if (!rule) return { awarded: 0, total: 0 };
+
+    const attendance = enrichWithDiscordInfo(getRaidAttendance(raidId));
+    const awards     = calculateRaidAwards(raid, attendance, rule);
+
+    // Bench: a share of a full-raid award, for anyone not already paid for attending
+    const present = new Set(attendance.map(a => a.discord_id ?? a.player_name.toLowerCase()));
+    const bench   = enrichWithDiscordInfo(getRaidBench(raidId).map(b => ({ ...b, player_name: b.character_name })))
+      .filter(b => !present.has(b.discord_id ?? b.player_name.toLowerCase()));
+    awards.push(...calculateBenchAwards(raid, bench, rule, getBenchCredit().dkp));
+
+    for (const a of awards) {
+      addDkpTransaction({
+        characterName: a.characterName,
+        raidId,
+        type:          'earn',
+        amount:        a.amount,
+        reason:        a.reason,
+        createdBy:     'auto',
+        source:        'attendance',
+      });
+    }
+    return { awarded: awards.length, total: awards.reduce((n, a) => n + a.amount, 0) };
+  })();
+}
+
+// ── Bench / standby ────────────────────────────────────────────────────────
+
+const BENCH_CREDIT_DEFAULTS = { attendance: 100, dkp: 100 };
+
+function getSetting(key, defaultValue = null) {
+  const row = getDb().prepare('SELECT value FROM settings WHERE key = ?').get(key);
+  return row ? row.value : defaultValue;
+}
+
+function setSetting(key, value, updatedBy) {
+  getDb().prepare(`
+    INSERT INTO settings (key, value, updated_by, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT(key) DO UPDATE SET
+      value = excluded.value, updated_by = excluded.updated_by, updated_at = excluded.updated_at
+  `).run(key, String(value), updatedBy || null, Date.now());
+}
+
+/**
+ * How much a bench spot is worth, as a percentage of actually attending:
+ * { attendance } towards /attendance standings, { dkp } of a full-raid DKP award.
+ */
+function getBenchCredit() {
+  return {
+    attendance: Number(getSetting('bench_attendance_credit', BENCH_CREDIT_DEFAULTS.attendance)),
+    dkp:        Number(getSetting('bench_dkp_credit',        BENCH_CREDIT_DEFAULTS.dkp)),
+  };
+}
+
+/** Update either bench credit percentage; DKP for every raid with a bench is rebuilt. */
+function setBenchCredit({ attendance, dkp }, updatedBy) {
+  const db = getDb();
+  db.transaction(() => {
+    if (attendance != null) setSetting('bench_attendance_credit', attendance, updatedBy);
+    if (dkp != null) {
+      setSetting('bench_dkp_credit', dkp, updatedBy);
+      for (const { raid_id } of db.prepare('SELECT DISTINCT raid_id FROM raid_bench').all()) {
+        recalculateRaidDkp(raid_id);
+      }
+    }
+  })();
+}
+
+/** Bench rows for a raid, manual entries first. */
+function getRaidBench(raidId) {
+  return getDb().prepare(`
+    SELECT * FROM raid_bench WHERE raid_id = ?
+    ORDER BY source = 'voice', character_name COLLATE NOCASE
+  `).all(raidId);
+}
+
+/** Officer bench entry (replaces a voice-sourced row for the same character). */
+function addBenchPlayer(raidId, characterName, { note, addedBy } = {}) {
+  const db   = getDb();
+  const name = properCase(characterName);
+  const find = db.prepare('SELECT * FROM raid_bench WHERE raid_id = ? AND character_name = ? COLLATE NOCASE');
+  db.transaction(() => {
+    const before = find.get(raidId, name) ?? null;
+    db.prepare(`
+      INSERT INTO raid_bench (raid_id, character_name, source, note, added_by, added_at)
+      VALUES (?, ?, 'manual', ?, ?, ?)
+      ON CONFLICT(raid_id, character_name) DO UPDATE SET
+        source = 'manual', note = excluded.note, added_by = excluded.added_by, added_at = excluded.added_at
+    `).run(raidId, name, note || null, addedBy || null, Date.now());
+    recalculateRaidDkp(raidId);
+    writeAudit('raid.bench-add', 'raid', raidId, { before, after: find.get(raidId, name) });
+  })();
+}
+
+/** Remove a character from a raid's bench. Returns true if they were on it. */
+function removeBenchPlayer(raidId, characterName) {
+  const db = getDb();
+  return db.transaction(() => {
+    const before = db.prepare(
+      'SELECT * FROM raid_bench WHERE raid_id = ? AND character_name = ? COLLATE NOCASE'
+    ).get(raidId, characterName);
+    if (!before) return false;
+    db.prepare('DELETE FROM raid_bench WHERE raid_id = ? AND character_name = ?').run(raidId, before.character_name);
+    recalculateRaidDkp(raidId);
+    writeAudit('raid.bench-remove', 'raid', raidId, { before });
+    return true;
+  })();
+}
+
+/**
+ * Sort voice-channel attendance into attendance vs. bench.
+ *
+ * Only meaningful once the raid has zone data (a parsed log): until then the
+ * voice rows are the only attendance there is, so they're left alone. After
+ * that, a voice row whose person (any of their linked characters) is in the
+ * zone /who is redundant and dropped; anyone else who was in voice moves to
+ * the bench. Voice bench rows for people who later show up in the zone are
+ * removed, so merging a second log can pull someone off the bench.
+ */
+function reconcileRaidBench(raidId) {
+  const db   = getDb();
+  const rows = enrichWithDiscordInfo(getRaidAttendance(raidId));
+  const inZone = new Set(
+    rows.filter(r => r.source === 'who').map(r => r.discord_id ?? r.player_name.toLowerCase())
+  );
+  if (inZone.size === 0) return;
+
+  const stmtBench = db.prepare(`
+    INSERT INTO raid_bench (raid_id, character_name, source, first_seen, last_seen, added_by, added_at)
+    VALUES (?, ?, 'voice', ?, ?, 'voice', ?)
+    ON CONFLICT(raid_id, character_name) DO UPDATE SET
+      first_seen = MIN(COALESCE(raid_bench.first_seen, excluded.first_seen), excluded.first_seen),
+      last_seen  = MAX(COALESCE(raid_bench.last_seen,  excluded.last_seen),  excluded.last_seen)
+  `);
+  const stmtDropAttend = db.prepare('DELETE FROM attendance WHERE id = ?');
+  const stmtDropBench  = db.prepare('DELETE FROM raid_bench WHERE raid_id = ? AND character_name = ? COLLATE NOCASE');
+
+  db.transaction(() => {
+    for (const r of rows.filter(r => r.source === 'voice')) {
+      if (!inZone.has(r.discord_id ?? r.player_name.toLowerCase())) {
+        stmtBench.run(raidId, r.player_name, r.first_seen, r.last_seen ?? r.first_seen, Date.now());
+      }
+      stmtDropAttend.run(r.id);
+    }
+    const bench = enrichWithDiscordInfo(
+      getRaidBench(raidId).filter(b => b.source === 'voice').map(b => ({ ...b, player_name: b.character_name }))
+    );
+    for (const b of bench) {
+      if (inZone.has(b.discord_id ?? b.player_name.toLowerCase())) stmtDropBench.run(raidId, b.character_name);
+    }
+  })();
+}
+
+// ── Raid tiers ─────────────────────────────────────────────────────────────
+
+/** All raid tiers with their attendance weight, in RAID_TIERS order. */
+function getRaidTiers() {
+  const rows = getDb().prepare('SELECT * FROM raid_tiers').all();
+  return RAID_TIERS.map(t => rows.find(r => r.tier === t)).filter(Boolean);
+}
+
+/** Set how much a tier counts towards attendance percentages. */
+function setRaidTierWeight(tier, weight, updatedBy) {
+  const db     = getDb();
+  const find   = db.prepare('SELECT * FROM raid_tiers WHERE tier = ?');
+  const before = find.get(tier);
+  db.prepare(`
+    UPDATE raid_tiers SET weight = ?, updated_by = ?, updated_at = ? WHERE tier = ?
+  `).run(weight, updatedBy || null, Date.now(), tier);
+  if (before) writeAudit('raid.tier-weight', 'raid_tier', tier, { before, after: find.get(tier) });
+}
+
+// ── Command permissions ────────────────────────────────────────────────────
+
+/** Every role grant, ordered by key. */
+function getCommandPermissions() {
+  return getDb().prepare('SELECT * FROM command_permissions ORDER BY permission_key, granted_at').all();
+}
+
+/** Allow a role to run a permission key. Returns false if it already could. */
+function grantCommandPermission(permissionKey, roleId, grantedBy) {
+  const granted = getDb().prepare(`
+    INSERT OR IGNORE INTO command_permissions (permission_key, role_id, granted_by, granted_at)
+    VALUES (?, ?, ?, ?)
+  `).run(permissionKey, roleId, grantedBy || null, Date.now()).changes > 0;
+  if (granted) writeAudit('permission.grant', 'permission', permissionKey, { after: { role_id: roleId } });
+  return granted;
+}
+
+/** Remove one role's grant. Returns false if it had none. */
+function revokeCommandPermission(permissionKey, roleId) {
+  const revoked = getDb().prepare(
+    'DELETE FROM command_permissions WHERE permission_key = ? AND role_id = ?'
+  ).run(permissionKey, roleId).changes > 0;
+  if (revoked) writeAudit('permission.revoke', 'permission', permissionKey, { before: { role_id: roleId } });
+  return revoked;
+}
+
+/** Drop every grant for a key so it falls back to the defaults. Returns the number removed. */
+function resetCommandPermission(permissionKey) {
+  const before  = getCommandPermissions().filter(g => g.permission_key === permissionKey).map(g => g.role_id);
+  const removed = getDb().prepare('DELETE FROM command_permissions WHERE permission_key = ?').run(permissionKey).changes;
+  if (removed > 0) writeAudit('permission.reset', 'permission', permissionKey, { before: { role_ids: before } });
+  return removed;
+}
+
+// ── Audit log ──────────────────────────────────────────────────────────────
+
+// Entries written since the last tick, mirrored once their transaction has settled
+const pendingAudit = [];
+
+/**
+ * Record a data-changing action. The actor comes from the audit context
+ * (lib/audit.js); before / after are stored as JSON snapshots of the target.
+ */
+function writeAudit(action, targetType, targetId, { before = null, after = null } = {}) {
+  const ctx   = audit.currentContext() ?? {};
+  const entry = {
+    at:          Date.now(),
+    actor_id:    ctx.actorId   ?? null,
+    actor_name:  ctx.actorName ?? 'system',
+    command:     ctx.command   ?? null,
+    action,
+    target_type: targetType,
+    target_id:   targetId == null ? null : String(targetId),
+    before_json: before == null ? null : JSON.stringify(before),
+    after_json:  after  == null ? null : JSON.stringify(after),
+  };
+  const { lastInsertRowid } = getDb().prepare(`
+    INSERT INTO audit_log (at, actor_id, actor_name, command, action, target_type, target_id, before_json, after_json)
+    VALUES (@at, @actor_id, @actor_name, @command, @action, @target_type, @target_id, @before_json, @after_json)
+  `).run(entry);
+  pendingAudit.push({ id: lastInsertRowid, ...entry });
+  if (pendingAudit.length === 1) setImmediate(publishPendingAudit);
+}
+
+/**
+ * Mirror the entries queued by writeAudit to the audit channel. better-sqlite3
+ * transactions are synchronous, so by the next tick the one that wrote them has
+ * committed or rolled back; rolled-back rows are gone (or their id reused) and
+ * are dropped rather than announcing changes that never happened.
+ */
+function publishPendingAudit() {
+  const find = getDb().prepare('SELECT * FROM audit_log WHERE id = ?');
+  for (const entry of pendingAudit.splice(0)) {
+    const row = find.get(entry.id);
+    if (row && row.at === entry.at && row.action === entry.action && row.target_id === entry.target_id) {
+      audit.publish(row);
+    }
+  }
+}
+
+/**
+ * Audit entries newest-first.
+ * @param {object} [filter] - { targetType, targetId, actorId, action, limit, offset }
+ *                            action matches its prefix: 'raid' → raid.create, raid.delete, …
+ *                            and 'raid.bench' → raid.bench-add, raid.bench-remove
+ */
+function getAuditLog({ targetType, targetId, actorId, action, limit = 15, offset = 0 } = {}) {
+  const conds  = [];
+  const params = [];
+  if (action)     { conds.push('(action LIKE ? OR action LIKE ?)'); params.push(`${action}.%`, `${action}-%`); }
+  if (targetType) { conds.push('target_type = ?'); params.push(targetType); }
+  if (targetId != null) { conds.push('target_id = ?'); params.push(String(targetId)); }
+  if (actorId)    { conds.push('actor_id = ?');    params.push(actorId); }
+  const where = conds.length ? `WHERE ${conds.join(' AND ')}` : '';
+  return getDb().prepare(`
+    SELECT * FROM audit_log ${where} ORDER BY at DESC, id DESC LIMIT ? OFFSET ?
+  `).all(...params, limit, offset);
+}
+
+// ── Export / import ────────────────────────────────────────────────────────
+
+// Tables in an export bundle, parents before children
+const EXPORT_TABLES = ['raids', 'attendance', 'loot', 'player_aliases', 'key_holders', 'tod_mobs', 'tod_mob_aliases', 'tod_kills'];
+
+/** Every row of the exported tables, keyed by table name. */
+function exportTables() {
+  const db  = getDb();
+  const out = {};
+  for (const table of EXPORT_TABLES) out[table] = db.prepare(`SELECT * FROM ${table} ORDER BY rowid`).all();
+  return out;
+}
+
+/**
+ * Merge exported rows (see exportTables) into this database. IDs in the bundle
+ * are remapped; rows are matched on their natural keys instead:
+ *   raids       — same zone + start time (attendance / loot are merged into it;
+ *                 a match in the trash is reported and its rows skipped)
+ *   attendance  — same raid + player          loot     — same raid + player + item + time
+ *   aliases / key holders — same character    tod_mobs — same name    tod_kills — same mob + time
+ *   tod_mob_aliases — same alias
+ * When an existing row disagrees with the bundle, the existing row wins and a
+ * conflict is reported. Everything runs in one transaction; dryRun rolls it back.
+ * @returns {{ counts: object, conflicts: string[] }} counts: table → { added, skipped }
+ */
+function importTables(tables, { dryRun = false } = {}) {
+  const db        = getDb();
+  const counts    = Object.fromEntries(EXPORT_TABLES.map(t => [t, { added: 0, skipped: 0 }]));
+  const conflicts = [];
+  const raidIds   = new Map(); // bundle raid id → local raid id
+  const mobIds    = new Map();
+  const touched   = new Set(); // local raids to recalculate DKP for
+
+  const rollback = new Error('dry run');
+  try {
+    db.transaction(() => {
+      const findRaid = db.prepare('SELECT * FROM raids WHERE start_time = ? AND zone = ? COLLATE NOCASE');
+      const addRaid  = db.prepare(`
+        INSERT INTO raids (name, zone, start_time, end_time, character_name, submitted_by, submitted_at, tier, category, deleted_at, deleted_by)
+        VALUES (@name, @zone, @start_time, @end_time, @character_name, @submitted_by, @submitted_at, @tier, @category, @deleted_at, @deleted_by)
+      `);
+      for (const r of tables.raids ?? []) {
+        const existing = findRaid.get(r.start_time, r.zone);
+        if (existing?.deleted_at != null) {
+          // Merging into the trash would hide the rows until a restore — leave it to an officer
+          conflicts.push(`Raid "${r.name}" matches deleted raid #${existing.id} — restore it first; its attendance and loot were skipped`);
+          counts.raids.skipped++;
+          continue;
+        }
+        if (existing) {
+          if (existing.name !== r.name) conflicts.push(`Raid "${r.name}" matches existing #${existing.id} "${existing.name}" — merged into it`);
+          raidIds.set(r.id, existing.id);
+          counts.raids.skipped++;
+        } else {
+          const defaults = classifyZone(r.zone);
+          const { lastInsertRowid } = addRaid.run({
+            name:           r.name,
+            zone:           r.zone,
+            start_time:     r.start_time,
+            end_time:       r.end_time,
+            character_name: r.character_name ?? null,
+            submitted_by:   r.submitted_by   ?? null,
+            submitted_at:   r.submitted_at   ?? Date.now(),
+            tier:           r.tier           ?? defaults.tier,
+            category:       r.category       ?? defaults.category,
+            deleted_at:     r.deleted_at     ?? null,
+            deleted_by:     r.deleted_by     ?? null,
+          });
+          raidIds.set(r.id, lastInsertRowid);
+          counts.raids.added++;
+        }
+        touched.add(raidIds.get(r.id));
+      }
+
+      const addAttend = db.prepare(`
+        INSERT OR IGNORE INTO attendance (raid_id, player_name, level, class, race, guild, first_seen, last_seen, source)
+        VALUES (@raid_id, @player_name, @level, @class, @race, @guild, @first_seen, @last_seen, @source)
+      `);
+      for (const a of tables.attendance ?? []) {
+        const raidId = raidIds.get(a.raid_id);
+        if (raidId == null) { counts.attendance.skipped++; continue; }
+        const r = addAttend.run({
+          raid_id:     raidId,
+          player_name: a.player_name,
+          level:       a.level      ?? null,
+          class:       a.class      ?? null,
+          race:        a.race       ?? null,
+          guild:       a.guild      ?? null,
+          first_seen:  a.first_seen ?? null,
+          last_seen:   a.last_seen  ?? null,
+          source:      a.source     ?? 'who',
+        });
+        counts.attendance[r.changes ? 'added' : 'skipped']++;
+      }
+
+      const addLoot = db.prepare(`
+        INSERT INTO loot (raid_id, player_name, item_name, looted_at, zone, award_method, price, notes, awarded_by, awarded_at)
+        SELECT @raid_id, @player_name, @item_name, @looted_at, @zone, @award_method, @price, @notes, @awarded_by, @awarded_at
+        WHERE NOT EXISTS (
+          SELECT 1 FROM loot
+          WHERE raid_id = @raid_id AND player_name = @player_name COLLATE NOCASE
+            AND item_name = @item_name COLLATE NOCASE AND looted_at = @looted_at
+        )
+      `);
+      for (const l of tables.loot ?? []) {
+        if (!raidIds.has(l.raid_id)) { counts.loot.skipped++; continue; }
+        const row = {
+          raid_id:      raidIds.get(l.raid_id),
+          player_name:  l.player_name,
+          item_name:    l.item_name,
+          looted_at:    l.looted_at,
+          zone:         l.zone         ?? null,
+          award_method: l.award_method ?? null,
+          price:        l.price        ?? null,
+          notes:        l.notes        ?? null,
+          awarded_by:   l.awarded_by   ?? null,
+          awarded_at:   l.awarded_at   ?? null,
+        };
+        const r = addLoot.run(row);
+        if (!r.changes) { counts.loot.skipped++; continue; }
+        counts.loot.added++;
+        // The DKP charge for a priced award isn't in the bundle — recreate it
+        if (row.award_method === 'dkp' && row.price > 0) {
+          addDkpTransaction({
+            characterName: row.player_name,
+            raidId:        row.raid_id,
+            type:          'spend',
+            amount:        row.price,
+            reason:        `Loot: ${row.item_name}`,
+            createdBy:     row.awarded_by,
+            source:        'loot',
+            lootId:        r.lastInsertRowid,
+          });
+        }
+      }
+
+      const findAlias = db.prepare('SELECT * FROM player_aliases WHERE character_name = ? COLLATE NOCASE');
+      const addAlias  = db.prepare('INSERT INTO player_aliases (character_name, discord_id, discord_tag) VALUES (?, ?, ?)');
+      for (const p of tables.player_aliases ?? []) {
+        const existing = findAlias.get(p.character_name);
+        if (!existing) {
+          addAlias.run(p.character_name, p.discord_id, p.discord_tag);
+          counts.player_aliases.added++;
+          continue;
+        }
+        if (existing.discord_id !== p.discord_id) {
+          conflicts.push(`${p.character_name} is linked to ${existing.discord_tag} here but ${p.discord_tag} in the bundle — kept ${existing.discord_tag}`);
+        }
+        counts.player_aliases.skipped++;
+      }
+
+      const findKey = db.prepare('SELECT * FROM key_holders WHERE character_name = ? COLLATE NOCASE');
+      const addKey  = db.prepare('INSERT INTO key_holders (character_name, discord_tag, added_at) VALUES (?, ?, ?)');
+      for (const k of tables.key_holders ?? []) {
+        const existing = findKey.get(k.character_name);
+        if (!existing) {
+          addKey.run(k.character_name, k.discord_tag, k.added_at ?? Date.now());
+          counts.key_holders.added++;
+          continue;
+        }
+        if (existing.discord_tag !== k.discord_tag) {
+          conflicts.push(`Key holder ${k.character_name} is @${existing.discord_tag} here but @${k.discord_tag} in the bundle — kept @${existing.discord_tag}`);
+        }
+        counts.key_holders.skipped++;
+      }
+
+      const addMob = db.prepare(`
+        INSERT INTO tod_mobs (name, lockout_hours, variance_min_hours, variance_max_hours, zone, expansion, notes, added_by, added_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      for (const m of tables.tod_mobs ?? []) {
+        const existing = getTodMob(m.name);
+        if (!existing) {
+          const { lastInsertRowid } = addMob.run(
+            m.name, m.lockout_hours, m.variance_min_hours ?? 0, m.variance_max_hours ?? 0, m.zone ?? null,
+            m.expansion ?? null, m.notes ?? null, m.added_by ?? null, m.added_at ?? Date.now()
+          );
+          mobIds.set(m.id, lastInsertRowid);
+          counts.tod_mobs.added++;
+          continue;
+        }
+        if (existing.lockout_hours !== m.lockout_hours) {
+          conflicts.push(`${m.name} has a ${existing.lockout_hours}h lockout here but ${m.lockout_hours}h in the bundle — kept ${existing.lockout_hours}h`);
+        }
+        mobIds.set(m.id, existing.id);
+        counts.tod_mobs.skipped++;
+      }
+
+      const addMobAlias = db.prepare('INSERT INTO tod_mob_aliases (alias, mob_id) VALUES (?, ?)');
+      for (const a of tables.tod_mob_aliases ?? []) {
+        const mobId    = mobIds.get(a.mob_id);
+        const existing = getTodMob(a.alias);
+        if (!existing) {
+          addMobAlias.run(a.alias, mobId);
+          counts.tod_mob_aliases.added++;
+          continue;
+        }
+        if (existing.id !== mobId) {
+          const mob = db.prepare('SELECT name FROM tod_mobs WHERE id = ?').get(mobId);
+          conflicts.push(`"${a.alias}" already means ${existing.name} here, not ${mob.name} — kept ${existing.name}`);
+        }
+        counts.tod_mob_aliases.skipped++;
+      }
+
+      const addTodKill = db.prepare(`
+        INSERT INTO tod_kills (mob_id, killed_at, recorded_by, recorded_at)
+        SELECT @mob_id, @killed_at, @recorded_by, @recorded_at
+        WHERE NOT EXISTS (SELECT 1 FROM tod_kills WHERE mob_id = @mob_id AND killed_at = @killed_at)
+      `);
+      for (const k of tables.tod_kills ?? []) {
+        const r = addTodKill.run({
+          mob_id:      mobIds.get(k.mob_id),
+          killed_at:   k.killed_at,
+          recorded_by: k.recorded_by ?? null,
+          recorded_at: k.recorded_at ?? Date.now(),
+        });
+        counts.tod_kills[r.changes ? 'added' : 'skipped']++;
+      }
+
+      for (const raidId of touched) recalculateRaidDkp(raidId);
+      if (dryRun) throw rollback;
+
+      const summary = Object.fromEntries(Object.entries(counts).map(([t, c]) => [t, c.added]));
+      writeAudit('data.import', 'database', null, { after: { added: summary, conflicts: conflicts.length } });
+    })();
+  } catch (err) {
+    if (err !== rollback) throw err;
+  }
+
+  return { counts, conflicts };
+}
+
 module.exports = {
+  DB_PATH,
   getDb,
   saveRaid,
   mergeIntoRaid,
   updateRaid,
   deleteRaid,
+  restoreRaid,
+  purgeDeletedRaids,
+  RAID_TRASH_RETENTION_DAYS,
+  getDeletedRaids,
+  getDeletedRaidCount,
+  getRaidRowCounts,
   getRaids,
   getRaidCount,
   getRaid,
   getRaidAttendance,
   getRaidLoot,
+  getRaidRolls,
+  getRaidKills,
+  getKillPresence,
+  getRaidKillCredit,
+  getAttendanceStandings,
   getPlayerAttendance,
   getPlayerLoot,
   searchItemLoot,
+  getLoot,
+  setLootAward,
+  LOOT_AWARD_METHODS,
   // Alt / alias management
   linkCharacter,
   unlinkCharacter,
   getCharsForDiscordId,
   getDiscordInfoForChar,
+  getCharacterRowCounts,
   getAllAliases,
   resolveCharacterNames,
   enrichWithDiscordInfo,
   getRaidByDate,
+  getRaidByDateAndZone,
   // Key holders
   addKeyHolder,
   removeKeyHolder,
@@ -690,12 +2218,66 @@ module.exports = {
   // TOD tracker
   addTodMob,
   updateTodMob,
+  getTodRespawns,
+  subscribeTodMob,
+  unsubscribeTodMob,
+  getTodSubscriptions,
+  getPendingTodReminders,
+  markTodRemindersSent,
   removeTodMob,
   getTodMob,
+  getTodMobAliases,
   searchTodMobs,
+  getTodMobGroups,
   recordTodKill,
   getLatestTodKill,
   getTodKillHistory,
+  getTodKillCount,
   undoLastTodKill,
   getTodStatus,
+  // DKP ledger
+  addDkpTransaction,
+  getDkpBalance,
+  getDkpStandings,
+  getDkpStandingsCount,
+  getDkpHistory,
+  getDkpRules,
+  setDkpRule,
+  removeDkpRule,
+  recalculateRaidDkp,
+  // Loot auctions
+  createAuction,
+  setAuctionMessage,
+  getAuction,
+  getOpenAuctions,
+  getAuctionBids,
+  getLeadingBidTotal,
+  placeAuctionBid,
+  settleAuction,
+  cancelAuction,
+  // Bench / standby
+  getRaidBench,
+  addBenchPlayer,
+  removeBenchPlayer,
+  reconcileRaidBench,
+  getBenchCredit,
+  setBenchCredit,
+  // Settings
+  getSetting,
+  setSetting,
+  // Raid tiers
+  RAID_TIERS,
+  getRaidTiers,
+  setRaidTierWeight,
+  // Command permissions
+  getCommandPermissions,
+  grantCommandPermission,
+  revokeCommandPermission,
+  resetCommandPermission,
+  // Audit log
+  getAuditLog,
+  // Export / import
+  EXPORT_TABLES,
+  exportTables,
+  importTables,
 };
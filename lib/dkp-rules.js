@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * Automatic DKP award rules (pure functions — no database access).
+ *
+ * A rule describes how a raid's attendance turns into points:
+ *   per_hour              — points per hour between first_seen and last_seen
+ *   on_time_bonus         — flat bonus if first seen within on_time_grace_minutes of raid start
+ *   full_raid_bonus       — flat bonus if present for at least full_raid_percent of the raid
+ *
+ * Rules are keyed by zone (partial, case-insensitive — same matching as the
+ * parser's zone filters). The rule with zone "*" is the fallback for every
+ * other raid; with no matching rule and no fallback, nothing is awarded.
+ *
+ * Benched players earn a configurable share of a full-raid award under the
+ * same rule (calculateBenchAwards).
+ */
+
+const { normalizeZone } = require('./parser');
+
+const DEFAULT_RULE_ZONE = '*';
+
+/** True if a rule's zone key matches a single zone name (substring in either direction). */
+function ruleMatchesZone(ruleZone, zoneName) {
+  const r = normalizeZone(ruleZone);
+  const z = normalizeZone(zoneName);
+  return !!r && !!z && (z.includes(r) || r.includes(z));
+}
+
+/**
+ * Pick the rule that applies to a raid.
+ * raidZone is the raw raids.zone value, which may be a comma-separated list;
+ * the first listed zone with a specific rule wins, then the "*" fallback.
+ *
+ * @param {string}   raidZone
+ * @param {object[]} rules     - rows from dkp_rules
+ * @returns {object|null}
+ */
+function findRuleForZone(raidZone, rules) {
+  const zones = (raidZone || '').split(',').map(z => z.trim()).filter(Boolean);
+  for (const zone of zones) {
+    const rule = rules.find(r => r.zone !== DEFAULT_RULE_ZONE && ruleMatchesZone(r.zone, zone));
+    if (rule) return rule;
+  }
+  return rules.find(r => r.zone === DEFAULT_RULE_ZONE) ?? null;
+}
+
+/**
+ * Work out the attendance award for everyone in a raid.
+ *
+ * Characters belonging to the same Discord user are treated as one person —
+ * swapping to an alt mid-raid doesn't earn twice. Their presence is the
+ * earliest first_seen to the latest last_seen across those characters, and the
+ * points go to whichever character was present longest.
+ *
+ * @param {object}   raid        - raids row (start_time / end_time in ms)
+ * @param {object[]} attendance  - attendance rows enriched with discord_id
+ * @param {object}   rule        - dkp_rules row
+ * @returns {{ characterName: string, amount: number, reason: string }[]}
+ */
+function calculateRaidAwards(raid, attendance, rule) {
+  const raidSpan = Math.max(0, raid.end_time - raid.start_time);
+  const clamp    = ts => raidSpan > 0 ? Math.min(Math.max(ts, raid.start_time), raid.end_time) : ts;
+
+  const people = new Map();
+  for (const a of attendance) {
+    if (a.first_seen == null || a.last_seen == null) continue;
+    const key   = a.discord_id ?? a.player_name.toLowerCase();
+    const first = clamp(a.first_seen);
+    const last  = clamp(a.last_seen);
+    const span  = last - first;
+
+    const p = people.get(key);
+    if (!p) {
+      people.set(key, { first, last, characterName: a.player_name, bestSpan: span });
+      continue;
+    }
+    if (first < p.first) p.first = first;
+    if (last  > p.last)  p.last  = last;
+    if (span  > p.bestSpan) { p.bestSpan = span; p.characterName = a.player_name; }
+  }
+
+  const awards = [];
+  for (const p of people.values()) {
+    const hours    = (p.last - p.first) / 3600_000;
+    const onTime   = p.first <= raid.start_time + (rule.on_time_grace_minutes || 0) * 60_000;
+    const fullRaid = raidSpan > 0 && (p.last - p.first) >= raidSpan * (rule.full_raid_percent ?? 100) / 100;
+
+    let amount = hours * (rule.per_hour || 0);
+    const parts = [`${Math.round(hours * 100) / 100}h`];
+    if (onTime && rule.on_time_bonus) {
+      amount += rule.on_time_bonus;
+      parts.push('on-time');
+    }
+    if (fullRaid && rule.full_raid_bonus) {
+      amount += rule.full_raid_bonus;
+      parts.push('full raid');
+    }
+
+    amount = Math.round(amount * 100) / 100;
+    if (amount <= 0) continue;
+    awards.push({ characterName: p.characterName, amount, reason: `Attendance: ${parts.join(' + ')}` });
+  }
+
+  return awards;
+}
+
+/**
+ * Work out bench (standby) awards: `creditPercent` of what someone present for
+ * the whole raid would have earned — hours, on-time and full-raid bonus.
+ * Alts collapse to one award per Discord user, like calculateRaidAwards.
+ *
+ * @param {object}   raid          - raids row
+ * @param {object[]} bench         - raid_bench rows enriched with player_name / discord_id
+ * @param {object}   rule          - dkp_rules row
+ * @param {number}   creditPercent - 0–100
+ */
+function calculateBenchAwards(raid, bench, rule, creditPercent) {
+  if (!(creditPercent > 0)) return [];
+  const hours = Math.max(0, raid.end_time - raid.start_time) / 3600_000;
+  const full  = hours * (rule.per_hour || 0) + (rule.on_time_bonus || 0) + (hours > 0 ? rule.full_raid_bonus || 0 : 0);
+  const amount = Math.round(full * creditPercent) / 100;
+  if (amount <= 0) return [];
+
+  const seen   = new Set();
+  const awards = [];
+  for (const b of bench) {
+    const key = b.discord_id ?? b.player_name.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    awards.push({ characterName: b.player_name, amount, reason: `Bench: ${creditPercent}% of a full raid` });
+  }
+  return awards;
+}
+
+module.exports = { DEFAULT_RULE_ZONE, findRuleForZone, calculateRaidAwards, calculateBenchAwards };
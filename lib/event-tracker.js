@@ -7,6 +7,10 @@
  *   - guildScheduledEventUpdate  → creates/finalizes raid rows
  *   - voiceStateUpdate           → tracks who joins/leaves the raid voice channel
  *
+ * Voice presence is stored as attendance (source 'voice'). Once a log for the
+ * raid is parsed, anyone who was in voice but never in the zone /who is moved
+ * to the raid's bench (db.reconcileRaidBench).
+ *
  * In-memory state:
  *   activeRaid = { raidId, eventId, members: Map<discordId, { name, firstSeen, lastSeen }> }
  *             or null when no raid is in progress.
@@ -86,7 +90,9 @@ async function onScheduledEventUpdate(oldEvent, newEvent) {
     }
 
     db.updateRaidEndTime(activeRaid.raidId, now);
-    console.log(`[EventTracker] Event ended: Raid #${activeRaid.raidId} finalized (${activeRaid.members.size} attendees)`);
+    db.reconcileRaidBench(activeRaid.raidId);
+    const dkp = db.recalculateRaidDkp(activeRaid.raidId);
+    console.log(`[EventTracker] Event ended: Raid #${activeRaid.raidId} finalized (${activeRaid.members.size} attendees, ${dkp.awarded} DKP award(s))`);
     activeRaid = null;
   }
 }
@@ -0,0 +1,272 @@
+'use strict';
+
+/**
+ * Guild data export / import.
+ *
+ * A bundle is a versioned JSON document holding the raw rows of the guild's
+ * own data — raids, attendance, loot, linked characters, key holders and the
+ * TOD tracker:
+ *
+ *   { format: 'baconbot-export', version: 1, schemaVersion, exportedAt, tables: { raids: [...], ... } }
+ *
+ * The same data can be written as a zip of CSVs (one per table, timestamps as
+ * ISO strings) for spreadsheets; only JSON bundles can be imported back.
+ * Used by /admin export|import and guild-data.js.
+ *
+ * exportRaid writes one raid's full attendance and loot for /raids export.
+ */
+
+const {
+  getDb, EXPORT_TABLES, exportTables, importTables,
+  getRaid, getRaidAttendance, getRaidLoot, enrichWithDiscordInfo,
+} = require('./db');
+const { getSchemaVersion } = require('./migrations');
+const { toCsv }     = require('./csv');
+const { createZip } = require('./zip');
+
+const BUNDLE_FORMAT  = 'baconbot-export';
+const BUNDLE_VERSION = 1;
+
+// Fields an imported row can't do without (everything else falls back to a default)
+const REQUIRED_FIELDS = {
+  raids:           ['id', 'name', 'zone', 'start_time', 'end_time'],
+  attendance:      ['raid_id', 'player_name'],
+  loot:            ['raid_id', 'player_name', 'item_name', 'looted_at'],
+  player_aliases:  ['character_name', 'discord_id', 'discord_tag'],
+  key_holders:     ['character_name', 'discord_tag'],
+  tod_mobs:        ['id', 'name', 'lockout_hours'],
+  tod_mob_aliases: ['alias', 'mob_id'],
+  tod_kills:       ['mob_id', 'killed_at'],
+};
+
+// Epoch-ms columns, written as ISO strings in CSV exports
+const TIMESTAMP_COLUMNS = new Set([
+  'start_time', 'end_time', 'submitted_at', 'deleted_at', 'first_seen', 'last_seen',
+  'looted_at', 'awarded_at', 'added_at', 'killed_at', 'recorded_at',
+]);
+
+// ── Export ──────────────────────────────────────────────────────────────────
+
+function buildBundle() {
+  return {
+    format:        BUNDLE_FORMAT,
+    version:       BUNDLE_VERSION,
+    schemaVersion: getSchemaVersion(getDb()),
+    exportedAt:    new Date().toISOString(),
+    tables:        exportTables(),
+  };
+}
+
+/** One CSV per table, zipped. */
+function bundleToCsvZip(bundle) {
+  const files = EXPORT_TABLES.map(table => {
+    const rows    = bundle.tables[table];
+    const columns = rows.length ? Object.keys(rows[0]) : REQUIRED_FIELDS[table];
+    const out     = rows.map(row => Object.fromEntries(columns.map(c => [
+      c, TIMESTAMP_COLUMNS.has(c) && row[c] != null ? new Date(row[c]).toISOString() : row[c],
+    ])));
+    return { name: `${table}.csv`, data: toCsv(out, columns) };
+  });
+  return createZip(files, new Date(bundle.exportedAt));
+}
+
+/**
+ * Export everything as a file.
+ * @param {'json'|'csv'} [format='json']
+ * @returns {{ name: string, data: Buffer, counts: Record<string, number> }}
+ */
+function exportData(format = 'json') {
+  const bundle = buildBundle();
+  const stamp  = bundle.exportedAt.slice(0, 10);
+  const counts = Object.fromEntries(EXPORT_TABLES.map(t => [t, bundle.tables[t].length]));
+  if (format === 'csv') {
+    return { name: `baconbot-export-${stamp}.zip`, data: bundleToCsvZip(bundle), counts };
+  }
+  return { name: `baconbot-export-${stamp}.json`, data: Buffer.from(JSON.stringify(bundle, null, 2)), counts };
+}
+
+// ── Single raid ─────────────────────────────────────────────────────────────
+
+const RAID_ATTENDANCE_COLUMNS = ['player_name', 'class', 'level', 'race', 'guild', 'first_seen', 'last_seen', 'source', 'discord_tag'];
+const RAID_LOOT_COLUMNS       = ['looted_at', 'player_name', 'item_name', 'award_method', 'price', 'notes', 'awarded_by'];
+
+const isoTime = ts => (ts == null ? null : new Date(ts).toISOString());
+const utcTime = ts => (ts == null ? '' : new Date(ts).toISOString().slice(11, 16));
+
+/** Markdown tables can't hold pipes or newlines in a cell. */
+const mdCell = value => (value == null ? '' : String(value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' '));
+
+function raidMarkdown(raid, attendance, loot) {
+  const date  = new Date(raid.start_time).toISOString().slice(0, 10);
+  const lines = [
+    `# ${raid.name}`,
+    '',
+    `**Zone:** ${raid.zone}  `,
+    `**Date:** ${date}, ${utcTime(raid.start_time)}–${utcTime(raid.end_time)} UTC  `,
+    `**Raid ID:** ${raid.id}`,
+    '',
+    `## Attendance (${attendance.length})`,
+    '',
+    '| Player | Class | Level | Guild | First seen | Last seen |',
+    '|---|---|---|---|---|---|',
+    ...attendance.map(a => `| ${[a.player_name, a.class, a.level, a.guild, utcTime(a.first_seen), utcTime(a.last_seen)].map(mdCell).join(' | ')} |`),
+    '',
+    `## Loot (${loot.length})`,
+    '',
+  ];
+  if (loot.length === 0) {
+    lines.push('*No loot recorded.*');
+  } else {
+    lines.push('| Time | Player | Item | Award |', '|---|---|---|---|');
+    for (const l of loot) {
+      const award = l.award_method === 'dkp' ? `${l.price} DKP` : l.award_method ?? '';
+      lines.push(`| ${[utcTime(l.looted_at), l.player_name, l.item_name, award].map(mdCell).join(' | ')} |`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * One raid's full attendance and loot as a file.
+ * @param {number} raidId
+ * @param {'csv'|'markdown'|'json'} format - csv is a zip of an attendance and a loot CSV
+ * @returns {{ name: string, data: Buffer, attendance: number, loot: number } | null} null if there's no such raid
+ */
+function exportRaid(raidId, format) {
+  const raid = getRaid(raidId);
+  if (!raid) return null;
+
+  const attendance = enrichWithDiscordInfo(getRaidAttendance(raidId));
+  const loot       = getRaidLoot(raidId);
+  const base       = `raid-${raid.id}-${new Date(raid.start_time).toISOString().slice(0, 10)}`;
+  const counts     = { attendance: attendance.length, loot: loot.length };
+
+  if (format === 'markdown') {
+    return { name: `${base}.md`, data: Buffer.from(raidMarkdown(raid, attendance, loot)), ...counts };
+  }
+
+  const pick = (row, columns) => Object.fromEntries(columns.map(c => [
+    c, TIMESTAMP_COLUMNS.has(c) ? isoTime(row[c]) : row[c] ?? null,
+  ]));
+  const rows = {
+    attendance: attendance.map(a => pick(a, RAID_ATTENDANCE_COLUMNS)),
+    loot:       loot.map(l => pick(l, RAID_LOOT_COLUMNS)),
+  };
+
+  if (format === 'csv') {
+    const data = createZip([
+      { name: `${base}-attendance.csv`, data: toCsv(rows.attendance, RAID_ATTENDANCE_COLUMNS) },
+      { name: `${base}-loot.csv`,       data: toCsv(rows.loot, RAID_LOOT_COLUMNS) },
+    ]);
+    return { name: `${base}.zip`, data, ...counts };
+  }
+
+  const json = {
+    raid: {
+      id:         raid.id,
+      name:       raid.name,
+      zone:       raid.zone,
+      start_time: isoTime(raid.start_time),
+      end_time:   isoTime(raid.end_time),
+      tier:       raid.tier,
+      category:   raid.category,
+    },
+    ...rows,
+  };
+  return { name: `${base}.json`, data: Buffer.from(JSON.stringify(json, null, 2)), ...counts };
+}
+
+// ── Import ──────────────────────────────────────────────────────────────────
+
+/**
+ * Parse and check a bundle. Returns the list of problems (empty = importable);
+ * any problem rejects the whole bundle so nothing is half-imported.
+ * @param {string|Buffer|object} input
+ * @returns {{ bundle: object|null, errors: string[] }}
+ */
+function validateBundle(input) {
+  let bundle = input;
+  if (typeof input === 'string' || Buffer.isBuffer(input)) {
+    try {
+      bundle = JSON.parse(input.toString('utf8'));
+    } catch (err) {
+      return { bundle: null, errors: [`Not valid JSON: ${err.message}`] };
+    }
+  }
+
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+    return { bundle: null, errors: ['Not a BaconBot export bundle (missing format: "baconbot-export").'] };
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    return { bundle: null, errors: [`Unsupported bundle version ${bundle.version} (this bot reads v${BUNDLE_VERSION}).`] };
+  }
+
+  const errors = [];
+  const tables = bundle.tables ?? {};
+  for (const table of EXPORT_TABLES) {
+    const rows = tables[table] ?? [];
+    if (!Array.isArray(rows)) {
+      errors.push(`tables.${table} must be an array.`);
+      continue;
+    }
+    rows.forEach((row, i) => {
+      const missing = REQUIRED_FIELDS[table].filter(f => row?.[f] == null);
+      if (missing.length) errors.push(`tables.${table}[${i}] is missing ${missing.join(', ')}.`);
+    });
+  }
+  if (errors.length) return { bundle: null, errors };
+
+  // Children must point at a parent in the same bundle
+  const raidIds = new Set(tables.raids?.map(r => r.id));
+  const mobIds  = new Set(tables.tod_mobs?.map(m => m.id));
+  for (const table of ['attendance', 'loot']) {
+    (tables[table] ?? []).forEach((row, i) => {
+      if (!raidIds.has(row.raid_id)) errors.push(`tables.${table}[${i}] refers to raid ${row.raid_id}, which isn't in the bundle.`);
+    });
+  }
+  for (const table of ['tod_mob_aliases', 'tod_kills']) {
+    (tables[table] ?? []).forEach((row, i) => {
+      if (!mobIds.has(row.mob_id)) errors.push(`tables.${table}[${i}] refers to mob ${row.mob_id}, which isn't in the bundle.`);
+    });
+  }
+
+  return errors.length ? { bundle: null, errors } : { bundle, errors };
+}
+
+/**
+ * Validate and merge a bundle into the database (see db.importTables).
+ * @param {string|Buffer|object} input
+ * @param {{ dryRun?: boolean }} [opts]
+ * @returns {{ errors: string[], counts?: object, conflicts?: string[] }}
+ */
+function importData(input, { dryRun = false } = {}) {
+  const { bundle, errors } = validateBundle(input);
+  if (!bundle) return { errors };
+  const tables = Object.fromEntries(EXPORT_TABLES.map(t => [t, bundle.tables[t] ?? []]));
+  return { errors: [], ...importTables(tables, { dryRun }) };
+}
+
+/** Plain-text summary lines for an import result. */
+function formatImportReport({ counts, conflicts }, { maxConflicts = 15 } = {}) {
+  const lines = EXPORT_TABLES.map(t =>
+    `${t.padEnd(16)} ${String(counts[t].added).padStart(5)} added  ${String(counts[t].skipped).padStart(5)} already present`
+  );
+  if (conflicts.length) {
+    lines.push('', `${conflicts.length} conflict(s) — existing data was kept:`);
+    lines.push(...conflicts.slice(0, maxConflicts).map(c => `  • ${c}`));
+    if (conflicts.length > maxConflicts) lines.push(`  …and ${conflicts.length - maxConflicts} more`);
+  }
+  return lines;
+}
+
+module.exports = {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  buildBundle,
+  bundleToCsvZip,
+  exportData,
+  exportRaid,
+  validateBundle,
+  importData,
+  formatImportReport,
+};
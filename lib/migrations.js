@@ -0,0 +1,508 @@
+'use strict';
+
+/**
+ * Versioned schema migrations for the SQLite database.
+ *
+ * schema_version holds one row per applied step. On startup (getDb) every step
+ * newer than the database runs in order inside a single transaction, after a
+ * copy of the database is written to backups/ — if any step throws, nothing is
+ * applied and the bot refuses to start.
+ *
+ * Adding a change: append { version: <next>, name, up(db) } to MIGRATIONS and
+ * never edit a step that has shipped. `npm run migrate -- status` /
+ * `--dry-run` (migrate.js) show what a server's database would go through.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const { classifyZone } = require('./parser');
+
+const DEFAULT_TIER_WEIGHTS = { main: 1, farm: 0.5, training: 0.5, optional: 0 };
+
+// ── Steps ───────────────────────────────────────────────────────────────────
+
+/**
+ * v1 — everything up to the introduction of versioned migrations. Databases
+ * from before schema_version existed can be in any of the earlier shapes, so
+ * this step is idempotent: tables are created if missing and later columns are
+ * appended with ensureColumn.
+ */
+function baseline(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS raids (
+      id             INTEGER PRIMARY KEY AUTOINCREMENT,
+      name           TEXT    NOT NULL,
+      zone           TEXT    NOT NULL,
+      start_time     INTEGER NOT NULL,
+      end_time       INTEGER NOT NULL,
+      character_name TEXT,
+      submitted_by   TEXT,
+      submitted_at   INTEGER NOT NULL,
+      tier           TEXT    NOT NULL DEFAULT 'main',
+      category       TEXT,
+      deleted_at     INTEGER,
+      deleted_by     TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS attendance (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      raid_id     INTEGER NOT NULL REFERENCES raids(id) ON DELETE CASCADE,
+      player_name TEXT    NOT NULL,
+      level       INTEGER,
+      class       TEXT,
+      race        TEXT,
+      guild       TEXT,
+      first_seen  INTEGER,
+      last_seen   INTEGER,
+      source      TEXT    NOT NULL DEFAULT 'who',
+      UNIQUE(raid_id, player_name)
+    );
+
+    CREATE TABLE IF NOT EXISTS loot (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      raid_id     INTEGER NOT NULL REFERENCES raids(id) ON DELETE CASCADE,
+      player_name TEXT    NOT NULL,
+      item_name   TEXT    NOT NULL,
+      looted_at   INTEGER NOT NULL,
+      zone        TEXT,
+      -- How the item was settled. All NULL = "unpriced" (as parsed from a log).
+      award_method TEXT,
+      price        REAL,
+      notes        TEXT,
+      awarded_by   TEXT,
+      awarded_at   INTEGER
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_attendance_player ON attendance(player_name COLLATE NOCASE);
+    CREATE INDEX IF NOT EXISTS idx_loot_player       ON loot(player_name COLLATE NOCASE);
+    CREATE INDEX IF NOT EXISTS idx_loot_item         ON loot(item_name   COLLATE NOCASE);
+    CREATE INDEX IF NOT EXISTS idx_raids_start       ON raids(start_time DESC);
+
+    -- Alt tracking: maps any in-game character name to a Discord user.
+    -- discord_id  is the stable snowflake (never changes, used for all lookups).
+    -- discord_tag is the display name at link time (may drift, purely cosmetic).
+    CREATE TABLE IF NOT EXISTS player_aliases (
+      character_name TEXT PRIMARY KEY COLLATE NOCASE,
+      discord_id     TEXT NOT NULL,
+      discord_tag    TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_aliases_discord ON player_aliases(discord_id);
+
+    -- Sleeper's Tomb key holders
+    CREATE TABLE IF NOT EXISTS key_holders (
+      character_name TEXT    PRIMARY KEY COLLATE NOCASE,
+      discord_tag    TEXT    NOT NULL,
+      added_at       INTEGER NOT NULL
+    );
+
+    -- TOD tracker: mob registry
+    CREATE TABLE IF NOT EXISTS tod_mobs (
+      id            INTEGER PRIMARY KEY AUTOINCREMENT,
+      name          TEXT    NOT NULL UNIQUE COLLATE NOCASE,
+      lockout_hours REAL    NOT NULL,
+      added_by      TEXT,
+      added_at      INTEGER NOT NULL
+    );
+
+    -- TOD tracker: kill records
+    CREATE TABLE IF NOT EXISTS tod_kills (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      mob_id      INTEGER NOT NULL REFERENCES tod_mobs(id) ON DELETE CASCADE,
+      killed_at   INTEGER NOT NULL,
+      recorded_by TEXT,
+      recorded_at INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_tod_kills_mob ON tod_kills(mob_id, killed_at DESC);
+
+    -- DKP ledger. amount is signed (earn > 0, spend < 0) so a balance is a plain SUM.
+    -- Rows are keyed by character; balances roll up through player_aliases at query time,
+    -- so points earned on an alt before it was linked still count once it is.
+    CREATE TABLE IF NOT EXISTS dkp_transactions (
+      id             INTEGER PRIMARY KEY AUTOINCREMENT,
+      character_name TEXT    NOT NULL COLLATE NOCASE,
+      raid_id        INTEGER REFERENCES raids(id) ON DELETE CASCADE,
+      type           TEXT    NOT NULL CHECK (type IN ('earn', 'spend', 'adjust')),
+      amount         REAL    NOT NULL,
+      reason         TEXT,
+      created_by     TEXT,
+      created_at     INTEGER NOT NULL,
+      source         TEXT    NOT NULL DEFAULT 'manual',
+      loot_id        INTEGER REFERENCES loot(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_dkp_character ON dkp_transactions(character_name COLLATE NOCASE);
+    CREATE INDEX IF NOT EXISTS idx_dkp_raid      ON dkp_transactions(raid_id);
+
+    -- Automatic attendance awards. zone is a partial match ("*" = fallback for every raid).
+    CREATE TABLE IF NOT EXISTS dkp_rules (
+      zone                  TEXT    PRIMARY KEY COLLATE NOCASE,
+      per_hour              REAL    NOT NULL DEFAULT 0,
+      on_time_bonus         REAL    NOT NULL DEFAULT 0,
+      on_time_grace_minutes INTEGER NOT NULL DEFAULT 15,
+      full_raid_bonus       REAL    NOT NULL DEFAULT 0,
+      full_raid_percent     REAL    NOT NULL DEFAULT 90,
+      updated_by            TEXT,
+      updated_at            INTEGER NOT NULL
+    );
+
+    -- Live loot auctions (/loot bid). status: 'open' | 'closed' | 'cancelled'
+    CREATE TABLE IF NOT EXISTS auctions (
+      id               INTEGER PRIMARY KEY AUTOINCREMENT,
+      item_name        TEXT    NOT NULL,
+      raid_id          INTEGER REFERENCES raids(id) ON DELETE SET NULL,
+      channel_id       TEXT    NOT NULL,
+      message_id       TEXT,
+      min_bid          REAL    NOT NULL,
+      increment        REAL    NOT NULL,
+      closed_bid       INTEGER NOT NULL DEFAULT 0,
+      ends_at          INTEGER NOT NULL,
+      status           TEXT    NOT NULL DEFAULT 'open',
+      winner_character TEXT,
+      winning_bid      REAL,
+      loot_id          INTEGER REFERENCES loot(id) ON DELETE SET NULL,
+      created_by       TEXT,
+      created_at       INTEGER NOT NULL
+    );
+
+    -- One row per bidder; raising a bid replaces it. amount NULL = passed.
+    CREATE TABLE IF NOT EXISTS auction_bids (
+      auction_id     INTEGER NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+      discord_id     TEXT    NOT NULL,
+      character_name TEXT    NOT NULL,
+      amount         REAL,
+      bid_at         INTEGER NOT NULL,
+      PRIMARY KEY (auction_id, discord_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_auctions_status ON auctions(status);
+
+    -- /random rolls. Rolls close together with the same range form a roll-off;
+    -- each roll-off is linked (loot_id) to the loot event that follows it.
+    CREATE TABLE IF NOT EXISTS rolls (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      raid_id     INTEGER NOT NULL REFERENCES raids(id) ON DELETE CASCADE,
+      player_name TEXT    NOT NULL,
+      roll_min    INTEGER NOT NULL,
+      roll_max    INTEGER NOT NULL,
+      result      INTEGER NOT NULL,
+      rolled_at   INTEGER NOT NULL,
+      zone        TEXT,
+      roll_group  INTEGER,
+      loot_id     INTEGER REFERENCES loot(id) ON DELETE SET NULL,
+      UNIQUE(raid_id, player_name, rolled_at, roll_max, result)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_rolls_raid ON rolls(raid_id, rolled_at);
+
+    -- Named mob kills parsed from "has been slain by" lines. tod_kill_id points at
+    -- the TOD record the kill fed, when the mob is in the TOD registry.
+    CREATE TABLE IF NOT EXISTS kills (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      raid_id     INTEGER NOT NULL REFERENCES raids(id) ON DELETE CASCADE,
+      mob_name    TEXT    NOT NULL COLLATE NOCASE,
+      killed_at   INTEGER NOT NULL,
+      slain_by    TEXT,
+      zone        TEXT,
+      tod_kill_id INTEGER REFERENCES tod_kills(id) ON DELETE SET NULL,
+      UNIQUE(raid_id, mob_name, killed_at)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_kills_raid ON kills(raid_id, killed_at);
+
+    -- Standby players for a raid. source 'voice' rows come from the raid voice channel
+    -- (in voice, never in the zone /who) and are rebuilt by reconcileRaidBench;
+    -- 'manual' rows are added by officers and left alone.
+    CREATE TABLE IF NOT EXISTS raid_bench (
+      raid_id        INTEGER NOT NULL REFERENCES raids(id) ON DELETE CASCADE,
+      character_name TEXT    NOT NULL COLLATE NOCASE,
+      source         TEXT    NOT NULL CHECK (source IN ('voice', 'manual')),
+      first_seen     INTEGER,
+      last_seen      INTEGER,
+      note           TEXT,
+      added_by       TEXT,
+      added_at       INTEGER NOT NULL,
+      PRIMARY KEY (raid_id, character_name)
+    );
+
+    -- Bot-wide settings (key/value)
+    CREATE TABLE IF NOT EXISTS settings (
+      key        TEXT PRIMARY KEY,
+      value      TEXT NOT NULL,
+      updated_by TEXT,
+      updated_at INTEGER
+    );
+
+    -- How much a raid of each tier counts towards attendance percentages (0 = not at all)
+    CREATE TABLE IF NOT EXISTS raid_tiers (
+      tier       TEXT PRIMARY KEY,
+      weight     REAL NOT NULL,
+      updated_by TEXT,
+      updated_at INTEGER
+    );
+
+    -- Roles allowed to run a command / subcommand (see lib/permissions.js).
+    -- A key with no rows falls back to the built-in defaults.
+    CREATE TABLE IF NOT EXISTS command_permissions (
+      permission_key TEXT NOT NULL,
+      role_id        TEXT NOT NULL,
+      granted_by     TEXT,
+      granted_at     INTEGER NOT NULL,
+      PRIMARY KEY (permission_key, role_id)
+    );
+
+    -- One row per data-changing action; before/after are JSON snapshots of the target
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      at          INTEGER NOT NULL,
+      actor_id    TEXT,
+      actor_name  TEXT,
+      command     TEXT,
+      action      TEXT    NOT NULL,
+      target_type TEXT,
+      target_id   TEXT,
+      before_json TEXT,
+      after_json  TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_audit_target ON audit_log (target_type, target_id);
+
+    -- Every /who the parser read inside the raid's zones. Attendance only keeps
+    -- first/last seen; these say who was actually there at a given moment.
+    CREATE TABLE IF NOT EXISTS who_snapshots (
+      id       INTEGER PRIMARY KEY AUTOINCREMENT,
+      raid_id  INTEGER NOT NULL REFERENCES raids(id) ON DELETE CASCADE,
+      taken_at INTEGER NOT NULL,
+      zone     TEXT,
+      UNIQUE(raid_id, taken_at)
+    );
+
+    CREATE TABLE IF NOT EXISTS who_snapshot_players (
+      snapshot_id INTEGER NOT NULL REFERENCES who_snapshots(id) ON DELETE CASCADE,
+      player_name TEXT    NOT NULL COLLATE NOCASE,
+      PRIMARY KEY (snapshot_id, player_name)
+    );
+  `);
+
+  // Columns added after the original release — older databases need them appended.
+  // source: 'manual' for /dkp award|charge, 'attendance' for rule-based awards
+  // (those are deleted and rebuilt whenever the raid is recalculated), 'loot' for
+  // the charge attached to a DKP-priced loot row (loot_id).
+  ensureColumn(db, 'dkp_transactions', 'source', "TEXT NOT NULL DEFAULT 'manual'");
+  ensureColumn(db, 'dkp_transactions', 'loot_id', 'INTEGER REFERENCES loot(id) ON DELETE CASCADE');
+  ensureColumn(db, 'loot', 'award_method', 'TEXT');
+  ensureColumn(db, 'loot', 'price',        'REAL');
+  ensureColumn(db, 'loot', 'notes',        'TEXT');
+  ensureColumn(db, 'loot', 'awarded_by',   'TEXT');
+  ensureColumn(db, 'loot', 'awarded_at',   'INTEGER');
+  // source: 'who' for log-parsed rows, 'voice' for the raid voice channel (event-tracker)
+  ensureColumn(db, 'attendance', 'source', "TEXT NOT NULL DEFAULT 'who'");
+  ensureColumn(db, 'raids', 'category', 'TEXT');
+  // deleted_at / deleted_by: soft delete (see deleteRaid / purgeDeletedRaids)
+  ensureColumn(db, 'raids', 'deleted_at', 'INTEGER');
+  ensureColumn(db, 'raids', 'deleted_by', 'TEXT');
+  if (ensureColumn(db, 'raids', 'tier', "TEXT NOT NULL DEFAULT 'main'")) backfillRaidTiers(db);
+
+  const seedTier = db.prepare('INSERT OR IGNORE INTO raid_tiers (tier, weight) VALUES (?, ?)');
+  for (const [tier, weight] of Object.entries(DEFAULT_TIER_WEIGHTS)) seedTier.run(tier, weight);
+}
+
+/**
+ * Add a column to an existing table if an older database doesn't have it yet.
+ * Returns true when the column was added.
+ */
+function ensureColumn(db, table, column, definition) {
+  const exists = db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+  if (!exists) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return !exists;
+}
+
+/**
+ * One-off when raids.tier is first added: default every existing raid's tier and
+ * category from its zone, carry over the old boolean `optional` flag, then drop it.
+ */
+function backfillRaidTiers(db) {
+  const hasOptional = db.prepare('PRAGMA table_info(raids)').all().some(c => c.name === 'optional');
+  const update = db.prepare('UPDATE raids SET tier = ?, category = COALESCE(category, ?) WHERE id = ?');
+  db.transaction(() => {
+    for (const r of db.prepare(`SELECT id, zone${hasOptional ? ', optional' : ''} FROM raids`).all()) {
+      const { tier, category } = classifyZone(r.zone);
+      update.run(r.optional ? 'optional' : tier, category, r.id);
+    }
+  })();
+  if (hasOptional) db.exec('ALTER TABLE raids DROP COLUMN optional');
+}
+
+/** v2 — role to mention in a mob's respawn alerts (lib/tod-alerts.js). */
+function todAlertRoles(db) {
+  db.exec('ALTER TABLE tod_mobs ADD COLUMN alert_role_id TEXT');
+}
+
+/**
+ * v3 — respawn variance (lib/tod-window.js). A mob can spawn from
+ * lockout − variance_min to lockout + variance_max hours after its kill.
+ */
+function todSpawnVariance(db) {
+  db.exec(`
+    ALTER TABLE tod_mobs ADD COLUMN variance_min_hours REAL NOT NULL DEFAULT 0;
+    ALTER TABLE tod_mobs ADD COLUMN variance_max_hours REAL NOT NULL DEFAULT 0;
+  `);
+}
+
+/**
+ * v4 — per-user TOD reminders (/tod subscribe). notified_kill_id is the kill the
+ * last DM was sent for, so each kill reminds a subscriber once.
+ */
+function todSubscriptions(db) {
+  db.exec(`
+    CREATE TABLE tod_subscriptions (
+      discord_id       TEXT    NOT NULL,
+      mob_id           INTEGER NOT NULL REFERENCES tod_mobs(id) ON DELETE CASCADE,
+      lead_minutes     INTEGER NOT NULL,
+      notified_kill_id INTEGER,
+      created_at       INTEGER NOT NULL,
+      PRIMARY KEY (discord_id, mob_id)
+    );
+    CREATE INDEX idx_tod_subscriptions_mob ON tod_subscriptions(mob_id);
+  `);
+}
+
+/** v5 — zone a TOD mob lives in, for grouping the /tod board. */
+function todMobZones(db) {
+  db.exec('ALTER TABLE tod_mobs ADD COLUMN zone TEXT');
+}
+
+/**
+ * v6 — TOD mob metadata: expansion, freeform notes (spawn conditions etc.) and
+ * alternate names that /tod autocomplete and lookups also match.
+ */
+function todMobMetadata(db) {
+  db.exec(`
+    ALTER TABLE tod_mobs ADD COLUMN expansion TEXT;
+    ALTER TABLE tod_mobs ADD COLUMN notes     TEXT;
+
+    CREATE TABLE tod_mob_aliases (
+      alias  TEXT    PRIMARY KEY COLLATE NOCASE,
+      mob_id INTEGER NOT NULL REFERENCES tod_mobs(id) ON DELETE CASCADE
+    );
+    CREATE INDEX idx_tod_mob_aliases_mob ON tod_mob_aliases(mob_id);
+  `);
+}
+
+const MIGRATIONS = [
+  { version: 1, name: 'baseline',           up: baseline },
+  { version: 2, name: 'tod-alert-roles',    up: todAlertRoles },
+  { version: 3, name: 'tod-spawn-variance', up: todSpawnVariance },
+  { version: 4, name: 'tod-subscriptions',  up: todSubscriptions },
+  { version: 5, name: 'tod-mob-zones',      up: todMobZones },
+  { version: 6, name: 'tod-mob-metadata',   up: todMobMetadata },
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// ── Runner ──────────────────────────────────────────────────────────────────
+
+function ensureVersionTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version    INTEGER PRIMARY KEY,
+      name       TEXT    NOT NULL,
+      applied_at INTEGER NOT NULL
+    );
+  `);
+}
+
+function hasVersionTable(db) {
+  return !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'").get();
+}
+
+/** Highest applied migration version (0 for a new or pre-versioning database). */
+function getSchemaVersion(db) {
+  if (!hasVersionTable(db)) return 0;
+  return db.prepare('SELECT MAX(version) AS v FROM schema_version').get().v ?? 0;
+}
+
+/** Applied steps, oldest first. */
+function getAppliedMigrations(db) {
+  if (!hasVersionTable(db)) return [];
+  return db.prepare('SELECT * FROM schema_version ORDER BY version').all();
+}
+
+/** Steps newer than the database, in the order they would run. */
+function getPendingMigrations(db) {
+  const current = getSchemaVersion(db);
+  if (current > LATEST_VERSION) {
+    throw new Error(
+      `Database schema is v${current} but this version of the bot only knows up to v${LATEST_VERSION} — update the bot.`
+    );
+  }
+  return MIGRATIONS.filter(m => m.version > current);
+}
+
+/**
+ * Copy the database to backups/<name>-pre-v<version>-<timestamp>.db.
+ * Skipped for a brand-new database (nothing to lose). Returns the backup path or null.
+ */
+function backupBeforeMigrating(db, dbPath, toVersion) {
+  const hasData = db.prepare(
+    "SELECT COUNT(*) AS n FROM sqlite_master WHERE type = 'table' AND name NOT IN ('schema_version', 'sqlite_sequence')"
+  ).get().n > 0;
+  if (!hasData || !dbPath) return null;
+
+  const dir   = path.join(path.dirname(dbPath), 'backups');
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  const file  = path.join(dir, `${path.basename(dbPath, '.db')}-pre-v${toVersion}-${stamp}.db`);
+  fs.mkdirSync(dir, { recursive: true });
+  db.prepare('VACUUM INTO ?').run(file);
+  return file;
+}
+
+/**
+ * Bring the database up to LATEST_VERSION.
+ * @param {object} db - better-sqlite3 connection
+ * @param {object} [opts]
+ * @param {string}  [opts.dbPath]        - database file, for the pre-migration backup
+ * @param {boolean} [opts.dryRun=false]  - run the steps, then roll everything back
+ * @param {function} [opts.log]
+ * @returns {{ from: number, to: number, applied: object[], backup: string|null }}
+ */
+function migrate(db, { dbPath, dryRun = false, log = msg => console.log(`[Migrate] ${msg}`) } = {}) {
+  const from    = getSchemaVersion(db);
+  const pending = getPendingMigrations(db);
+  if (pending.length === 0) return { from, to: from, applied: [], backup: null };
+
+  const to     = pending[pending.length - 1].version;
+  const backup = dryRun ? null : backupBeforeMigrating(db, dbPath, to);
+  if (backup) log(`Backed up database to ${backup}`);
+
+  const rollback = new Error('dry run');
+  try {
+    db.transaction(() => {
+      ensureVersionTable(db);
+      const record = db.prepare('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)');
+      for (const m of pending) {
+        log(`${dryRun ? 'Dry run: ' : ''}v${m.version} ${m.name}`);
+        m.up(db);
+        record.run(m.version, m.name, Date.now());
+      }
+      if (dryRun) throw rollback;
+    })();
+  } catch (err) {
+    if (err !== rollback) {
+      throw new Error(`Migration to v${to} failed, nothing was changed: ${err.message}`, { cause: err });
+    }
+  }
+
+  if (!dryRun) log(`Database schema v${from} → v${to}`);
+  return { from, to: dryRun ? from : to, applied: pending, backup };
+}
+
+module.exports = {
+  MIGRATIONS,
+  LATEST_VERSION,
+  DEFAULT_TIER_WEIGHTS,
+  migrate,
+  getSchemaVersion,
+  getAppliedMigrations,
+  getPendingMigrations,
+};
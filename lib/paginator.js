@@ -0,0 +1,140 @@
+'use strict';
+
+/**
+ * Prev / Next buttons for long embeds.
+ *
+ * Replies with the first page (or the page asked for) and a button row with a
+ * "Page x / y" indicator. Only the user who ran the command can turn pages —
+ * anyone else is told to run it themselves — and each message keeps its own
+ * page, so two officers paging the same view don't disturb each other.
+ *
+ * Like lib/confirm.js the buttons are collected on the reply itself; their
+ * custom IDs ("page:…") don't name a command, so index.js leaves them alone.
+ * After PAGE_IDLE_MS without a click (or a restart) the buttons are removed
+ * and the page that was showing stays.
+ */
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+
+const PAGE_IDLE_MS = 5 * 60 * 1000;
+// Interaction tokens expire after 15 minutes; stop before that so the buttons can still be removed
+const PAGE_MAX_MS  = 14 * 60 * 1000;
+
+// Embed descriptions hold 4096 characters; leave room for a heading line
+const PAGE_MAX_CHARS = 3800;
+
+function buttonRow(page, pageCount) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId('page:prev').setLabel('◀ Prev').setStyle(ButtonStyle.Secondary).setDisabled(page === 0),
+    new ButtonBuilder().setCustomId('page:indicator').setLabel(`Page ${page + 1} / ${pageCount}`)
+      .setStyle(ButtonStyle.Secondary).setDisabled(true),
+    new ButtonBuilder().setCustomId('page:next').setLabel('Next ▶').setStyle(ButtonStyle.Secondary).setDisabled(page >= pageCount - 1),
+  );
+}
+
+/** A render result may be an embed or a full message payload. */
+function toPayload(rendered) {
+  return rendered?.toJSON ? { embeds: [rendered] } : rendered;
+}
+
+/**
+ * Reply with page `page` of a paged view and let the invoking user flip through it.
+ * @param {object} interaction - a chat-input interaction (may already be deferred)
+ * @param {object} opts
+ * @param {number}   opts.pageCount
+ * @param {(page: number) => object|Promise<object>} opts.render - 0-based page → EmbedBuilder or message payload
+ * @param {number}   [opts.page=0]        - page to open on (clamped)
+ * @param {boolean}  [opts.ephemeral=false]
+ */
+async function paginate(interaction, { pageCount, render, page = 0, ephemeral = false }) {
+  page = Math.min(Math.max(page, 0), Math.max(pageCount - 1, 0));
+  const first = toPayload(await render(page));
+
+  if (pageCount <= 1) {
+    if (interaction.deferred) return interaction.editReply(first);
+    return interaction.reply({ ...first, ...(ephemeral ? { flags: 64 } : {}) });
+  }
+
+  const payload = { ...first, components: [buttonRow(page, pageCount)] };
+  const message = interaction.deferred
+    ? await interaction.editReply(payload)
+    : (await interaction.reply({ ...payload, ...(ephemeral ? { flags: 64 } : {}), withResponse: true })).resource.message;
+
+  const collector = message.createMessageComponentCollector({
+    filter: i => i.customId.startsWith('page:'),
+    idle:   PAGE_IDLE_MS,
+    time:   PAGE_MAX_MS,
+  });
+
+  collector.on('collect', async click => {
+    if (click.user.id !== interaction.user.id) {
+      await click.reply({ content: `Only <@${interaction.user.id}> can turn these pages — run the command yourself to browse.`, flags: 64 })
+        .catch(() => {});
+      return;
+    }
+    page = click.customId === 'page:next' ? Math.min(page + 1, pageCount - 1) : Math.max(page - 1, 0);
+    try {
+      const next = toPayload(await render(page));
+      await click.update({ ...next, components: [buttonRow(page, pageCount)] });
+    } catch (err) {
+      console.error('[Paginator] Could not render page:', err);
+      await click.reply({ content: '❌ Could not load that page.', flags: 64 }).catch(() => {});
+    }
+  });
+
+  collector.on('end', () => {
+    interaction.editReply({ components: [] }).catch(() => {});
+  });
+}
+
+/**
+ * Split lines into pages that each fit in an embed description. Lines are kept
+ * whole where possible; one longer than a page is broken across pages rather
+ * than cut short.
+ * @param {string[]} lines
+ * @param {object} [opts]
+ * @param {number} [opts.maxChars=PAGE_MAX_CHARS]
+ * @param {number} [opts.maxLines=Infinity]
+ * @param {string} [opts.separator='\n']
+ * @returns {string[]} one description per page (at least one)
+ */
+function chunkLines(lines, { maxChars = PAGE_MAX_CHARS, maxLines = Infinity, separator = '\n' } = {}) {
+  const pages = [];
+  let current = [];
+  let length  = 0;
+  const pieces = lines.flatMap(line => {
+    if (line.length <= maxChars) return [line];
+    const parts = [];
+    for (let i = 0; i < line.length; i += maxChars) parts.push(line.slice(i, i + maxChars));
+    return parts;
+  });
+
+  for (const line of pieces) {
+    const added = (current.length ? separator.length : 0) + line.length;
+    if (current.length && (length + added > maxChars || current.length >= maxLines)) {
+      pages.push(current.join(separator));
+      current = [];
+      length  = 0;
+    }
+    length += (current.length ? separator.length : 0) + line.length;
+    current.push(line);
+  }
+  pages.push(current.join(separator));
+  return pages;
+}
+
+/**
+ * paginate() for a list of lines: splits them with chunkLines and renders each
+ * chunk through `embed(description, page, pageCount)`.
+ */
+function paginateLines(interaction, { lines, embed, maxChars, maxLines, separator, page = 0, ephemeral = false }) {
+  const pages = chunkLines(lines, { maxChars, maxLines, separator });
+  return paginate(interaction, {
+    pageCount: pages.length,
+    render:    p => embed(pages[p], p, pages.length),
+    page,
+    ephemeral,
+  });
+}
+
+module.exports = { paginate, paginateLines, chunkLines, PAGE_IDLE_MS, PAGE_MAX_CHARS };
@@ -10,6 +10,10 @@
  *   [Thu Jan 22 20:54:27 2026] There are 12 players in Fungus Grove.
  *   [Thu Jan 22 16:22:38 2026] --You have looted a Shiknar Ichor.--
  *   [Fri Jan 23 06:21:34 2026] --Risingdarkness has looted a Phase Spider Blood.--
+ *   [Fri Jan 23 06:22:10 2026] **A Magic Die is rolled by Lyri.
+ *   [Fri Jan 23 06:22:10 2026] **It could have been any number from 0 to 100, but this time it turned up a 87.
+ *   [Fri Jan 23 06:25:02 2026] Lord Nagafen has been slain by Lyri!
+ *   [Fri Jan 23 06:25:02 2026] You have slain Lord Nagafen!
  */
 
 'use strict';
@@ -36,6 +40,17 @@ const WHO_PLAYER_RE = /^\[(\d+ [^\]]+|ANONYMOUS)\] ([\w`'-]+)(?:\s+\(([^)]+)\))?
 const SELF_LOOT_RE  = /^--You have looted a (.+?)\.--$/;
 const OTHER_LOOT_RE = /^--([\w`'-]+) has looted a (.+?)\.--$/;
 
+// /random output — always two consecutive lines: who rolled, then the result
+const ROLL_BY_RE     = /^\*\*A Magic Die is rolled by ([\w`'-]+)\.$/;
+const ROLL_RESULT_RE = /^\*\*It could have been any number from (\d+) to (\d+), but this time it turned up a (\d+)\.$/;
+
+// Deaths: "Lord Nagafen has been slain by Lyri!" / "You have slain Lord Nagafen!"
+const SLAIN_BY_RE  = /^(.+?) has been slain by (.+?)!$/;
+const YOU_SLAIN_RE = /^You have slain (.+?)!$/;
+
+// Pets and warders are named after their owner: "Lyri`s warder", "Lyri's pet"
+const PET_NAME_RE  = /^(\S+?)[`']s /;
+
 // --- Month lookup for manual timestamp parsing ---
 const MONTHS = {
   Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5,
@@ -72,8 +87,52 @@ function zoneMatchesFilters(zoneName, filters) {
   return filters.some(f => norm.includes(f) || f.includes(norm));
 }
 
+/** Build a roll record from a "turned up a N" match. */
+function makeRoll(playerName, [, min, max, result], timestamp, zone) {
+  return {
+    playerName,
+    min:    parseInt(min, 10),
+    max:    parseInt(max, 10),
+    result: parseInt(result, 10),
+    timestamp,
+    zone,
+  };
+}
+
+/**
+ * Named mobs are capitalised ("Lord Nagafen"); trash is "a gnoll" / "an imp",
+ * and "Lyri`s warder" is a pet. This can't tell a named mob from a player or a
+ * named pet on its own — see keepBossKills.
+ */
+function isNamedMob(name) {
+  return /^[A-Z]/.test(name) && !PET_NAME_RE.test(name);
+}
+
 /**
- * Parse an EQ log file and return attendance + loot data.
+ * Keep only kills the raid made: the slayer must be a player (anyone seen in a
+ * /who), the log owner, or one of their pets — a boss killing pets and
+ * players isn't a kill. Victims who are players are dropped too, then repeats
+ * of the same mob within a minute are collapsed.
+ */
+function keepBossKills(kills, playerNames) {
+  const out = [];
+  for (const k of kills) {
+    if (playerNames.has(k.mobName.toLowerCase())) continue;
+    const slayer = k.slainBy?.match(PET_NAME_RE)?.[1] ?? k.slainBy;
+    if (slayer && !playerNames.has(slayer.toLowerCase())) continue;
+    const dupe = out.some(o =>
+      o.mobName.toLowerCase() === k.mobName.toLowerCase() &&
+      Math.abs(o.timestamp - k.timestamp) <= 60_000
+    );
+    if (!dupe) out.push(k);
+  }
+  return out;
+}
+
+/**
+ * Parse an EQ log file and return attendance, loot, /random roll and boss kill
+ * data, plus every /who snapshot (so presence at a given moment — e.g. a boss
+ * kill — can be worked out later, not just first/last seen).
  *
  * @param {object}   opts
  * @param {string}   opts.filePath       - Absolute path to the .txt log file
@@ -83,7 +142,7 @@ function zoneMatchesFilters(zoneName, filters) {
  * @param {string}   opts.characterName  - The log owner's in-game name (for self-loot attribution)
  * @param {function} [opts.onProgress]   - Optional callback(linesProcessed) for progress reporting
  *
- * @returns {Promise<{ attendance: object[], loot: object[], lineCount: number }>}
+ * @returns {Promise<{ attendance: object[], loot: object[], rolls: object[], kills: object[], snapshots: object[], lineCount: number }>}
  */
 async function parseLog({ filePath, startTime, endTime, zones, characterName, onProgress }) {
   const zoneFilters = zones.map(normalizeZone);
@@ -91,12 +150,17 @@ async function parseLog({ filePath, startTime, endTime, zones, characterName, on
   // Keyed by lowercased player name so duplicates across /who snapshots merge cleanly
   const attendanceMap = new Map();
   const lootEvents = [];
+  const rolls      = [];
+  const kills      = [];
+  const snapshots  = []; // { timestamp, zone, players: string[] }
+  const seenNames  = new Set(characterName ? [characterName.toLowerCase()] : []);
 
   // --- Parser state ---
   let currentZone  = null; // zone we're currently in (from "You have entered X.")
   let inWhoBlock   = false;
   let whoBlockTime = null;
   let whoPlayers   = [];
+  let roller       = null; // name from "A Magic Die is rolled by X." awaiting its result line
   let lineCount    = 0;
 
   const fileStream = fs.createReadStream(filePath, { encoding: 'utf8' });
@@ -150,6 +214,7 @@ async function parseLog({ filePath, startTime, endTime, zones, characterName, on
 
         // Only record attendance if this snapshot is in a matching zone
         if (zoneMatchesFilters(whoZone, zoneFilters)) {
+          snapshots.push({ timestamp: whoBlockTime, zone: whoZone, players: whoPlayers.map(p => p.name) });
           for (const p of whoPlayers) {
             const key = p.name.toLowerCase();
             const existing = attendanceMap.get(key);
@@ -186,11 +251,12 @@ async function parseLog({ filePath, startTime, endTime, zones, characterName, on
           race:  race  || null,
           guild: guild || null,
         });
+        seenNames.add(name.toLowerCase());
       }
       continue;
     }
 
-    // ── Loot events — only when current zone matches ──────────────
+    // ── Loot / rolls / kills — only when current zone matches ─────
     if (!zoneMatchesFilters(currentZone, zoneFilters)) continue;
 
     // Self loot: --You have looted a ItemName.--
@@ -214,12 +280,43 @@ async function parseLog({ filePath, startTime, endTime, zones, characterName, on
         timestamp:  ts,
         zone:       currentZone,
       });
+      continue;
+    }
+
+    // /random: remember the roller, then pair them with the result line
+    const rollBy = content.match(ROLL_BY_RE);
+    if (rollBy) {
+      roller = rollBy[1];
+      continue;
+    }
+
+    const rollResult = content.match(ROLL_RESULT_RE);
+    if (rollResult && roller) {
+      rolls.push(makeRoll(roller, rollResult, ts, currentZone));
+      roller = null;
+      continue;
+    }
+
+    // Boss kills — "You have slain X!" is credited to the log owner
+    const slainBy = content.match(SLAIN_BY_RE);
+    const youSlew = !slainBy && content.match(YOU_SLAIN_RE);
+    const victim  = slainBy ? slainBy[1] : youSlew?.[1];
+    if (victim && isNamedMob(victim)) {
+      kills.push({
+        mobName:   victim,
+        slainBy:   slainBy ? slainBy[2] : (characterName || null),
+        timestamp: ts,
+        zone:      currentZone,
+      });
     }
   }
 
   return {
     attendance: Array.from(attendanceMap.values()),
     loot: lootEvents,
+    rolls,
+    kills: keepBossKills(kills, seenNames),
+    snapshots,
     lineCount,
   };
 }
@@ -243,10 +340,40 @@ const APPROVED_ZONES = [
 ];
 const APPROVED_ZONE_FILTERS = APPROVED_ZONES.map(normalizeZone);
 
+// Expansion each approved zone belongs to — used as a raid's default category
+const ZONE_EXPANSIONS = {
+  'Plane of Fear': 'Classic', 'Plane of Hate': 'Classic', 'Kedge Keep': 'Classic',
+  "Nagafen's Lair": 'Classic', 'Permafrost': 'Classic',
+  'Sebilis': 'Kunark', "Veeshan's Peak": 'Kunark', 'Timorous Deep': 'Kunark',
+  'Dreadlands': 'Kunark', 'Chardok': 'Kunark',
+  'Dragon Necropolis': 'Velious', 'Kael Drakkel': 'Velious', 'Temple of Veeshan': 'Velious',
+  'Thurgadin': 'Velious',
+  'Katta Castellum': 'Luclin', 'Akheva Ruins': 'Luclin', "Greig's End": 'Luclin',
+  'Acrylia Caverns': 'Luclin', 'Ssraeshza Temple': 'Luclin', 'Umbral Plains': 'Luclin',
+  'Vex Thal': 'Luclin', 'The Deep': 'Luclin',
+};
+
 function isApprovedZone(zoneName) {
   return !!zoneName && zoneMatchesFilters(zoneName, APPROVED_ZONE_FILTERS);
 }
 
+/**
+ * Default tier and category for a raid from its zone (comma-separated list allowed).
+ * Any approved zone makes it a "main" raid, categorised by that zone's expansion;
+ * anything else is "optional" with no category.
+ *
+ * @param {string} zone
+ * @returns {{ tier: 'main'|'optional', category: string|null }}
+ */
+function classifyZone(zone) {
+  const zones = (zone || '').split(',').map(z => z.trim()).filter(Boolean);
+  for (const z of zones) {
+    const approved = APPROVED_ZONES.find(a => zoneMatchesFilters(z, [normalizeZone(a)]));
+    if (approved) return { tier: 'main', category: ZONE_EXPANSIONS[approved] ?? null };
+  }
+  return { tier: 'optional', category: null };
+}
+
 /**
  * Convert a log's local timestamp to a UTC Date using the IANA timezone string.
  *
@@ -313,7 +440,9 @@ async function autoParseLog({ filePath, timezone, characterName, onProgress }) {
   let inWhoBlock    = false;
   let whoBlockUTC   = null;
   let whoPlayers    = [];
+  let roller        = null;
   let lineCount     = 0;
+  const seenNames   = new Set(characterName ? [characterName.toLowerCase()] : []);
 
   function getSession(utcDate) {
     const key = utcDate.toISOString().slice(0, 10);
@@ -323,6 +452,9 @@ async function autoParseLog({ filePath, timezone, characterName, onProgress }) {
         dayName:       DAY_NAMES[utcDate.getUTCDay()],
         attendanceMap: new Map(),
         loot:          [],
+        rolls:         [],
+        kills:         [],
+        snapshots:     [],
         zones:         new Set(),
         firstSeen:     utcDate,
         lastSeen:      utcDate,
@@ -376,6 +508,7 @@ async function autoParseLog({ filePath, timezone, characterName, onProgress }) {
         if (isApprovedZone(whoZone) && isInRaidWindow(whoBlockUTC)) {
           const session = getSession(whoBlockUTC);
           session.zones.add(whoZone);
+          session.snapshots.push({ timestamp: whoBlockUTC, zone: whoZone, players: whoPlayers.map(p => p.name) });
 
           for (const p of whoPlayers) {
             const key      = p.name.toLowerCase();
@@ -401,11 +534,12 @@ async function autoParseLog({ filePath, timezone, characterName, onProgress }) {
           cls   = parts.slice(1).join(' ') || null;
         }
         whoPlayers.push({ name, level, class: cls, race: race || null, guild: guild || null });
+        seenNames.add(name.toLowerCase());
       }
       continue;
     }
 
-    // Loot — only during raid window in an approved zone
+    // Loot, rolls and kills — only during raid window in an approved zone
     if (!isInRaidWindow(utcTs) || !isApprovedZone(currentZone)) continue;
 
     const session = getSession(utcTs);
@@ -420,6 +554,32 @@ async function autoParseLog({ filePath, timezone, characterName, onProgress }) {
     const otherLoot = content.match(OTHER_LOOT_RE);
     if (otherLoot) {
       session.loot.push({ playerName: otherLoot[1], itemName: otherLoot[2], timestamp: utcTs, zone: currentZone });
+      continue;
+    }
+
+    const rollBy = content.match(ROLL_BY_RE);
+    if (rollBy) {
+      roller = rollBy[1];
+      continue;
+    }
+
+    const rollResult = content.match(ROLL_RESULT_RE);
+    if (rollResult && roller) {
+      session.rolls.push(makeRoll(roller, rollResult, utcTs, currentZone));
+      roller = null;
+      continue;
+    }
+
+    const slainBy = content.match(SLAIN_BY_RE);
+    const youSlew = !slainBy && content.match(YOU_SLAIN_RE);
+    const victim  = slainBy ? slainBy[1] : youSlew?.[1];
+    if (victim && isNamedMob(victim)) {
+      session.kills.push({
+        mobName:   victim,
+        slainBy:   slainBy ? slainBy[2] : (characterName || null),
+        timestamp: utcTs,
+        zone:      currentZone,
+      });
     }
   }
 
@@ -432,6 +592,9 @@ async function autoParseLog({ filePath, timezone, characterName, onProgress }) {
       zones:      [...s.zones],
       attendance: [...s.attendanceMap.values()],
       loot:       s.loot,
+      rolls:      s.rolls,
+      kills:      keepBossKills(s.kills, seenNames),
+      snapshots:  s.snapshots,
       firstSeen:  s.firstSeen,
       lastSeen:   s.lastSeen,
     }))
@@ -440,4 +603,7 @@ async function autoParseLog({ filePath, timezone, characterName, onProgress }) {
   return { sessions, lineCount };
 }
 
-module.exports = { parseLog, parseEQDate, parseEQDateUTC, normalizeZone, autoParseLog, APPROVED_ZONES };
+module.exports = {
+  parseLog, parseEQDate, parseEQDateUTC, normalizeZone, autoParseLog, classifyZone,
+  APPROVED_ZONES, ZONE_EXPANSIONS,
+};
@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * Role-based permissions for slash commands.
+ *
+ * Every invocation has a permission key: the command plus its subcommand
+ * group/subcommand, e.g. "raids delete" or "attendance bench add". A command
+ * can refine that by exporting permissionKey(interaction) — /player returns
+ * "player unlink:others" only when the character belongs to someone else, so
+ * managing your own characters stays open.
+ *
+ * Who may run a key:
+ *   1. Roles granted to it at runtime (/config permissions grant) — the most
+ *      specific key with grants wins ("raids delete" before "raids").
+ *   2. Otherwise, if the key is in DEFAULT_GUARDED, officers: members with one
+ *      of OFFICER_ROLE_IDS (comma-separated env var).
+ *   3. Otherwise it's open to everyone.
+ * Members with Manage Server always pass, so the bot can't be locked out.
+ */
+
+const { PermissionFlagsBits } = require('discord.js');
+const db = require('./db');
+
+// Officer-only unless /config permissions says otherwise
+const DEFAULT_GUARDED = new Set([
+  'raids edit', 'raids delete', 'raids restore', 'raids tier-weight',
+  'player link:others', 'player unlink:others',
+  'tod mob-add', 'tod mob-edit', 'tod mob-remove', 'tod board',
+  'key add', 'key remove',
+  'dkp award', 'dkp charge', 'dkp rule-set', 'dkp rule-remove', 'dkp recalculate',
+  'loot award', 'loot bid', 'loot bid-cancel',
+  'attendance bench add', 'attendance bench remove', 'attendance bench credit',
+  'config', 'audit', 'admin',
+]);
+
+function officerRoleIds() {
+  return (process.env.OFFICER_ROLE_IDS || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/** The base permission key for a chat-input interaction: "command [group] [subcommand]". */
+function baseKey(interaction) {
+  return [
+    interaction.commandName,
+    interaction.options.getSubcommandGroup(false),
+    interaction.options.getSubcommand(false),
+  ].filter(Boolean).join(' ');
+}
+
+/** "raids delete" → ["raids delete", "raids"]; "player unlink:others" → [..., "player unlink", "player"] */
+function keyChain(key) {
+  const chain = [key];
+  if (key.includes(':')) chain.push(key.slice(0, key.indexOf(':')));
+  const words = chain[chain.length - 1].split(' ');
+  for (let i = words.length - 1; i > 0; i--) chain.push(words.slice(0, i).join(' '));
+  return chain;
+}
+
+function memberHasRole(member, roleId) {
+  if (!member) return false;
+  // Cached GuildMember, or the raw API member (roles as an ID array)
+  return member.roles?.cache ? member.roles.cache.has(roleId) : (member.roles ?? []).includes(roleId);
+}
+
+/**
+ * Work out what an invocation requires.
+ * @returns {{ key: string, roles: string[]|null, officer: boolean }}
+ *          roles = granted roles that apply (null when none); officer = falls back to OFFICER_ROLE_IDS
+ */
+function requirementFor(key) {
+  const grants = db.getCommandPermissions();
+  for (const k of keyChain(key)) {
+    const roles = grants.filter(g => g.permission_key === k).map(g => g.role_id);
+    if (roles.length > 0) return { key: k, roles, officer: false };
+  }
+  const guarded = keyChain(key).find(k => DEFAULT_GUARDED.has(k));
+  return { key: guarded ?? key, roles: null, officer: !!guarded };
+}
+
+/**
+ * Check whether the invoking member may run the command.
+ * Returns null when allowed, or a denial message.
+ */
+function check(interaction, command) {
+  return checkKey(interaction, command.permissionKey?.(interaction) ?? baseKey(interaction));
+}
+
+/**
+ * check() for an explicit key — for buttons that do more than the command that
+ * posted them, e.g. "loot bid-cancel" on an auction message.
+ */
+function checkKey(interaction, key) {
+  const req = requirementFor(key);
+  if (!req.roles && !req.officer) return null;
+
+  if (interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) return null;
+
+  const roles = req.roles ?? officerRoleIds();
+  if (roles.some(r => memberHasRole(interaction.member, r))) return null;
+
+  const who = roles.length > 0
+    ? `one of these roles: ${roles.map(r => `<@&${r}>`).join(', ')}`
+    : 'an officer (Manage Server permission)';
+  return `🔒 \`/${key}\` is restricted — you need ${who}.`;
+}
+
+/**
+ * Every permission key the loaded commands expose (for /config autocomplete),
+ * plus the refined keys in DEFAULT_GUARDED.
+ * @param {Iterable<object>} commands - command modules
+ */
+function listKeys(commands) {
+  const keys = new Set(DEFAULT_GUARDED);
+  for (const command of commands) {
+    const json = command.data.toJSON();
+    keys.add(json.name);
+    for (const opt of json.options ?? []) {
+      if (opt.type === 1) keys.add(`${json.name} ${opt.name}`);
+      if (opt.type === 2) {
+        keys.add(`${json.name} ${opt.name}`);
+        for (const sub of opt.options ?? []) keys.add(`${json.name} ${opt.name} ${sub.name}`);
+      }
+    }
+  }
+  return [...keys].sort();
+}
+
+module.exports = { DEFAULT_GUARDED, check, checkKey, requirementFor, listKeys, officerRoleIds };
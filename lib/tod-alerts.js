@@ -0,0 +1,193 @@
+'use strict';
+
+/**
+ * TOD respawn alerts.
+ *
+ * Posts to TOD_CHANNEL_ID ahead of each tracked mob's respawn — by default 30
+ * and 5 minutes before the lockout ends and again when it does (TOD_ALERT_LEADS,
+ * e.g. "1h,15m,0"). For a mob with respawn variance the alerts count down to
+ * the spawn window opening instead (see tod-window.js). A mob's alert role
+ * (/tod mob-edit role) is mentioned.
+ *
+ * Members can also follow single mobs (/tod subscribe) and get a DM their
+ * chosen lead time ahead instead; those reminders go out whether or not
+ * TOD_CHANNEL_ID is set.
+ *
+ * Nothing is scheduled in memory: every ALERT_POLL_MS the latest kill of each
+ * mob is read from the database and any alert that has come due is posted.
+ * Which alerts were sent for which kill is kept in the settings table (and on
+ * each subscription), so a restart neither repeats nor (within ALERT_GRACE_MS)
+ * drops one. A new kill or an undo starts the mob's alerts afresh.
+ */
+
+const db = require('./db');
+const { getSpawnWindow } = require('./tod-window');
+
+const TOD_CHANNEL_ID = process.env.TOD_CHANNEL_ID || null;
+const ALERT_POLL_MS  = 30 * 1000;
+// An alert that came due while the bot was down is still posted if it's at most this late
+const ALERT_GRACE_MS = 10 * 60 * 1000;
+const SENT_SETTING   = 'tod_alerts_sent';
+
+/** "30m,5m,0" → [30, 5, 0] minutes before the respawn (or window), largest first. */
+function parseLeads(value) {
+  const leads = String(value).split(',').map(part => {
+    const m = part.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(m|min|h|hr)?$/);
+    if (!m) return null;
+    return m[2]?.startsWith('h') ? parseFloat(m[1]) * 60 : parseFloat(m[1]);
+  });
+  if (leads.some(l => l == null)) {
+    console.warn(`[TOD Alerts] Could not read TOD_ALERT_LEADS="${value}" — using 30m,5m,0`);
+    return [30, 5, 0];
+  }
+  return [...new Set(leads)].sort((a, b) => b - a);
+}
+
+const ALERT_LEADS = parseLeads(process.env.TOD_ALERT_LEADS || '30m,5m,0');
+
+let _client = null;
+let _running = false;
+
+// ── Initialise (call once inside clientReady) ───────────────────────────────
+
+function init(client) {
+  _client = client;
+  tick();
+  setInterval(tick, ALERT_POLL_MS);
+  if (TOD_CHANNEL_ID) {
+    console.log(`[TOD Alerts] Alerting ${ALERT_LEADS.map(formatLead).join(', ')} before respawns`);
+  } else {
+    console.log('[TOD Alerts] TOD_CHANNEL_ID not set — channel alerts disabled, subscription DMs only.');
+  }
+}
+
+// ── Alerts ──────────────────────────────────────────────────────────────────
+
+function formatLead(minutes) {
+  if (minutes === 0) return 'at open';
+  return minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes}m`;
+}
+
+function loadSent() {
+  try {
+    return JSON.parse(db.getSetting(SENT_SETTING, '{}'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Alerts that should go out now. For each mob only the latest due lead is
+ * returned — after downtime we don't post "30 minutes" and "5 minutes" together.
+ * @returns {{ alerts: object[], sent: object }} sent is the updated record to save
+ */
+function dueAlerts(now = Date.now()) {
+  const previous = loadSent();
+  const sent     = {};
+  const alerts   = [];
+
+  for (const r of db.getTodRespawns()) {
+    const window = getSpawnWindow(r, r.killed_at);
+    const record = previous[r.mob_id]?.killId === r.kill_id ? previous[r.mob_id] : { killId: r.kill_id, leads: [] };
+
+    const due = ALERT_LEADS.filter(lead => !record.leads.includes(lead) && now >= window.opensAt - lead * 60_000);
+    if (due.length > 0) {
+      const lead = Math.min(...due);
+      if (now - (window.opensAt - lead * 60_000) <= ALERT_GRACE_MS) alerts.push({ ...r, ...window, lead });
+      record.leads = [...record.leads, ...due];
+    }
+    // Once the lockout is long over there's nothing left to remember
+    if (now < window.opensAt + ALERT_GRACE_MS) sent[r.mob_id] = record;
+  }
+  return { alerts, sent };
+}
+
+function buildAlertMessage(alert) {
+  const unix    = Math.floor(alert.opensAt / 1000);
+  const closes  = Math.floor(alert.closesAt / 1000);
+  const mention = alert.alert_role_id ? `<@&${alert.alert_role_id}> ` : '';
+  let text;
+  if (alert.hasWindow) {
+    text = alert.lead === 0
+      ? `🟡 ${mention}**${alert.name}**'s spawn window is open — closes <t:${closes}:R> (<t:${closes}:t>).`
+      : `⏰ ${mention}**${alert.name}**'s spawn window opens <t:${unix}:R> (<t:${unix}:t>).`;
+  } else {
+    text = alert.lead === 0
+      ? `🟢 ${mention}**${alert.name}** is out of lockout — up now (<t:${unix}:t>).`
+      : `⏰ ${mention}**${alert.name}** respawns <t:${unix}:R> (<t:${unix}:t>).`;
+  }
+  return {
+    content:         text,
+    allowedMentions: { roles: alert.alert_role_id ? [alert.alert_role_id] : [] },
+  };
+}
+
+// ── Subscription DMs ────────────────────────────────────────────────────────
+
+/**
+ * Subscriber reminders that should go out now. A reminder is sent once per
+ * kill; one that came due while the bot was down (or before the member
+ * subscribed) still goes out until the respawn, or ALERT_GRACE_MS after a
+ * lead of 0.
+ * @returns {{ reminders: object[], notified: object[] }} notified is every
+ *   subscription to mark done for its current kill, sent or not
+ */
+function dueReminders(now = Date.now()) {
+  const reminders = [];
+  const notified  = [];
+
+  for (const r of db.getPendingTodReminders()) {
+    const window = getSpawnWindow(r, r.killed_at);
+    const dueAt  = window.opensAt - r.lead_minutes * 60_000;
+    if (now < dueAt) continue;
+    notified.push(r);
+    if (now <= Math.max(window.opensAt, dueAt + ALERT_GRACE_MS)) reminders.push({ ...r, ...window });
+  }
+  return { reminders, notified };
+}
+
+function buildReminderMessage(reminder) {
+  const unix   = Math.floor(reminder.opensAt / 1000);
+  const closes = Math.floor(reminder.closesAt / 1000);
+  let text;
+  if (reminder.opensAt > Date.now()) {
+    text = reminder.hasWindow
+      ? `⏰ **${reminder.name}**'s spawn window opens <t:${unix}:R> (<t:${unix}:f>).`
+      : `⏰ **${reminder.name}** respawns <t:${unix}:R> (<t:${unix}:f>).`;
+  } else {
+    text = reminder.hasWindow
+      ? `🟡 **${reminder.name}**'s spawn window is open — closes <t:${closes}:R> (<t:${closes}:f>).`
+      : `🟢 **${reminder.name}** is out of lockout — up since <t:${unix}:t>.`;
+  }
+  return `${text}\n-# You're subscribed to ${reminder.name} — \`/tod unsubscribe\` to stop these.`;
+}
+
+async function tick() {
+  if (_running) return;
+  _running = true;
+  try {
+    const { alerts, sent } = TOD_CHANNEL_ID ? dueAlerts() : { alerts: [], sent: null };
+    const { reminders, notified } = dueReminders();
+    // Record first: a failed send is logged, not retried every 30 seconds
+    if (sent) db.setSetting(SENT_SETTING, JSON.stringify(sent));
+    if (notified.length) db.markTodRemindersSent(notified);
+
+    if (alerts.length > 0) {
+      const channel = await _client.channels.fetch(TOD_CHANNEL_ID);
+      for (const alert of alerts) {
+        await channel.send(buildAlertMessage(alert))
+          .catch(err => console.warn(`[TOD Alerts] Could not post alert for ${alert.name}: ${err.message}`));
+      }
+    }
+    for (const reminder of reminders) {
+      await _client.users.send(reminder.discord_id, buildReminderMessage(reminder))
+        .catch(err => console.warn(`[TOD Alerts] Could not DM ${reminder.discord_id} about ${reminder.name}: ${err.message}`));
+    }
+  } catch (err) {
+    console.error('[TOD Alerts] Tick failed:', err);
+  } finally {
+    _running = false;
+  }
+}
+
+module.exports = { init, dueAlerts, buildAlertMessage, dueReminders, buildReminderMessage, parseLeads, ALERT_LEADS };
@@ -0,0 +1,170 @@
+'use strict';
+
+/**
+ * TOD status board: one message (/tod board) that lists every tracked mob,
+ * grouped by zone or expansion, and is edited in place every BOARD_REFRESH_MS
+ * so mobs move between Locked Out / In Window / Available on their own.
+ *
+ * The board's channel, message ID and grouping are kept in the settings table, so it
+ * carries on after a restart. The message is pinned where the bot may pin, and
+ * index.js leaves it alone when purging the bot channel either way. If the
+ * message is deleted by hand the board is simply forgotten.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const db = require('./db');
+const { describeSpawn, STATE_LABELS } = require('./tod-window');
+const { chunkLines } = require('./paginator');
+
+const BOARD_REFRESH_MS = 60 * 1000;
+const BOARD_SETTING    = 'tod_board';
+const NO_GROUP         = 'Other';
+
+// Discord limits: 1024 characters per field, 25 fields and 6000 characters per message
+const FIELD_MAX_CHARS  = 1024;
+const BOARD_MAX_FIELDS = 25;
+const BOARD_MAX_CHARS  = 5500;
+
+const STATE_ORDER = ['locked', 'window', 'available'];
+const STATE_ICONS = { locked: '🔴', window: '🟡', available: '🟢' };
+
+// Discord API errors that mean the board is gone for good
+const UNKNOWN_CHANNEL = 10003;
+const UNKNOWN_MESSAGE = 10008;
+
+let _client = null;
+let _running = false;
+
+// ── Initialise (call once inside clientReady) ───────────────────────────────
+
+function init(client) {
+  _client = client;
+  refresh();
+  setInterval(refresh, BOARD_REFRESH_MS);
+  const board = getBoard();
+  if (board) console.log(`[TOD Board] Updating board ${board.messageId} in #${board.channelId}`);
+}
+
+// ── State ───────────────────────────────────────────────────────────────────
+
+/** @returns {{ channelId: string, messageId: string, groupBy?: 'zone'|'expansion' } | null} */
+function getBoard() {
+  try {
+    return JSON.parse(db.getSetting(BOARD_SETTING, 'null'));
+  } catch {
+    return null;
+  }
+}
+
+/** The board's message ID, for index.js's purge to skip. */
+function getBoardMessageId() {
+  return getBoard()?.messageId ?? null;
+}
+
+// ── Rendering ───────────────────────────────────────────────────────────────
+
+/**
+ * The board message for the mobs as they stand at `now`.
+ * @param {'zone'|'expansion'} [groupBy='zone'] - mobs without one are listed under "Other"
+ */
+function buildBoard(groupBy = 'zone', now = Date.now()) {
+  const mobs = db.getTodStatus();
+  const embed = new EmbedBuilder()
+    .setTitle('TOD Board')
+    .setColor(0x3498DB)
+    .setFooter({ text: `${mobs.length} mob(s)  •  Updates every minute  •  Last updated` })
+    .setTimestamp(now);
+
+  if (mobs.length === 0) {
+    return { embeds: [embed.setDescription('No mobs in the TOD registry. Use `/tod mob-add` to add one.')] };
+  }
+
+  const groups = new Map();
+  const counts = { locked: 0, window: 0, available: 0 };
+  for (const m of mobs) {
+    const group = m[groupBy] || NO_GROUP;
+    const entry = { ...describeSpawn(m, now), name: m.name };
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(entry);
+    counts[entry.state]++;
+  }
+  const groupNames = [...groups.keys()].sort((a, b) =>
+    (a === NO_GROUP) - (b === NO_GROUP) || a.localeCompare(b, undefined, { sensitivity: 'base' })
+  );
+
+  embed.setDescription(STATE_ORDER.map(s => `${STATE_LABELS[s]}: **${counts[s]}**`).join('  •  '));
+
+  let chars = embed.data.description.length + embed.data.title.length + embed.data.footer.text.length;
+  let shown = 0;
+  for (const group of groupNames) {
+    const entries = groups.get(group).sort((a, b) =>
+      STATE_ORDER.indexOf(a.state) - STATE_ORDER.indexOf(b.state) || a.sortAt - b.sortAt
+    );
+    const lines = entries.map(e => `${STATE_ICONS[e.state]} **${e.name}** — ${e.text}`);
+    const chunks = chunkLines(lines, { maxChars: FIELD_MAX_CHARS });
+    for (const [i, value] of chunks.entries()) {
+      const name = i === 0 ? group : `${group} (cont.)`;
+      // Keep a field free to say what didn't fit
+      if ((embed.data.fields?.length ?? 0) >= BOARD_MAX_FIELDS - 1 || chars + name.length + value.length > BOARD_MAX_CHARS) {
+        embed.addFields({ name: '…', value: `${mobs.length - shown} more mob(s) — see \`/tod status\`.` });
+        return { embeds: [embed] };
+      }
+      embed.addFields({ name, value });
+      chars += name.length + value.length;
+      shown += value.split('\n').length;
+    }
+  }
+  return { embeds: [embed] };
+}
+
+// ── Lifecycle ───────────────────────────────────────────────────────────────
+
+/**
+ * Post a new board in `channel` (taking down any previous one) and pin it.
+ * @param {object} channel
+ * @param {{ groupBy?: 'zone'|'expansion' }} [opts]
+ * @returns {Promise<{ message: object, pinned: boolean }>}
+ */
+async function post(channel, { groupBy = 'zone' } = {}) {
+  await remove();
+  const message = await channel.send(buildBoard(groupBy));
+  db.setSetting(BOARD_SETTING, JSON.stringify({ channelId: channel.id, messageId: message.id, groupBy }));
+  const pinned = await message.pin().then(() => true, err => {
+    console.warn(`[TOD Board] Could not pin the board in #${channel.id}: ${err.message}`);
+    return false;
+  });
+  console.log(`[TOD Board] Posted board ${message.id} in #${channel.id}`);
+  return { message, pinned };
+}
+
+/** Delete the current board, if any. Returns true if there was one. */
+async function remove() {
+  const board = getBoard();
+  if (!board) return false;
+  db.setSetting(BOARD_SETTING, 'null');
+  const channel = await _client?.channels.fetch(board.channelId).catch(() => null);
+  await channel?.messages.delete(board.messageId).catch(() => {});
+  return true;
+}
+
+/** Redraw the board now (also run every BOARD_REFRESH_MS). Never throws. */
+async function refresh() {
+  const board = getBoard();
+  if (!board || !_client || _running) return;
+  _running = true;
+  try {
+    const channel = await _client.channels.fetch(board.channelId);
+    await channel.messages.edit(board.messageId, buildBoard(board.groupBy));
+  } catch (err) {
+    if (err.code === UNKNOWN_MESSAGE || err.code === UNKNOWN_CHANNEL) {
+      console.warn('[TOD Board] Board message is gone — no longer updating it. Post a new one with /tod board.');
+      db.setSetting(BOARD_SETTING, 'null');
+    } else {
+      console.error('[TOD Board] Refresh failed:', err);
+    }
+  } finally {
+    _running = false;
+  }
+}
+
+module.exports = { init, post, remove, refresh, buildBoard, getBoard, getBoardMessageId };
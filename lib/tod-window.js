@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * Spawn windows for TOD mobs.
+ *
+ * A mob with no variance respawns exactly lockout_hours after its kill. With
+ * variance (e.g. 7 days ± 8 hours) it can spawn any time between
+ *   opensAt  = kill + lockout − variance_min_hours
+ *   closesAt = kill + lockout + variance_max_hours
+ * and until the window closes it's "in window" rather than known to be up.
+ */
+
+const HOUR_MS = 3600_000;
+
+const STATE_LABELS = { locked: '🔴 Locked Out', window: '🟡 In Window', available: '🟢 Available' };
+const STATE_COLORS = { locked: 0xE74C3C, window: 0xF1C40F, available: 0x2ECC71 };
+
+/**
+ * @param {{ lockout_hours: number, variance_min_hours?: number, variance_max_hours?: number }} mob
+ * @param {number} killedAt - epoch ms
+ * @returns {{ opensAt: number, closesAt: number, respawnAt: number, hasWindow: boolean }}
+ *   respawnAt is the nominal respawn (kill + lockout)
+ */
+function getSpawnWindow(mob, killedAt) {
+  const respawnAt = killedAt + mob.lockout_hours * HOUR_MS;
+  const early     = (mob.variance_min_hours ?? 0) * HOUR_MS;
+  const late      = (mob.variance_max_hours ?? 0) * HOUR_MS;
+  return {
+    opensAt:   respawnAt - early,
+    closesAt:  respawnAt + late,
+    respawnAt,
+    hasWindow: early > 0 || late > 0,
+  };
+}
+
+/**
+ * Where a mob stands right now.
+ * @param {object|null} window - from getSpawnWindow, or null if the mob has no recorded kill
+ * @returns {'locked'|'window'|'available'}
+ */
+function getSpawnState(window, now = Date.now()) {
+  if (!window || now >= window.closesAt) return 'available';
+  if (now < window.opensAt)             return 'locked';
+  return 'window';
+}
+
+/**
+ * A mob's state and a short description of it for status lists, e.g.
+ * "window opens <t:…:R> (<t:…:f>)".
+ * @param {object} mob - a getTodStatus row (last_killed_at null if never killed)
+ * @returns {{ state: string, sortAt: number, text: string }} sortAt orders mobs within a state
+ */
+function describeSpawn(mob, now = Date.now()) {
+  const window = mob.last_killed_at ? getSpawnWindow(mob, mob.last_killed_at) : null;
+  const state  = getSpawnState(window, now);
+  const when   = ts => `<t:${Math.floor(ts / 1000)}:R> (<t:${Math.floor(ts / 1000)}:f>)`;
+
+  if (state === 'locked') {
+    return { state, sortAt: window.opensAt, text: `${window.hasWindow ? 'window opens' : 'respawns'} ${when(window.opensAt)}` };
+  }
+  if (state === 'window') return { state, sortAt: window.closesAt, text: `window closes ${when(window.closesAt)}` };
+  if (window)             return { state, sortAt: window.closesAt, text: `up since <t:${Math.floor(window.closesAt / 1000)}:R>` };
+  return { state, sortAt: 0, text: 'no kills recorded' };
+}
+
+module.exports = { getSpawnWindow, getSpawnState, describeSpawn, STATE_LABELS, STATE_COLORS };
@@ -0,0 +1,65 @@
+/**
+ * Inspect or apply database schema migrations (lib/migrations.js).
+ *
+ *   node migrate.js status      — current schema version, applied and pending steps
+ *   node migrate.js --dry-run   — run pending steps against the real database, then roll back
+ *   node migrate.js             — back up, then apply pending steps
+ *
+ * The bot applies pending steps on its own at startup; this is for checking a
+ * server's database before deploying. Stop the bot before applying by hand.
+ */
+
+'use strict';
+
+require('dotenv').config();
+
+const fs       = require('fs');
+const Database = require('better-sqlite3');
+const { DB_PATH } = require('./lib/db');
+const {
+  LATEST_VERSION,
+  migrate,
+  getSchemaVersion,
+  getAppliedMigrations,
+  getPendingMigrations,
+} = require('./lib/migrations');
+
+const args   = process.argv.slice(2);
+const status = args.includes('status');
+const dryRun = args.includes('--dry-run');
+
+if (!fs.existsSync(DB_PATH)) {
+  console.log(`No database at ${DB_PATH} yet — it will be created at v${LATEST_VERSION} on first start.`);
+  process.exit(0);
+}
+
+const db = new Database(DB_PATH);
+db.pragma('foreign_keys = ON');
+
+try {
+  if (status) {
+    const applied = getAppliedMigrations(db);
+    const pending = getPendingMigrations(db);
+    console.log(`Database: ${DB_PATH}`);
+    console.log(`Schema:   v${getSchemaVersion(db)} (bot supports v${LATEST_VERSION})\n`);
+    for (const m of applied) {
+      console.log(`  ✅ v${m.version} ${m.name}  (applied ${new Date(m.applied_at).toISOString()})`);
+    }
+    for (const m of pending) console.log(`  ⏳ v${m.version} ${m.name}`);
+    if (pending.length === 0) console.log('\nUp to date.');
+  } else {
+    const result = migrate(db, { dbPath: DB_PATH, dryRun, log: msg => console.log(`  ${msg}`) });
+    if (result.applied.length === 0) {
+      console.log(`Up to date (v${result.from}).`);
+    } else if (dryRun) {
+      console.log(`\n✅ ${result.applied.length} step(s) ran cleanly and were rolled back — nothing was changed.`);
+    } else {
+      console.log(`\n✅ Migrated v${result.from} → v${result.to}.`);
+    }
+  }
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
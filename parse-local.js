@@ -192,6 +192,8 @@ async function main() {
     console.log(`       Zones     : ${s.zones.join(', ') || 'unknown'}`);
     console.log(`       Attendance: ${s.attendance.length} players`);
     console.log(`       Loot      : ${s.loot.length} events`);
+    console.log(`       Rolls     : ${s.rolls.length} /random rolls`);
+    console.log(`       Kills     : ${s.kills.length} boss kills`);
     console.log(`       UTC window: ${startUTC} – ${endUTC}`);
     console.log();
   });
@@ -216,6 +218,8 @@ async function main() {
     console.log(`  Zones      : ${zoneStr}`);
     console.log(`  Attendance : ${session.attendance.length} players`);
     console.log(`  Loot       : ${session.loot.length} events`);
+    console.log(`  Rolls      : ${session.rolls.length} /random rolls`);
+    console.log(`  Kills      : ${session.kills.length} boss kills`);
     console.log(`  UTC window : ${startUTC} – ${endUTC}`);
 
     // Check if a raid already exists for this date
@@ -257,6 +261,9 @@ async function main() {
         res = await post(`${serverUrl}/raid/merge?id=${existingRaid.id}`, {
           attendance: session.attendance,
           loot:       session.loot,
+          rolls:      session.rolls,
+          kills:      session.kills,
+          snapshots:  session.snapshots,
         }, apiKey);
         if (res.status === 200) {
           console.log(`  ✓ Merged into Raid #${existingRaid.id} (${res.body.newLoot} new loot rows)\n`);
@@ -276,6 +283,9 @@ async function main() {
           },
           attendance: session.attendance,
           loot:       session.loot,
+          rolls:      session.rolls,
+          kills:      session.kills,
+          snapshots:  session.snapshots,
         }, apiKey);
         if (res.status === 200) {
           console.log(`  ✓ Saved as Raid #${res.body.raidId}\n`);